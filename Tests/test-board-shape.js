@@ -0,0 +1,104 @@
+// test-board-shape.js
+const assert = require("assert");
+const { BoardShape, MAX_BOARD_RADIUS, MAX_BOARD_SIDE, MAX_BOARD_CELLS } = require("../game/BoardShape");
+const { CaptureRules } = require("../game/CaptureRules");
+const { generateMap } = require("../game/MapGenerator");
+const config = require("../config");
+
+function testHexagon() {
+  console.log('\n=== Testing hexagon board ===');
+
+  const board = BoardShape.from({ type: "hexagon", radius: 2 });
+  assert.strictEqual(board.size, 19);
+  assert.strictEqual(board.contains(2, -2), true);
+  assert.strictEqual(board.contains(2, 1), false);
+  console.log('✅ Radius 2 hexagon has 19 hexes');
+
+  assert.strictEqual(board.contains(0.5, 0), false);
+  assert.strictEqual(board.contains(NaN, 0), false);
+  console.log('✅ Non-integer coordinates are out of bounds');
+}
+
+function testRectangle() {
+  console.log('\n=== Testing rectangle board ===');
+
+  const board = BoardShape.from({ type: "rectangle", width: 4, height: 3 });
+  assert.strictEqual(board.size, 12);
+  board.cells().forEach(({ q, r }) => assert.strictEqual(board.contains(q, r), true));
+  assert.strictEqual(board.contains(0, 5), false);
+  console.log('✅ Rectangle cells and bounds agree');
+}
+
+function testMask() {
+  console.log('\n=== Testing mask board ===');
+
+  const board = BoardShape.from(JSON.stringify({ type: "mask", cells: [[0, 0], [1, 0], [5, 5]] }));
+  assert.strictEqual(board.size, 3);
+  assert.strictEqual(board.contains(5, 5), true);
+  assert.strictEqual(board.contains(2, 0), false);
+  assert.deepStrictEqual(BoardShape.from(board.toJSON()).cells(), board.cells());
+  console.log('✅ Mask boards round-trip through JSON');
+}
+
+function testLimits() {
+  console.log('\n=== Testing board size limits ===');
+
+  assert.strictEqual(BoardShape.from({ type: "hexagon", radius: 20000 }).radius, MAX_BOARD_RADIUS);
+  const rect = BoardShape.from({ type: "rectangle", width: 1e9, height: 1e9 });
+  assert.deepStrictEqual([rect.width, rect.height], [MAX_BOARD_SIDE, MAX_BOARD_SIDE]);
+  console.log('✅ Oversized hexagons and rectangles are clamped');
+
+  const cells = Array.from({ length: MAX_BOARD_CELLS + 10 }, (_, i) => [i, 0]);
+  assert.strictEqual(BoardShape.from({ type: "mask", cells }).size, MAX_BOARD_CELLS);
+  assert.strictEqual(BoardShape.from({ type: "mask", cells: [1, [0, 0]] }).size, 1);
+  console.log('✅ Masks keep at most MAX_BOARD_CELLS well-formed cells');
+
+  assert.strictEqual(BoardShape.exceedsLimits({ type: "hexagon", radius: MAX_BOARD_RADIUS + 1 }), true);
+  assert.strictEqual(BoardShape.exceedsLimits({ type: "rectangle", width: 10, height: MAX_BOARD_SIDE + 1 }), true);
+  assert.strictEqual(BoardShape.exceedsLimits({ type: "hexagon", radius: MAX_BOARD_RADIUS }), false);
+  assert.strictEqual(BoardShape.exceedsLimits(undefined), false);
+  assert.strictEqual(BoardShape.from({ type: "hexagon", radius: MAX_BOARD_RADIUS }).size,
+    BoardShape.from({ type: "hexagon", radius: MAX_BOARD_RADIUS }).cells().length);
+  console.log('✅ Oversized definitions are detected and sizes are counted without listing cells');
+}
+
+function testBounds() {
+  console.log('\n=== Testing bounds in capture rules and generators ===');
+
+  const board = BoardShape.from({ type: "hexagon", radius: 1 });
+  const rules = new CaptureRules([{ q: "1", r: "0", playerId: "p1" }], board);
+  assert.strictEqual(rules.validate("p1", 2, 0).reason, "out_of_bounds");
+  assert.strictEqual(rules.validate("p1", 0, 0).ok, true);
+  console.log('✅ Captures outside the board are rejected');
+
+  const small = BoardShape.from({ type: "hexagon", radius: 10 });
+  const map = generateMap("hexgame", config.game, small);
+  assert.ok(map.length > 0);
+  assert.ok(map.every(h => small.contains(h.q, h.r)));
+  console.log('✅ Generated terrain stays on the board');
+}
+
+// Run tests
+function runTests() {
+  console.log('🧪 Testing board shapes');
+
+  try {
+    testHexagon();
+    testRectangle();
+    testMask();
+    testLimits();
+    testBounds();
+    console.log('\n🎉 All board shape tests passed!');
+    return true;
+  } catch (error) {
+    console.error('\n❌ Board shape test failed:', error.message);
+    process.exitCode = 1;
+    return false;
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
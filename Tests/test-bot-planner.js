@@ -0,0 +1,131 @@
+// test-bot-planner.js
+const assert = require("assert");
+const {
+  BOT_DIFFICULTIES, isBotId, createBotProfile, frontierHexes, sampleFrontier, planCaptures, planUpgrade
+} = require("../game/BotPlanner");
+const { SeededRandom } = require("../game/SeededRandom");
+const { BoardShape } = require("../game/BoardShape");
+
+const rules = { upgradeBankCost: 100, upgradeFortCost: 300, upgradeCityCost: 200 };
+
+function testProfiles() {
+  console.log('\n=== Testing bot profiles ===');
+
+  const profile = createBotProfile("hard", 1, ["#a", "#b", "#c"], ["#a"]);
+  assert.ok(isBotId(profile.playerId));
+  assert.ok(!isBotId("player:123"));
+  assert.strictEqual(profile.color, "#b");
+  assert.strictEqual(profile.difficulty, "hard");
+  assert.ok(profile.bot);
+  assert.strictEqual(createBotProfile("impossible", 0, ["#a"]).difficulty, "normal");
+  console.log('✅ Bots get an id, a free color and a known difficulty');
+
+  Object.values(BOT_DIFFICULTIES).forEach(level => {
+    assert.ok(level.thinkInterval > 0 && level.moves > 0 && level.sample >= level.moves);
+  });
+  console.log('✅ Every difficulty is complete');
+}
+
+function testFrontier() {
+  console.log('\n=== Testing frontier ===');
+
+  const hexes = [
+    { q: "0", r: "0", playerId: "bot" },
+    { q: "1", r: "0", playerId: "mate" },
+    { q: "-1", r: "0", terrain: "mountain" },
+    { q: "0", r: "-1", playerId: "enemy", isStart: "true" }
+  ];
+  const sameTeam = (a, b) => b === "mate";
+  const frontier = frontierHexes(hexes, "bot", null, sameTeam);
+  const keys = frontier.map(f => `${f.q},${f.r}`).sort();
+  assert.deepStrictEqual(keys, ["-1,1", "0,-1", "0,1", "1,-1"]);
+  console.log('✅ Frontier skips own, friendly and impassable hexes');
+
+  const board = BoardShape.from({ type: "hexagon", radius: 1 });
+  assert.strictEqual(frontierHexes([{ q: "1", r: "0", playerId: "bot" }], "bot", board).length, 3);
+  console.log('✅ Frontier is clipped to the board');
+
+  const sample = sampleFrontier(frontier, 2, new SeededRandom("sample"));
+  assert.strictEqual(sample.length, 2);
+  assert.strictEqual(sample[0].hex.playerId, "enemy");
+  console.log('✅ Enemy crowns are always priced');
+}
+
+function testCaptures() {
+  console.log('\n=== Testing capture planning ===');
+
+  const rng = new SeededRandom("captures");
+  const candidates = [
+    { q: 1, r: 0, hex: null, cost: 10 },
+    { q: 2, r: 0, hex: { terrain: "goldmine" }, cost: 12 },
+    { q: 3, r: 0, hex: { playerId: "enemy", isStart: "true" }, cost: 40 },
+    { q: 4, r: 0, hex: null, cost: null }
+  ];
+
+  const hard = planCaptures({ candidates, points: 100, difficulty: "hard", rng });
+  assert.deepStrictEqual(hard[0], { q: 3, r: 0 }, "hard bots go for the crown");
+  assert.ok(!hard.some(m => m.q === 4), "unpriced hexes are skipped");
+  assert.ok(hard.length <= BOT_DIFFICULTIES.hard.moves);
+  console.log('✅ Hard bots take the best value first');
+
+  for (let i = 0; i < 10; i++) {
+    const easy = planCaptures({ candidates, points: 100, difficulty: "easy", rng });
+    assert.ok(!easy.some(m => m.q === 3), "easy bots never attack");
+  }
+  console.log('✅ Easy bots leave enemy hexes alone');
+
+  assert.deepStrictEqual(planCaptures({ candidates, points: 5, difficulty: "hard", rng }), []);
+  const budget = planCaptures({ candidates, points: 25, difficulty: "hard", rng });
+  assert.strictEqual(budget.length, 2);
+  console.log('✅ Bots stay within their points');
+}
+
+function testUpgrades() {
+  console.log('\n=== Testing upgrade planning ===');
+
+  // Always build: force the chance roll
+  const rng = { next: () => 0, pick: list => list[0] };
+  const hexes = [
+    { q: "0", r: "0", playerId: "bot", isStart: "true" },
+    { q: "1", r: "0", playerId: "bot" },
+    { q: "-2", r: "0", playerId: "bot" },
+    { q: "2", r: "0", playerId: "enemy" }
+  ];
+
+  const bank = planUpgrade({ hexes, playerId: "bot", points: 100, maxPoints: 105, rules, difficulty: "hard", rng });
+  assert.deepStrictEqual(bank, { q: 0, r: 0, type: "bank" });
+  console.log('✅ Bots near their cap build banks');
+
+  const fort = planUpgrade({ hexes, playerId: "bot", points: 300, maxPoints: 1000, rules, difficulty: "hard", rng });
+  assert.deepStrictEqual(fort, { q: 1, r: 0, type: "fort" });
+  console.log('✅ Bots fortify their border');
+
+  const city = planUpgrade({ hexes, playerId: "bot", points: 250, maxPoints: 1000, rules, difficulty: "hard", rng });
+  assert.strictEqual(city.type, "city");
+  assert.strictEqual(planUpgrade({ hexes, playerId: "bot", points: 50, maxPoints: 1000, rules, difficulty: "hard", rng }), null);
+  console.log('✅ Cities go behind the border, and nothing is built without points');
+}
+
+// Run tests
+function runTests() {
+  console.log('🧪 Testing bot planner');
+
+  try {
+    testProfiles();
+    testFrontier();
+    testCaptures();
+    testUpgrades();
+    console.log('\n🎉 All bot planner tests passed!');
+    return true;
+  } catch (error) {
+    console.error('\n❌ Bot planner test failed:', error.message);
+    process.exitCode = 1;
+    return false;
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
@@ -0,0 +1,117 @@
+// test-capture-rules.js
+const assert = require("assert");
+const { CaptureRules } = require("../game/CaptureRules");
+const { registerTerrain } = require("../game/Terrain");
+
+function hex(q, r, playerId = null, extra = {}) {
+  return { q: q.toString(), r: r.toString(), playerId, color: playerId ? "#ff0000" : "", ...extra };
+}
+
+function testAdjacency() {
+  console.log('\n=== Testing adjacency ===');
+
+  const rules = new CaptureRules([hex(0, 0, "p1", { isStart: true })]);
+
+  assert.deepStrictEqual(rules.validate("p1", 1, 0).ok, true);
+  console.log('✅ Neighbor of owned hex is capturable');
+
+  assert.strictEqual(rules.validate("p1", 5, 5).reason, "not_adjacent");
+  console.log('✅ Far away hex is rejected');
+
+  assert.strictEqual(rules.validate("p1", 0, 0).reason, "already_owned");
+  console.log('✅ Own hex is rejected');
+
+  assert.strictEqual(rules.validate("p2", 1, 0).reason, "not_adjacent");
+  console.log('✅ Player without territory cannot paint anywhere');
+}
+
+function testBatchOrder() {
+  console.log('\n=== Testing batch order ===');
+
+  const rules = new CaptureRules([hex(0, 0, "p1")]);
+  const path = [{ q: 1, r: 0 }, { q: 2, r: 0 }, { q: 3, r: 0 }];
+
+  for (const { q, r } of path) {
+    assert.strictEqual(rules.validate("p1", q, r).ok, true, `${q},${r} should be accepted`);
+    rules.recordCapture("p1", q, r, "#ff0000");
+  }
+  console.log('✅ Each accepted capture counts toward adjacency for the next');
+
+  const reversed = new CaptureRules([hex(0, 0, "p1")]);
+  assert.strictEqual(reversed.validate("p1", 3, 0).reason, "not_adjacent");
+  console.log('✅ Same path in the wrong order is rejected');
+}
+
+function testTerrain() {
+  console.log('\n=== Testing terrain ===');
+
+  const rules = new CaptureRules([
+    hex(0, 0, "p1"),
+    hex(1, 0, null, { terrain: "mountain" }),
+    hex(0, 1, null, { terrain: "river" }),
+    hex(1, 1, null, { terrain: "river" })
+  ]);
+
+  assert.strictEqual(rules.validate("p1", 1, 0).reason, "impassable");
+  console.log('✅ Mountains are impassable');
+
+  // 2,1 touches the river at 1,1 and p1 touches the river at 0,1
+  assert.strictEqual(rules.hasRiverAccess("p1"), true);
+  assert.strictEqual(rules.validate("p1", 2, 1).ok, true);
+  console.log('✅ River exception allows non-adjacent river hexes');
+
+  registerTerrain("lava", { passable: false });
+  const registered = new CaptureRules([
+    hex(0, 0, "p1"),
+    hex(1, 0, null, { terrain: "forest" }),
+    hex(-1, 0, null, { terrain: "lava" })
+  ]);
+  assert.strictEqual(registered.validate("p1", 1, 0).ok, true);
+  assert.strictEqual(registered.validate("p1", -1, 0).reason, "impassable");
+  console.log('✅ Passability comes from the terrain registry');
+}
+
+function testAutoCapture() {
+  console.log('\n=== Testing auto-capture ===');
+
+  const rules = new CaptureRules([
+    hex(1, 0, "p1"), hex(1, -1, "p1"), hex(0, -1, "p1"),
+    hex(-1, 0, "p2")
+  ]);
+
+  const capture = rules.evaluateAutoCapture(0, 0, 3);
+  assert.strictEqual(capture.attackerId, "p1");
+  assert.strictEqual(capture.prevOwnerId, null);
+  console.log('✅ Empty hex with enough neighbors is auto-captured');
+
+  const fortified = new CaptureRules([
+    hex(1, 0, "p1"), hex(1, -1, "p1"), hex(0, -1, "p1"),
+    hex(-1, 0, "p2", { upgrade: "fort" })
+  ]);
+  assert.strictEqual(fortified.evaluateAutoCapture(0, 0, 3), null);
+  console.log('✅ Enemy forts block auto-capture');
+}
+
+// Run tests
+function runTests() {
+  console.log('🧪 Testing capture rules');
+
+  try {
+    testAdjacency();
+    testBatchOrder();
+    testTerrain();
+    testAutoCapture();
+    console.log('\n🎉 All capture rule tests passed!');
+    return true;
+  } catch (error) {
+    console.error('\n❌ Capture rule test failed:', error.message);
+    process.exitCode = 1;
+    return false;
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
@@ -0,0 +1,145 @@
+// test-diplomacy.js
+const assert = require("assert");
+const { AllianceBook, pairKey } = require("../game/Diplomacy");
+const { CaptureRules } = require("../game/CaptureRules");
+const { checkVictory } = require("../game/VictoryRules");
+
+function testAllianceBook() {
+  console.log('\n=== Testing alliance book ===');
+
+  assert.strictEqual(pairKey("b", "a"), "a|b");
+  assert.strictEqual(pairKey("a", "b"), "a|b");
+  console.log('✅ Pair keys are order independent');
+
+  const book = new AllianceBook();
+  assert.deepStrictEqual(book.propose("a", "b", 0, 1000), { ok: true, formed: false });
+  assert.ok(!book.areAllied("a", "b"));
+  assert.deepStrictEqual(book.accept("a", "b", 500, 1000), { ok: true, formed: true });
+  assert.ok(book.areAllied("a", "b") && book.areAllied("b", "a"));
+  assert.strictEqual(book.propose("b", "a", 600, 1000).reason, "already_allied");
+  console.log('✅ A proposal followed by an accept forms an alliance');
+
+  book.propose("a", "c", 0, 1000);
+  assert.strictEqual(book.accept("a", "c", 2000, 1000).reason, "no_proposal");
+  console.log('✅ Proposals expire');
+
+  book.propose("c", "d", 0, 1000);
+  assert.deepStrictEqual(book.propose("d", "c", 10, 1000), { ok: true, formed: true });
+  console.log('✅ A counter-proposal accepts the standing one');
+
+  book.propose("b", "d", 0, 1000);
+  assert.ok(book.decline("b", "d").ok);
+  assert.strictEqual(book.accept("b", "d", 10, 1000).reason, "no_proposal");
+  assert.strictEqual(book.propose("a", "a").reason, "invalid");
+  console.log('✅ Declined and self proposals are rejected');
+
+  assert.ok(book.breakAlliance("b", "a").ok);
+  assert.ok(!book.areAllied("a", "b"));
+  assert.strictEqual(book.breakAlliance("a", "b").reason, "not_allied");
+  console.log('✅ Alliances can be broken');
+
+  const restored = new AllianceBook([["x", "y"], ["y", "z"]]);
+  assert.deepStrictEqual(restored.alliesOf("y").sort(), ["x", "z"]);
+  assert.deepStrictEqual(restored.removePlayer("y").sort(), ["x", "z"]);
+  assert.deepStrictEqual(restored.toJSON(), []);
+  console.log('✅ Removing a player ends their alliances');
+}
+
+function testAlliedCapture() {
+  console.log('\n=== Testing allied captures ===');
+
+  const book = new AllianceBook([["p1", "p2"]]);
+  const areAllied = (a, b) => book.areAllied(a, b);
+  const hexes = [
+    { q: "0", r: "0", playerId: "p1" },
+    { q: "1", r: "0", playerId: "p2" },
+    { q: "0", r: "1", playerId: "p3" }
+  ];
+  const rules = new CaptureRules(hexes, null, areAllied);
+
+  assert.strictEqual(rules.validate("p1", 1, 0).reason, "allied");
+  assert.ok(rules.validate("p1", 0, 1).ok);
+  console.log('✅ Allies cannot capture each other\'s hexes');
+
+  // p2's hex at 1,0 fully enclosed by p1 stays p2's
+  const ring = [
+    { q: "1", r: "0", playerId: "p2" },
+    ...[[2, 0], [2, -1], [1, -1], [0, 0], [0, 1], [1, 1]].map(([q, r]) => ({ q: String(q), r: String(r), playerId: "p1" }))
+  ];
+  assert.strictEqual(new CaptureRules(ring, null, areAllied).evaluateAutoCapture(1, 0, 3), null);
+  assert.ok(new CaptureRules(ring).evaluateAutoCapture(1, 0, 3));
+  console.log('✅ Auto-capture ignores allied hexes');
+}
+
+function testSharedVictory() {
+  console.log('\n=== Testing shared victory ===');
+
+  const rules = { victoryConditions: ["lastCrown", "mapControl"], victoryMapControlPercent: 60, victoryMapControlMinTiles: 1 };
+  const players = ["p1", "p2", "p3"].map(id => ({ id, started: true }));
+  const hexes = [
+    { q: "0", r: "0", playerId: "p1", isStart: "true" },
+    { q: "5", r: "0", playerId: "p2", isStart: "true" },
+    { q: "9", r: "0", playerId: "p3" }
+  ];
+  const book = new AllianceBook([["p1", "p2"]]);
+  const areAllied = (a, b) => book.areAllied(a, b);
+
+  assert.strictEqual(checkVictory({ hexes, players, rules, elapsed: 0, boardSize: 100 }), null);
+  assert.deepStrictEqual(checkVictory({ hexes, players, rules, elapsed: 0, boardSize: 100, areAllied }),
+    { reason: "lastCrown", winnerIds: ["p1", "p2"] });
+  console.log('✅ Allies holding the last crowns win together');
+
+  const pair = players.slice(0, 2);
+  assert.strictEqual(checkVictory({ hexes: hexes.slice(0, 2), players: pair, rules, elapsed: 0, boardSize: 100, areAllied }), null);
+  const allyBeaten = [...hexes.slice(0, 2), { q: "9", r: "0", playerId: "p2" }];
+  const p3AlliedToo = (a, b) => areAllied(a, b) || [a, b].includes("p3");
+  assert.strictEqual(checkVictory({ hexes: allyBeaten, players, rules, elapsed: 0, boardSize: 100, areAllied: p3AlliedToo }), null);
+  console.log('✅ Allies cannot win together before they have beaten an opponent outside the alliance');
+
+  const spread = [
+    ...Array.from({ length: 4 }, (_, i) => ({ q: String(i), r: "0", playerId: "p1" })),
+    ...Array.from({ length: 3 }, (_, i) => ({ q: String(i), r: "1", playerId: "p2" }))
+  ];
+  const mapRules = { ...rules, victoryConditions: ["mapControl"] };
+  assert.strictEqual(checkVictory({ hexes: spread, players, rules: mapRules, elapsed: 0, boardSize: 10 }), null);
+  assert.deepStrictEqual(checkVictory({ hexes: spread, players, rules: mapRules, elapsed: 0, boardSize: 10, areAllied }),
+    { reason: "mapControl", winnerIds: ["p1", "p2"] });
+  console.log('✅ Allied tiles count together for map control');
+
+  // p1 is allied with p2 and p3, who are enemies: they never win together
+  const star = new AllianceBook([["p1", "p2"], ["p1", "p3"]]);
+  const starAllied = (a, b) => star.areAllied(a, b);
+  const three = [
+    ...Array.from({ length: 3 }, (_, i) => ({ q: String(i), r: "0", playerId: "p1" })),
+    ...Array.from({ length: 2 }, (_, i) => ({ q: String(i), r: "1", playerId: "p2" })),
+    ...Array.from({ length: 2 }, (_, i) => ({ q: String(i), r: "2", playerId: "p3" }))
+  ];
+  assert.strictEqual(checkVictory({ hexes: three, players, rules: mapRules, elapsed: 0, boardSize: 10, areAllied: starAllied }), null);
+  const bigger = [...three, { q: "9", r: "1", playerId: "p2" }];
+  assert.deepStrictEqual(checkVictory({ hexes: bigger, players, rules: mapRules, elapsed: 0, boardSize: 10, areAllied: starAllied }),
+    { reason: "mapControl", winnerIds: ["p1", "p2"] });
+  console.log('✅ Allies of allies who are enemies do not share map control');
+}
+
+// Run tests
+function runTests() {
+  console.log('🧪 Testing diplomacy');
+
+  try {
+    testAllianceBook();
+    testAlliedCapture();
+    testSharedVictory();
+    console.log('\n🎉 All diplomacy tests passed!');
+    return true;
+  } catch (error) {
+    console.error('\n❌ Diplomacy test failed:', error.message);
+    process.exitCode = 1;
+    return false;
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
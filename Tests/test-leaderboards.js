@@ -0,0 +1,68 @@
+// test-leaderboards.js
+const assert = require("assert");
+const { LEADERBOARDS, isLeaderboard, leaderboardUpdates, seasonAt, seasonBounds } = require("../game/Leaderboards");
+
+const rules = { seasonEpoch: Date.UTC(2025, 0, 1), seasonLength: 30 * 24 * 60 * 60 * 1000 };
+
+function testUpdates() {
+  console.log('\n=== Testing leaderboard updates ===');
+
+  assert.ok(isLeaderboard("fastest") && !isLeaderboard("toString"));
+  assert.ok(LEADERBOARDS.fastest.lowestFirst && !LEADERBOARDS.wins.lowestFirst);
+  console.log('✅ Boards are known and fastest victory ranks lowest first');
+
+  const updates = leaderboardUpdates([
+    { playerId: "a", won: true, captures: 40, rating: 1216, duration: 300000 },
+    { playerId: "b", won: false, captures: 12, rating: null, duration: 300000 }
+  ], { a: { before: 1200, after: 1216, delta: 16 }, b: { before: 1200, after: 1184, delta: -16 } });
+  assert.deepStrictEqual(updates, [
+    { board: "tiles", playerId: "a", op: "incr", value: 40 },
+    { board: "rating", playerId: "a", op: "set", value: 1216 },
+    { board: "wins", playerId: "a", op: "incr", value: 1 },
+    { board: "fastest", playerId: "a", op: "min", value: 300000 },
+    { board: "tiles", playerId: "b", op: "incr", value: 12 }
+  ]);
+  console.log('✅ Winners add a win and a victory time, everyone adds captures, rated players set their rating');
+
+  const botGame = [{ playerId: "a", won: true, captures: 40, rating: 1200, duration: 1000 }];
+  assert.deepStrictEqual(leaderboardUpdates(botGame, {}), []);
+  assert.deepStrictEqual(leaderboardUpdates(botGame), []);
+  console.log('✅ Unrated games, such as games against bots only, update no board');
+}
+
+function testSeasons() {
+  console.log('\n=== Testing seasons ===');
+
+  assert.strictEqual(seasonAt(rules.seasonEpoch, rules), 1);
+  assert.strictEqual(seasonAt(rules.seasonEpoch + rules.seasonLength - 1, rules), 1);
+  assert.strictEqual(seasonAt(rules.seasonEpoch + rules.seasonLength, rules), 2);
+  assert.strictEqual(seasonAt(rules.seasonEpoch - 1000, rules), 1);
+  console.log('✅ Seasons roll over every seasonLength');
+
+  const third = seasonBounds(3, rules);
+  assert.strictEqual(third.start, rules.seasonEpoch + 2 * rules.seasonLength);
+  assert.strictEqual(third.end - third.start, rules.seasonLength);
+  assert.strictEqual(seasonAt(third.start, rules), 3);
+  console.log('✅ Season bounds match seasonAt');
+}
+
+function runTests() {
+  console.log('🧪 Testing leaderboards');
+
+  try {
+    testUpdates();
+    testSeasons();
+    console.log('\n🎉 All leaderboard tests passed!');
+    return true;
+  } catch (error) {
+    console.error('\n❌ Leaderboard test failed:', error.message);
+    process.exitCode = 1;
+    return false;
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
@@ -0,0 +1,75 @@
+// test-map-template.js
+const assert = require("assert");
+const { validateMapTemplate, templateHexes } = require("../game/MapTemplate");
+
+function baseTemplate(extra = {}) {
+  return {
+    name: "Twin-Rivers",
+    board: { type: "hexagon", radius: 3 },
+    terrain: [{ q: 1, r: 0, terrain: "mountain" }, { q: 0, r: 1, terrain: "forest" }],
+    starts: [{ q: -2, r: 0 }, { q: 2, r: -1 }],
+    structures: [{ q: 0, r: 1, upgrade: "fort" }],
+    ...extra
+  };
+}
+
+function testValidTemplate() {
+  console.log('\n=== Testing a valid template ===');
+
+  const { template, error } = validateMapTemplate(baseTemplate());
+  assert.strictEqual(error, undefined);
+  assert.strictEqual(template.name, "twin-rivers");
+  assert.deepStrictEqual(template.board, { type: "hexagon", radius: 3 });
+  assert.strictEqual(template.starts.length, 2);
+  console.log('✅ Template is normalized');
+
+  const hexes = templateHexes(template);
+  assert.deepStrictEqual(hexes.find(h => h.q === 0 && h.r === 1), { q: 0, r: 1, terrain: "forest", upgrade: "fort" });
+  console.log('✅ Structures keep the terrain under them');
+}
+
+function testInvalidTemplates() {
+  console.log('\n=== Testing invalid templates ===');
+
+  assert.ok(validateMapTemplate(baseTemplate({ name: "x" })).error);
+  console.log('✅ Short names are rejected');
+
+  assert.ok(validateMapTemplate(baseTemplate({ board: { type: "hexagon", radius: 20000 } })).error);
+  assert.ok(validateMapTemplate(baseTemplate({ board: { type: "rectangle", width: 1e9, height: 2 } })).error);
+  assert.ok(validateMapTemplate(baseTemplate({ board: { type: "hexagon", radius: 90 } })).error);
+  console.log('✅ Oversized boards are rejected');
+
+  assert.ok(validateMapTemplate(baseTemplate({ terrain: [{ q: 9, r: 0, terrain: "forest" }] })).error);
+  console.log('✅ Terrain off the board is rejected');
+
+  assert.ok(validateMapTemplate(baseTemplate({ terrain: [{ q: 0, r: 0, terrain: "lava-lake" }] })).error);
+  console.log('✅ Unknown terrain is rejected');
+
+  assert.ok(validateMapTemplate(baseTemplate({ starts: [{ q: 1, r: 0 }] })).error);
+  console.log('✅ Starts on mountains are rejected');
+
+  assert.ok(validateMapTemplate(baseTemplate({ structures: [{ q: 0, r: 0, upgrade: "castle" }] })).error);
+  console.log('✅ Unknown structures are rejected');
+}
+
+// Run tests
+function runTests() {
+  console.log('🧪 Testing map templates');
+
+  try {
+    testValidTemplate();
+    testInvalidTemplates();
+    console.log('\n🎉 All map template tests passed!');
+    return true;
+  } catch (error) {
+    console.error('\n❌ Map template test failed:', error.message);
+    process.exitCode = 1;
+    return false;
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
@@ -0,0 +1,83 @@
+// test-match-stats.js
+const assert = require("assert");
+const { MatchStats, summarizeMatch } = require("../game/MatchStats");
+
+function testStats() {
+  console.log('\n=== Testing match stats ===');
+
+  const stats = new MatchStats();
+  stats.recordCapture("a");
+  stats.recordCapture("a");
+  stats.recordUpgrade("a");
+  assert.deepStrictEqual(stats.get("a"), { captures: 2, upgrades: 1, peakTiles: 0 });
+  assert.deepStrictEqual(stats.get("b"), { captures: 0, upgrades: 0, peakTiles: 0 });
+  console.log('✅ Captures and upgrades are counted per player');
+
+  const owned = (playerId, count) => Array.from({ length: count }, () => ({ playerId }));
+  stats.recordBoard([...owned("a", 5), ...owned("b", 2), { terrain: "mountain" }]);
+  stats.recordBoard([...owned("a", 3), ...owned("b", 4)]);
+  assert.strictEqual(stats.get("a").peakTiles, 5);
+  assert.strictEqual(stats.get("b").peakTiles, 4);
+  console.log('✅ Peak tiles keep the highest sample');
+}
+
+function testSummary() {
+  console.log('\n=== Testing match summaries ===');
+
+  const stats = new MatchStats();
+  stats.recordCapture("a");
+  stats.recordBoard([{ playerId: "a" }, { playerId: "a" }]);
+
+  const result = {
+    gameId: "g1",
+    reason: "lastCrown",
+    winners: ["a"],
+    standings: [
+      { playerId: "a", color: "#f00", tiles: 7, rank: 1, team: null },
+      { playerId: "b", color: "#00f", tiles: 0, rank: 2, team: null }
+    ],
+    ranked: true,
+    ratingChanges: { a: { before: 1200, after: 1216, delta: 16 } },
+    endedAt: 5000,
+    duration: 4000
+  };
+
+  const a = summarizeMatch(result, "a", stats);
+  assert.strictEqual(a.playerId, "a");
+  assert.strictEqual(a.placement, 1);
+  assert.strictEqual(a.players, 2);
+  assert.ok(a.won && a.ranked);
+  assert.strictEqual(a.peakTiles, 7);
+  assert.strictEqual(a.captures, 1);
+  assert.strictEqual(a.rating, 1216);
+  assert.strictEqual(a.ratingDelta, 16);
+  assert.strictEqual(a.rulePreset, "classic");
+  console.log('✅ The summary has placement, final and peak tiles, captures and rating');
+
+  const b = summarizeMatch(result, "b", stats);
+  assert.ok(!b.won);
+  assert.strictEqual(b.placement, 2);
+  assert.strictEqual(b.ratingDelta, null);
+  console.log('✅ Players without a rating change get null rating fields');
+}
+
+function runTests() {
+  console.log('🧪 Testing match stats and summaries');
+
+  try {
+    testStats();
+    testSummary();
+    console.log('\n🎉 All match stats tests passed!');
+    return true;
+  } catch (error) {
+    console.error('\n❌ Match stats test failed:', error.message);
+    process.exitCode = 1;
+    return false;
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
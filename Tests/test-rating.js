@@ -0,0 +1,104 @@
+// test-rating.js
+const assert = require("assert");
+const config = require("../config");
+const { expectedScore, rateGame } = require("../game/Rating");
+const { ratingBand, findRankedMatch } = require("../game/Matchmaking");
+
+const rules = config.game;
+const veteran = rating => ({ rating, games: 50 });
+
+function testRating() {
+  console.log('\n=== Testing rating changes ===');
+
+  assert.strictEqual(expectedScore(1200, 1200), 0.5);
+  assert.ok(expectedScore(1400, 1200) > 0.75);
+  console.log('✅ Expected scores follow the rating gap');
+
+  const standings = [
+    { playerId: "a", rank: 1 },
+    { playerId: "b", rank: 2 },
+    { playerId: "c", rank: 3 }
+  ];
+  const even = rateGame(standings, ["a"], { a: veteran(1200), b: veteran(1200), c: veteran(1200) }, rules);
+  assert.strictEqual(even.a.delta, rules.ratingK / 2);
+  assert.strictEqual(even.b.delta, 0);
+  assert.strictEqual(even.c.delta, -rules.ratingK / 2);
+  assert.strictEqual(even.a.after, 1200 + rules.ratingK / 2);
+  console.log('✅ Winners gain, the middle breaks even, last place loses');
+
+  const upset = rateGame(standings.slice(0, 2), ["a"], { a: veteran(1000), b: veteran(1400) }, rules);
+  const expected = rateGame(standings.slice(0, 2), ["a"], { a: veteran(1400), b: veteran(1000) }, rules);
+  assert.ok(upset.a.delta > expected.a.delta);
+  console.log('✅ Beating a stronger player is worth more');
+
+  const fresh = rateGame(standings.slice(0, 2), ["a"], {}, rules);
+  assert.strictEqual(fresh.a.before, rules.ratingInitial);
+  assert.strictEqual(fresh.a.delta, rules.ratingProvisionalK / 2);
+  console.log('✅ New players start at ratingInitial and move faster');
+
+  const withBot = [{ playerId: "a", rank: 1 }, { playerId: "bot:x", rank: 2 }];
+  assert.deepStrictEqual(rateGame(withBot, ["a"], {}, rules), {});
+  console.log('✅ Bots are never rated and a human alone is not rated');
+
+  const teams = { a: 0, b: 0, c: 1, d: 1 };
+  const sameTeam = (x, y) => x !== y && teams[x] === teams[y];
+  const teamStandings = ["a", "c", "b", "d"].map((playerId, i) => ({ playerId, rank: i + 1 }));
+  const ratings = { a: veteran(1200), b: veteran(1200), c: veteran(1200), d: veteran(1200) };
+  const teamGame = rateGame(teamStandings, ["a", "b"], ratings, rules, sameTeam);
+  assert.strictEqual(teamGame.a.delta, teamGame.b.delta);
+  assert.strictEqual(teamGame.c.delta, -teamGame.a.delta);
+  console.log('✅ Teammates are not compared with each other');
+}
+
+function testMatchmaking() {
+  console.log('\n=== Testing ranked matchmaking ===');
+
+  assert.strictEqual(ratingBand(0, rules), rules.rankedBandStart);
+  assert.strictEqual(ratingBand(rules.rankedBandInterval * 2, rules), rules.rankedBandStart + 2 * rules.rankedBandGrowth);
+  assert.strictEqual(ratingBand(Number.MAX_SAFE_INTEGER, rules), rules.rankedBandMax);
+  console.log('✅ The band widens while waiting, up to rankedBandMax');
+
+  const now = 1000000;
+  const full = ["a", "b", "c", "d", "e"].map((playerId, i) => ({ playerId, rating: 1200 + i * 10, queuedAt: now - i }));
+  const match = findRankedMatch(full, now, rules);
+  assert.strictEqual(match.length, rules.rankedPlayers);
+  assert.strictEqual(match[0].playerId, "e");
+  assert.ok(!match.some(m => m.playerId === "a"));
+  console.log('✅ The longest waiting player is matched with the closest ratings');
+
+  const apart = [
+    { playerId: "a", rating: 1000, queuedAt: now },
+    { playerId: "b", rating: 1500, queuedAt: now }
+  ];
+  assert.strictEqual(findRankedMatch(apart, now, rules), null);
+  console.log('✅ Players far apart are not matched straight away');
+
+  const waitedOut = now + rules.rankedBandInterval * 100;
+  assert.deepStrictEqual(findRankedMatch(apart, waitedOut, rules).map(m => m.playerId), ["a", "b"]);
+  console.log('✅ A short game starts once the band is fully widened');
+
+  const close = apart.map((p, i) => ({ ...p, rating: 1200 + i * 20 }));
+  assert.strictEqual(findRankedMatch(close, now, rules), null);
+  console.log('✅ A short game waits for more players while the band can still grow');
+}
+
+function runTests() {
+  console.log('🧪 Testing ratings and ranked matchmaking');
+
+  try {
+    testRating();
+    testMatchmaking();
+    console.log('\n🎉 All rating tests passed!');
+    return true;
+  } catch (error) {
+    console.error('\n❌ Rating test failed:', error.message);
+    process.exitCode = 1;
+    return false;
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
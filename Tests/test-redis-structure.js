@@ -83,7 +83,7 @@ async function testRedisStructure() {
     console.log(`   - games:${gameId}:players`);
     console.log(`   - games:${gameId}:hexes`);
     console.log(`   - games:${gameId}:points`);
-    console.log(`   - games:${gameId}:events`);
+    console.log(`   - games:${gameId}:log`);
     
   } catch (error) {
     console.error('❌ Test failed:', error);
@@ -0,0 +1,123 @@
+// test-replay-analytics.js
+const assert = require("assert");
+const config = require("../config");
+const { replayEvent, rebuildBoard } = require("../game/ReplayLog");
+const { computeIncome } = require("../game/Economy");
+const { MAX_ANALYTICS_SAMPLES, analyticsRules, analyzeReplay } = require("../game/ReplayAnalytics");
+
+const rules = { ...config.game, replayAnalyticsSamples: 10, replayWaveWindow: 100, replayWaveMinCaptures: 3 };
+
+function capture(playerId, color, q, r, t, auto = false) {
+  return replayEvent("capture", { playerId, color, q, r, cost: auto ? 0 : 10, prevOwnerId: null, auto }, t);
+}
+
+function sampleEvents() {
+  return [
+    replayEvent("game-start", { seed: "abc", map: [], players: [] }, 1000),
+    replayEvent("join", { playerId: "a", username: "Ann", color: "#f00", bot: false }, 1000),
+    replayEvent("join", { playerId: "b", username: "Bob", color: "#00f", bot: false }, 1000),
+    replayEvent("start", { playerId: "a", color: "#f00", q: 0, r: 0, assigned: false }, 1100),
+    replayEvent("start", { playerId: "b", color: "#00f", q: 3, r: 0, assigned: false }, 1100),
+    capture("a", "#f00", 1, 0, 1200),
+    // a wave of four auto-captures, then two that are too few to count
+    capture("b", "#00f", 2, 0, 1500, true),
+    capture("b", "#00f", 3, 1, 1550, true),
+    capture("b", "#00f", 4, 0, 1600, true),
+    capture("b", "#00f", 2, 1, 1650, true),
+    capture("b", "#00f", 4, -1, 1900, true),
+    capture("b", "#00f", 4, 1, 1950, true),
+    replayEvent("upgrade", { playerId: "a", q: 1, r: 0, upgrade: "bank", cost: 50 }, 2000),
+    capture("a", "#f00", 2, 0, 2100),
+    capture("a", "#f00", 3, 0, 2200),
+    replayEvent("eliminate", { playerId: "b", by: "a", color: "#f00", q: 3, r: 0, hexRule: "transfer" }, 2200),
+    replayEvent("game-over", { reason: "lastCrown", winners: ["a"], standings: [] }, 2300)
+  ];
+}
+
+function testCharts() {
+  console.log('\n=== Testing territory and income charts ===');
+
+  const events = sampleEvents();
+  const analytics = analyzeReplay(events, rules);
+  assert.strictEqual(analytics.duration, 1300);
+  assert.deepStrictEqual(analytics.players.map(p => [p.playerId, p.username, p.color]), [
+    ["a", "Ann", "#f00"],
+    ["b", "Bob", "#00f"]
+  ]);
+  console.log('✅ Every player who held territory is listed with their color');
+
+  const times = analytics.samples.map(s => s.time);
+  assert.strictEqual(times[0], 0);
+  assert.strictEqual(times[times.length - 1], analytics.duration);
+  assert.ok(times.every((t, i) => i === 0 || t > times[i - 1]));
+  assert.ok(analytics.samples.length <= rules.replayAnalyticsSamples + 2);
+  console.log('✅ Samples cover the game from start to end');
+
+  const midway = analytics.samples.find(s => s.time === 650);
+  assert.strictEqual(midway.applied, 10);
+  assert.strictEqual(midway.players.b.tiles, 5);
+  assert.strictEqual(midway.players.a.tiles, 2);
+  console.log('✅ A sample is the board after every event up to its time');
+
+  const last = analytics.samples[analytics.samples.length - 1];
+  const final = rebuildBoard(events).toHexes().filter(h => h.playerId === "a");
+  assert.strictEqual(last.players.a.tiles, final.length);
+  assert.strictEqual(last.players.a.income, computeIncome(final, rules, 2300).net);
+  assert.strictEqual(last.players.b, undefined);
+  console.log('✅ Tiles and income match the rebuilt board');
+}
+
+function testHeatmapAndMarkers() {
+  console.log('\n=== Testing the heatmap and markers ===');
+
+  const analytics = analyzeReplay(sampleEvents(), rules);
+  assert.deepStrictEqual(analytics.heatmap[0], [2, 0, 2]);
+  assert.strictEqual(analytics.heatmap.reduce((sum, [, , n]) => sum + n, 0), 9);
+  console.log('✅ The heatmap counts captures per hex, most captured first');
+
+  assert.deepStrictEqual(analytics.markers.map(m => m.type), ["wave", "crown"]);
+  const [wave, crown] = analytics.markers;
+  assert.deepStrictEqual([wave.playerId, wave.count, wave.time, wave.index], ["b", 4, 500, 6]);
+  assert.deepStrictEqual([crown.playerId, crown.by, crown.q, crown.r, crown.time, crown.index], ["b", "a", 3, 0, 1200, 15]);
+  console.log('✅ Crown losses and big auto-capture waves are marked; small waves are not');
+
+  assert.deepStrictEqual(analyzeReplay([], rules), { duration: 0, players: [], samples: [], heatmap: [], markers: [] });
+  console.log('✅ An empty log has empty analytics');
+}
+
+function testLimits() {
+  console.log('\n=== Testing sample limits ===');
+
+  const long = [replayEvent("game-start", {}, 0), replayEvent("game-over", {}, 1e10)];
+  const analytics = analyzeReplay(long, { ...rules, replayAnalyticsSamples: 1e12 });
+  assert.ok(analytics.samples.length <= MAX_ANALYTICS_SAMPLES + 2);
+  console.log('✅ Samples are capped however many the rules ask for');
+
+  const merged = analyticsRules({ baseIncome: 99, replayAnalyticsSamples: 1e12 }, config.game);
+  assert.strictEqual(merged.baseIncome, 99);
+  assert.strictEqual(merged.replayAnalyticsSamples, config.game.replayAnalyticsSamples);
+  assert.strictEqual(analyticsRules({}, config.game).replayWaveWindow, config.game.replayWaveWindow);
+  console.log('✅ Replay settings always come from the server');
+}
+
+function runTests() {
+  console.log('🧪 Testing replay analytics');
+
+  try {
+    testCharts();
+    testHeatmapAndMarkers();
+    testLimits();
+    console.log('\n🎉 All replay analytics tests passed!');
+    return true;
+  } catch (error) {
+    console.error('\n❌ Replay analytics test failed:', error.message);
+    process.exitCode = 1;
+    return false;
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
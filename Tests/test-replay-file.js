@@ -0,0 +1,126 @@
+// test-replay-file.js
+const assert = require("assert");
+const zlib = require("zlib");
+const config = require("../config");
+const { BoardShape } = require("../game/BoardShape");
+const { REPLAY_VERSION, replayEvent, rebuildBoard, buildSnapshots } = require("../game/ReplayLog");
+const { REPLAY_FILE_FORMAT, buildReplayFile, encodeReplayFile, readReplayFile } = require("../game/ReplayFile");
+
+const MAX_BYTES = config.game.replayFileMaxBytes;
+
+function sampleFile() {
+  const events = [
+    replayEvent("game-start", {
+      seed: "abc",
+      map: [[1, 1, "forest", ""]],
+      players: [{ playerId: "a", username: "Ann", color: "#f00", team: 0, bot: false }]
+    }, 100),
+    replayEvent("join", { playerId: "a", username: "Ann", color: "#f00", bot: false }, 101),
+    replayEvent("join", { playerId: "bot:1", username: "Bot", color: "#00f", bot: true }, 102),
+    replayEvent("start", { playerId: "a", color: "#f00", q: 0, r: 0, assigned: false }, 103),
+    replayEvent("capture", { playerId: "a", color: "#f00", q: 1, r: 1, cost: 20, prevOwnerId: null, auto: false }, 104),
+    replayEvent("game-over", { reason: "lastCrown", winners: ["a"], standings: [] }, 105)
+  ];
+
+  return buildReplayFile({
+    gameId: "g1",
+    game: { seed: "abc", mapTemplate: "", teamMode: "ffa", rulePreset: "blitz", ranked: "true" },
+    rules: { baseIncome: 10, fogOfWar: false, rulePreset: "blitz" },
+    board: BoardShape.from(config.game.boardShape),
+    result: { gameId: "g1", reason: "lastCrown", winners: ["a"], standings: [] },
+    events,
+    snapshots: buildSnapshots(events, { replaySnapshotEvents: 3, replaySnapshotInterval: 1000000 })
+  });
+}
+
+function testBuild() {
+  console.log('\n=== Testing replay file contents ===');
+
+  const file = sampleFile();
+  assert.strictEqual(file.format, REPLAY_FILE_FORMAT);
+  assert.strictEqual(file.version, REPLAY_VERSION);
+  assert.strictEqual(file.rulePreset, "blitz");
+  assert.strictEqual(file.ranked, true);
+  assert.strictEqual(file.mapTemplate, null);
+  assert.deepStrictEqual(file.board, BoardShape.from(config.game.boardShape).toJSON());
+  assert.deepStrictEqual(file.players.map(p => [p.playerId, p.username, p.team, p.bot]), [
+    ["a", "Ann", 0, false],
+    ["bot:1", "Bot", null, true]
+  ]);
+  assert.strictEqual(file.snapshots.length, 2);
+  console.log('✅ The file has the map, players, rules, result, events and snapshots');
+}
+
+function testRoundTrip() {
+  console.log('\n=== Testing export and import ===');
+
+  const file = sampleFile();
+  const encoded = encodeReplayFile(file);
+  assert.strictEqual(encoded[0], 0x1f);
+  assert.ok(encoded.length < JSON.stringify(file).length);
+
+  const { replay, error } = readReplayFile(encoded, MAX_BYTES);
+  assert.strictEqual(error, undefined);
+  assert.deepStrictEqual(replay, file);
+  assert.deepStrictEqual(rebuildBoard(replay.events).toHexes(), rebuildBoard(file.events).toHexes());
+  console.log('✅ A gzipped file reads back unchanged and replays the same board');
+
+  assert.deepStrictEqual(readReplayFile(Buffer.from(JSON.stringify(file)), MAX_BYTES).replay, file);
+  console.log('✅ Plain JSON files are accepted too');
+}
+
+function testRejects() {
+  console.log('\n=== Testing invalid files ===');
+
+  const file = sampleFile();
+  const read = changes => readReplayFile(encodeReplayFile({ ...file, ...changes }), MAX_BYTES).error;
+
+  assert.ok(readReplayFile(Buffer.alloc(0), MAX_BYTES).error);
+  assert.ok(readReplayFile(Buffer.from("not json"), MAX_BYTES).error);
+  assert.ok(readReplayFile(zlib.gzipSync(Buffer.from("{")), MAX_BYTES).error);
+  assert.ok(read({ format: "something-else" }));
+  assert.ok(read({ version: REPLAY_VERSION + 1 }));
+  assert.ok(read({ gameId: "" }));
+  assert.ok(read({ board: { type: "mask", cells: [] } }));
+  assert.ok(read({ events: [] }));
+  assert.ok(read({ events: [{ type: "capture" }] }));
+  assert.ok(read({ snapshots: [{ applied: 99, hexes: [], players: [] }] }));
+  assert.ok(read({ snapshots: [{ applied: -2, hexes: [], players: [] }] }));
+  assert.ok(read({ snapshots: [{ applied: 1, hexes: [null], players: [] }] }));
+  assert.ok(read({ snapshots: [{ applied: 1, hexes: [{ q: "0", r: 0 }], players: [] }] }));
+  assert.ok(read({ snapshots: [{ applied: 1, hexes: [], players: [null] }] }));
+  assert.ok(read({ snapshots: [{ applied: 1, hexes: [], players: [{ username: "x" }] }] }));
+  assert.ok(read({ board: { type: "hexagon", radius: 20000 } }));
+  assert.ok(read({ events: [...file.events].reverse() }));
+  console.log('✅ Broken or foreign files are rejected with an error');
+
+  assert.strictEqual(readReplayFile(encodeReplayFile(file), 100).error, "file too large");
+  console.log('✅ Files that unpack past the size limit are rejected');
+
+  const rules = { ...file.rules, replayAnalyticsSamples: 1e12, terrainPatches: { forest: {} }, startDelay: NaN };
+  assert.deepStrictEqual(readReplayFile(encodeReplayFile({ ...file, rules }), MAX_BYTES).replay.rules, file.rules);
+  assert.deepStrictEqual(readReplayFile(encodeReplayFile({ ...file, rules: "blitz" }), MAX_BYTES).replay.rules, {});
+  console.log('✅ Rules keep plain values only, without replay settings');
+}
+
+function runTests() {
+  console.log('🧪 Testing replay files');
+
+  try {
+    testBuild();
+    testRoundTrip();
+    testRejects();
+    console.log('\n🎉 All replay file tests passed!');
+    return true;
+  } catch (error) {
+    console.error('\n❌ Replay file test failed:', error.message);
+    process.exitCode = 1;
+    return false;
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
@@ -0,0 +1,194 @@
+// test-replay-log.js
+const assert = require("assert");
+const {
+  REPLAY_VERSION,
+  replayEvent,
+  ReplayBoard,
+  rebuildBoard,
+  snapshotDue,
+  buildSnapshots,
+  nearestSnapshot,
+  seekBoard,
+  eventIndexAt,
+  fromLegacyEvents
+} = require("../game/ReplayLog");
+const { terrainColor } = require("../game/Terrain");
+const { cityPopulation } = require("../game/Economy");
+const config = require("../config");
+
+function gameEvents(hexRule) {
+  return [
+    replayEvent("game-start", {
+      seed: "abc",
+      map: [[2, 0, "mountain", ""], [0, 2, "forest", ""], [3, 3, "", "city"]],
+      players: [{ playerId: "a", username: "Ann", color: "#f00", team: null, bot: false }]
+    }, 0),
+    replayEvent("join", { playerId: "a", username: "Ann", color: "#f00", bot: false }, 1),
+    replayEvent("join", { playerId: "b", username: "Bot", color: "#00f", bot: true }, 2),
+    replayEvent("start", { playerId: "a", color: "#f00", q: 0, r: 0, assigned: false }, 3),
+    replayEvent("start", { playerId: "b", color: "#00f", q: 1, r: 1, assigned: true }, 4),
+    replayEvent("capture", { playerId: "a", color: "#f00", q: 1, r: 0, cost: 10, prevOwnerId: null, auto: false }, 5),
+    replayEvent("capture", { playerId: "b", color: "#00f", q: 0, r: 2, cost: 25, prevOwnerId: null, auto: false }, 6),
+    replayEvent("capture", { playerId: "b", color: "#00f", q: 0, r: 1, cost: 0, prevOwnerId: null, auto: true }, 7),
+    replayEvent("upgrade", { playerId: "b", q: 0, r: 1, upgrade: "fort", cost: 50 }, 8),
+    replayEvent("capture", { playerId: "a", color: "#f00", q: 1, r: 1, cost: 40, prevOwnerId: "b", auto: false }, 9),
+    replayEvent("eliminate", { playerId: "b", by: "a", color: "#f00", q: 1, r: 1, hexRule }, 10),
+    replayEvent("leave", { playerId: "b" }, 11),
+    replayEvent("game-over", { reason: "lastCrown", winners: ["a"], standings: [] }, 12)
+  ];
+}
+
+function testEvents() {
+  console.log('\n=== Testing replay events ===');
+
+  const event = replayEvent("capture", { playerId: "a", q: 1, r: 2 }, 42);
+  assert.deepStrictEqual(event, { v: REPLAY_VERSION, type: "capture", t: 42, playerId: "a", q: 1, r: 2 });
+  console.log('✅ Events carry the schema version, type and time');
+
+  const board = new ReplayBoard().apply(gameEvents("neutral")[0]);
+  assert.strictEqual(board.hexes.get("2,0").terrain, "mountain");
+  assert.strictEqual(board.hexes.get("2,0").color, terrainColor("mountain"));
+  assert.strictEqual(board.hexes.get("3,3").upgrade, "city");
+  assert.strictEqual(board.info.seed, "abc");
+  console.log('✅ game-start lays out the neutral map');
+}
+
+// Template cities and captured cities grow from when they were placed or taken
+function testCityClock() {
+  console.log('\n=== Testing city growth clocks ===');
+
+  const events = [
+    gameEvents("neutral")[0],
+    replayEvent("capture", { playerId: "a", color: "#f00", q: 3, r: 3, cost: 30, prevOwnerId: null, auto: false }, 5000)
+  ];
+  assert.strictEqual(rebuildBoard(events, 1).hexes.get("3,3").upgradeTime, 0);
+  assert.strictEqual(rebuildBoard(events).hexes.get("3,3").upgradeTime, 5000);
+  assert.strictEqual(rebuildBoard(gameEvents("neutral"), 6).hexes.get("1,0").upgradeTime, null);
+  console.log('✅ Replayed template cities start growing at game start and again when captured');
+
+  const interval = config.game.cityGrowthInterval;
+  const captured = { upgrade: "city", captureTime: String(1000) };
+  assert.strictEqual(cityPopulation(captured, config.game, 1000 + 4 * interval),
+    Math.min(config.game.cityMaxPopulation, config.game.cityStartPopulation + 4));
+  console.log('✅ Stored cities without upgradeTime grow from their capture time');
+}
+
+function testRebuild() {
+  console.log('\n=== Testing board rebuilds ===');
+
+  const events = gameEvents("transfer");
+  const midway = rebuildBoard(events, 9);
+  assert.strictEqual(midway.applied, 9);
+  assert.strictEqual(midway.hexes.get("1,1").isStart, true);
+  assert.strictEqual(midway.hexes.get("0,1").upgrade, "fort");
+  assert.strictEqual(midway.hexes.get("0,2").terrain, "forest");
+  assert.strictEqual(midway.hexes.get("0,2").playerId, "b");
+  console.log('✅ Starts, captures and upgrades are applied in order');
+
+  const transfer = rebuildBoard(events);
+  assert.strictEqual(transfer.hexes.get("1,1").playerId, "a");
+  assert.strictEqual(transfer.hexes.get("1,1").isStart, false);
+  assert.strictEqual(transfer.hexes.get("0,1").playerId, "a");
+  assert.strictEqual(transfer.hexes.get("0,1").color, "#f00");
+  assert.strictEqual(transfer.hexes.get("0,1").upgrade, "fort");
+  assert.strictEqual(transfer.players.get("b").eliminatedBy, "a");
+  assert.strictEqual(transfer.players.get("b").connected, false);
+  assert.strictEqual(transfer.result.winners[0], "a");
+  console.log('✅ A transfer elimination hands the territory to the captor');
+
+  const neutral = rebuildBoard(gameEvents("neutral"));
+  assert.ok(!neutral.hexes.has("0,1"));
+  assert.strictEqual(neutral.hexes.get("0,2").playerId, null);
+  assert.strictEqual(neutral.hexes.get("0,2").color, terrainColor("forest"));
+  assert.strictEqual(neutral.hexes.get("1,1").playerId, "a");
+  console.log('✅ A neutral elimination releases plain hexes and keeps terrain');
+}
+
+function testSnapshots() {
+  console.log('\n=== Testing snapshots and seeking ===');
+
+  const events = gameEvents("transfer");
+  const rules = { replaySnapshotEvents: 4, replaySnapshotInterval: 1000000 };
+  const snapshots = buildSnapshots(events, rules);
+  assert.deepStrictEqual(snapshots.map(s => s.applied), [4, 8, 12]);
+  assert.strictEqual(nearestSnapshot(snapshots, 11).applied, 8);
+  assert.strictEqual(nearestSnapshot(snapshots, 3), null);
+  console.log('✅ Snapshots are taken every replaySnapshotEvents events');
+
+  const byTime = buildSnapshots(events, { replaySnapshotEvents: 1000, replaySnapshotInterval: 5 });
+  assert.deepStrictEqual(byTime.map(s => s.applied), [6, 11]);
+  assert.ok(snapshotDue({ applied: 2, t: 10 }, { applied: 1, t: 4 }, { replaySnapshotEvents: 1000, replaySnapshotInterval: 5 }));
+  console.log('✅ ...or every replaySnapshotInterval ms of play');
+
+  for (let n = 0; n <= events.length; n++) {
+    const seeked = seekBoard(events, snapshots, n);
+    const full = rebuildBoard(events, n);
+    assert.strictEqual(seeked.applied, n);
+    assert.deepStrictEqual(seeked.toHexes().sort(byKey), full.toHexes().sort(byKey), `seek to ${n} differs`);
+  }
+  console.log('✅ Seeking from a snapshot gives the same board as replaying from the start');
+
+  // A snapshot is a copy: applying more events must not change it
+  const copy = JSON.stringify(snapshots[0]);
+  ReplayBoard.fromSnapshot(snapshots[0]).apply(events[4]).apply(events[5]);
+  assert.strictEqual(JSON.stringify(snapshots[0]), copy);
+  console.log('✅ Snapshots are not changed by boards restored from them');
+
+  assert.strictEqual(eventIndexAt(events, 0), 1);
+  assert.strictEqual(eventIndexAt(events, 4.5), 5);
+  assert.strictEqual(eventIndexAt(events, 1000), events.length);
+  assert.strictEqual(eventIndexAt([], 10), 0);
+  console.log('✅ Times map to the number of events played by then');
+}
+
+function byKey(a, b) {
+  return a.q - b.q || a.r - b.r;
+}
+
+function testLegacy() {
+  console.log('\n=== Testing version 1 events ===');
+
+  // The old list is newest first, with string coordinates
+  const legacy = [
+    { playerId: "a", color: "#f00", q: "1", r: "1", eventType: "eliminate", timestamp: 4, details: { eliminatedPlayerId: "b", hexRule: "transfer" } },
+    { playerId: "a", color: "#f00", q: "1", r: "0", eventType: "upgrade", timestamp: 3 },
+    { playerId: "a", color: "#f00", q: "1", r: "0", eventType: "auto-capture", timestamp: 2 },
+    { playerId: "a", color: "#f00", q: "0", r: "0", eventType: "assign-start", timestamp: 1 }
+  ];
+  const events = fromLegacyEvents(legacy);
+  assert.deepStrictEqual(events.map(e => e.type), ["start", "capture", "upgrade", "eliminate"]);
+  assert.ok(events.every(e => e.v === 1));
+  assert.ok(events[0].assigned && events[1].auto);
+  assert.strictEqual(events[1].q, 1);
+  assert.strictEqual(events[3].playerId, "b");
+  assert.strictEqual(events[3].by, "a");
+
+  const board = rebuildBoard(events);
+  assert.strictEqual(board.hexes.get("1,0").upgrade, "");
+  assert.strictEqual(board.hexes.get("1,0").playerId, "a");
+  console.log('✅ The old list is read oldest first, without upgrade types');
+}
+
+function runTests() {
+  console.log('🧪 Testing the replay event log');
+
+  try {
+    testEvents();
+    testCityClock();
+    testRebuild();
+    testSnapshots();
+    testLegacy();
+    console.log('\n🎉 All replay log tests passed!');
+    return true;
+  } catch (error) {
+    console.error('\n❌ Replay log test failed:', error.message);
+    process.exitCode = 1;
+    return false;
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
@@ -0,0 +1,146 @@
+// test-replay-protocol.js
+// Contract between the replay server (game/ReplayLog.js) and the viewer
+// (public/replay-protocol.js): every frame the viewer draws must match the
+// board the server rebuilds from the same events
+const assert = require("assert");
+const config = require("../config");
+const { BoardShape } = require("../game/BoardShape");
+const ReplayLog = require("../game/ReplayLog");
+const { REPLAY_VERSION, replayEvent, rebuildBoard, buildSnapshots, nearestSnapshot, replayHistory, fromLegacyEvents } = ReplayLog;
+const { REPLAY_PROTOCOL_VERSION, REPLAY_SPEEDS, readHistory, ReplayView, eventIndexAt } = require("../public/replay-protocol");
+
+function sampleEvents() {
+  return [
+    replayEvent("game-start", {
+      seed: "abc",
+      map: [[2, 0, "mountain", ""], [0, 2, "forest", ""], [-1, 1, "swamp", ""]],
+      players: [{ playerId: "a", username: "Ann", color: "#f00", team: null, bot: false }]
+    }, 100),
+    replayEvent("join", { playerId: "a", username: "Ann", color: "#f00", bot: false }, 101),
+    replayEvent("join", { playerId: "b", username: "Bot", color: "#00f", bot: true }, 102),
+    replayEvent("start", { playerId: "a", color: "#f00", q: 0, r: 0, assigned: false }, 103),
+    replayEvent("start", { playerId: "b", color: "#00f", q: 0, r: 1, assigned: true }, 104),
+    replayEvent("capture", { playerId: "b", color: "#00f", q: 0, r: 2, cost: 25, prevOwnerId: null, auto: false }, 105),
+    replayEvent("capture", { playerId: "b", color: "#00f", q: -1, r: 1, cost: 0, prevOwnerId: null, auto: true }, 106),
+    replayEvent("capture", { playerId: "b", color: "#00f", q: -1, r: 2, cost: 0, prevOwnerId: null, auto: true }, 107),
+    replayEvent("upgrade", { playerId: "b", q: -1, r: 2, upgrade: "bank", cost: 30 }, 108),
+    replayEvent("alliance", { playerId: "a", partnerId: "b", action: "propose" }, 109),
+    replayEvent("capture", { playerId: "a", color: "#f00", q: 0, r: 1, cost: 60, prevOwnerId: "b", auto: false }, 110),
+    replayEvent("eliminate", { playerId: "b", by: "a", color: "#f00", q: 0, r: 1, hexRule: "neutral" }, 111),
+    replayEvent("leave", { playerId: "b" }, 112),
+    replayEvent("game-over", { reason: "lastCrown", winners: ["a"], standings: [] }, 113)
+  ];
+}
+
+// What a client receives: the history serialized as JSON
+function overTheWire(events) {
+  const board = BoardShape.from(config.game.boardShape);
+  return JSON.parse(JSON.stringify(replayHistory("g1", events, board)));
+}
+
+function boardOf(hexes) {
+  const board = {};
+  hexes.forEach(({ q, r, playerId, color, upgrade, terrain, isStart }) => {
+    board[`${q},${r}`] = { playerId, color, upgrade, terrain, isStart };
+  });
+  return board;
+}
+
+// Compare viewer and server after every event
+function assertFramesMatch(events, history) {
+  const view = new ReplayView(history.terrain);
+  for (let n = 0; n <= events.length; n++) {
+    if (n > 0) view.apply(history.events[n - 1]);
+    const server = rebuildBoard(events, n);
+    assert.deepStrictEqual(boardOf(Object.values(view.hexes)), boardOf(server.toHexes()), `frame ${n} differs`);
+    assert.strictEqual(view.applied, server.applied);
+  }
+}
+
+function testHistory() {
+  console.log('\n=== Testing the history payload ===');
+
+  const events = sampleEvents();
+  const history = readHistory(overTheWire(events));
+  assert.strictEqual(REPLAY_PROTOCOL_VERSION, REPLAY_VERSION);
+  assert.strictEqual(history.gameId, "g1");
+  assert.strictEqual(history.cells.length, BoardShape.from(config.game.boardShape).size);
+  assert.ok(history.cells.every(c => Number.isInteger(c.q) && Number.isInteger(c.r)));
+  assert.deepStrictEqual(history.events.map(e => e.t), events.map(e => e.t));
+  console.log('✅ The viewer reads the board and the events oldest first');
+
+  assert.throws(() => readHistory({ version: REPLAY_VERSION + 1, events: [] }));
+  assert.throws(() => readHistory({ clicks: [] }));
+  console.log('✅ Unknown versions and malformed histories are rejected');
+}
+
+function testFrames() {
+  console.log('\n=== Testing viewer frames ===');
+
+  const events = sampleEvents();
+  assertFramesMatch(events, readHistory(overTheWire(events)));
+  console.log('✅ Every frame matches the server board (neutral elimination)');
+
+  const transfer = events.map(e => e.type === "eliminate" ? { ...e, hexRule: "transfer" } : e);
+  assertFramesMatch(transfer, readHistory(overTheWire(transfer)));
+  console.log('✅ Every frame matches the server board (transfer elimination)');
+
+  const legacy = fromLegacyEvents([
+    { playerId: "a", color: "#f00", q: "1", r: "0", eventType: "capture", timestamp: 2 },
+    { playerId: "a", color: "#f00", q: "0", r: "0", eventType: "start", timestamp: 1 }
+  ]);
+  assertFramesMatch(legacy, readHistory(overTheWire(legacy)));
+  console.log('✅ Games recorded before the replay log play back the same way');
+}
+
+// A seek: the room sends its nearest snapshot and the viewer applies the rest
+function testSeeking() {
+  console.log('\n=== Testing seeks ===');
+
+  const events = sampleEvents();
+  const history = readHistory(overTheWire(events));
+  const snapshots = JSON.parse(JSON.stringify(buildSnapshots(events, { replaySnapshotEvents: 5, replaySnapshotInterval: 1000000 })));
+
+  for (let n = 0; n <= events.length; n++) {
+    const snapshot = nearestSnapshot(snapshots, n);
+    const view = snapshot ? ReplayView.fromSnapshot(snapshot, history.terrain) : new ReplayView(history.terrain);
+    while (view.applied < n) view.apply(history.events[view.applied]);
+    assert.deepStrictEqual(boardOf(Object.values(view.hexes)), boardOf(rebuildBoard(events, n).toHexes()), `seek to ${n} differs`);
+  }
+  console.log('✅ A view restored from a server snapshot matches the server board');
+
+  const local = new ReplayView(history.terrain);
+  history.events.slice(0, 6).forEach(e => local.apply(e));
+  const restored = ReplayView.fromSnapshot(local.snapshot(), history.terrain);
+  history.events.slice(6).forEach(e => restored.apply(e));
+  assert.deepStrictEqual(boardOf(Object.values(restored.hexes)), boardOf(rebuildBoard(events).toHexes()));
+  console.log('✅ The viewer\'s own checkpoints restore the same way');
+
+  for (let time = -1; time <= 15; time += 0.5) {
+    assert.strictEqual(eventIndexAt(history.events, time), ReplayLog.eventIndexAt(events, time));
+  }
+  assert.deepStrictEqual(REPLAY_SPEEDS, ReplayLog.REPLAY_SPEEDS);
+  console.log('✅ Viewer and room agree on seek times and speeds');
+}
+
+function runTests() {
+  console.log('🧪 Testing the replay protocol contract');
+
+  try {
+    testHistory();
+    testFrames();
+    testSeeking();
+    console.log('\n🎉 All replay protocol tests passed!');
+    return true;
+  } catch (error) {
+    console.error('\n❌ Replay protocol test failed:', error.message);
+    process.exitCode = 1;
+    return false;
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
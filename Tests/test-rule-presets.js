@@ -0,0 +1,72 @@
+// test-rule-presets.js
+const assert = require("assert");
+const config = require("../config");
+const { RULE_PRESETS, isRulePreset, resolveRules } = require("../game/RulePresets");
+const { computeIncome, computeMaxPoints } = require("../game/Economy");
+const { generateMap } = require("../game/MapGenerator");
+const { BoardShape } = require("../game/BoardShape");
+
+function testResolve() {
+  console.log('\n=== Testing rule resolution ===');
+
+  assert.ok(isRulePreset("blitz") && isRulePreset("classic"));
+  assert.ok(!isRulePreset("toString") && !isRulePreset("nope"));
+  console.log('✅ Only named presets are accepted');
+
+  assert.deepStrictEqual(resolveRules(config.game, "classic"), config.game);
+  assert.deepStrictEqual(resolveRules(config.game, "nope"), config.game);
+  console.log('✅ Classic and unknown presets play by config.game');
+
+  const blitz = resolveRules(config.game, "blitz");
+  assert.strictEqual(blitz.startDelay, RULE_PRESETS.blitz.overrides.startDelay);
+  assert.strictEqual(blitz.upgradeFortCost, config.game.upgradeFortCost);
+  assert.notStrictEqual(config.game.startDelay, blitz.startDelay);
+  console.log('✅ Presets override only what they list and leave config.game alone');
+
+  Object.values(RULE_PRESETS).forEach(preset => {
+    Object.keys(preset.overrides).forEach(key => assert.ok(key in config.game, `${preset.label}: unknown rule ${key}`));
+  });
+  console.log('✅ Every override names an existing rule');
+}
+
+function testPerGameValues() {
+  console.log('\n=== Testing per-game values ===');
+
+  const hexes = Array.from({ length: 30 }, (_, i) => ({ q: String(i), r: "0", playerId: "p1" }));
+  hexes[0].upgrade = "bank";
+  const classic = resolveRules(config.game, "classic");
+  const economy = resolveRules(config.game, "economy");
+
+  assert.ok(computeIncome(hexes, economy).net > computeIncome(hexes, classic).net);
+  assert.ok(computeMaxPoints(hexes, economy) > computeMaxPoints(hexes, classic));
+  console.log('✅ Economy games earn and store more than classic ones side by side');
+
+  const board = BoardShape.from({ type: "hexagon", radius: 20 });
+  const siegeMountains = generateMap("preset-seed", resolveRules(config.game, "siege"), board)
+    .filter(h => h.terrain === "mountain").length;
+  const blitzMountains = generateMap("preset-seed", resolveRules(config.game, "blitz"), board)
+    .filter(h => h.terrain === "mountain").length;
+  assert.ok(siegeMountains > blitzMountains);
+  console.log('✅ Terrain density follows the preset');
+}
+
+function runTests() {
+  console.log('🧪 Testing rule presets');
+
+  try {
+    testResolve();
+    testPerGameValues();
+    console.log('\n🎉 All rule preset tests passed!');
+    return true;
+  } catch (error) {
+    console.error('\n❌ Rule preset test failed:', error.message);
+    process.exitCode = 1;
+    return false;
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
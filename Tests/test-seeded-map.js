@@ -0,0 +1,64 @@
+// test-seeded-map.js
+const assert = require("assert");
+const config = require("../config");
+const { SeededRandom } = require("../game/SeededRandom");
+const { generateMap } = require("../game/MapGenerator");
+
+function testSeededRandom() {
+  console.log('\n=== Testing seeded random ===');
+
+  const rng = new SeededRandom("hexgame");
+  assert.strictEqual(rng.next(), 0.45273977937176824);
+  assert.strictEqual(rng.next(), 0.9489806431811303);
+  assert.strictEqual(rng.next(), 0.2603392268065363);
+  assert.strictEqual(rng.int(100), 60);
+  console.log('✅ Seed "hexgame" gives a fixed sequence');
+
+  const a = new SeededRandom(42);
+  const b = new SeededRandom("42");
+  assert.strictEqual(a.next(), b.next());
+  console.log('✅ Numeric and string seeds are equivalent');
+}
+
+function testGenerateMap() {
+  console.log('\n=== Testing map generation ===');
+
+  const first = generateMap("hexgame", config.game);
+  const second = generateMap("hexgame", config.game);
+  assert.deepStrictEqual(first, second);
+  console.log('✅ Same seed produces an identical map');
+
+  assert.strictEqual(first.length, 519);
+  assert.deepStrictEqual(first[0], { q: -27, r: 20, terrain: "forest" });
+  console.log('✅ Seed "hexgame" produces the known map');
+
+  const other = generateMap("other", config.game);
+  assert.notDeepStrictEqual(first, other);
+  console.log('✅ Different seeds produce different maps');
+
+  const keys = new Set(first.map(h => `${h.q},${h.r}`));
+  assert.strictEqual(keys.size, first.length);
+  console.log('✅ Each hex has a single terrain type');
+}
+
+// Run tests
+function runTests() {
+  console.log('🧪 Testing seeded map generation');
+
+  try {
+    testSeededRandom();
+    testGenerateMap();
+    console.log('\n🎉 All seeded map tests passed!');
+    return true;
+  } catch (error) {
+    console.error('\n❌ Seeded map test failed:', error.message);
+    process.exitCode = 1;
+    return false;
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
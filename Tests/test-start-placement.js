@@ -0,0 +1,78 @@
+// test-start-placement.js
+const assert = require("assert");
+const config = require("../config");
+const { BoardShape } = require("../game/BoardShape");
+const { SeededRandom } = require("../game/SeededRandom");
+const { hexDistance } = require("../game/HexGrid");
+const { startCandidates, pickSpreadStarts } = require("../game/StartPlacement");
+
+function testCandidates() {
+  console.log('\n=== Testing start candidates ===');
+
+  const board = BoardShape.from({ type: "hexagon", radius: 6 });
+  const hexes = [
+    { q: "0", r: "0", playerId: null, terrain: "mountain" },
+    { q: "2", r: "0", playerId: "p1" },
+    { q: "-2", r: "0", playerId: null, upgrade: "fort" }
+  ];
+  const keys = startCandidates(board, hexes, config.game).map(c => `${c.q},${c.r}`);
+
+  assert.ok(!keys.includes("0,0"));
+  assert.ok(!keys.includes("2,0"));
+  assert.ok(!keys.includes("-2,0"));
+  console.log('✅ Mountains, owned hexes and structures are never starts');
+
+  assert.ok(!keys.includes("6,0"));
+  console.log('✅ Hexes on the board edge lack open ground');
+
+  const fixed = startCandidates(board, hexes, config.game, [{ q: 6, r: 0 }, { q: 0, r: 0 }]);
+  assert.deepStrictEqual(fixed.map(c => `${c.q},${c.r}`), ["6,0"]);
+  console.log('✅ Template starts are used as given unless blocked');
+}
+
+function testSpread() {
+  console.log('\n=== Testing spread ===');
+
+  const board = BoardShape.from({ type: "hexagon", radius: 10 });
+  const candidates = startCandidates(board, [], config.game);
+  const starts = pickSpreadStarts(candidates, [], 4, new SeededRandom("spread"));
+
+  assert.strictEqual(starts.length, 4);
+  for (let i = 0; i < starts.length; i++) {
+    for (let j = i + 1; j < starts.length; j++) {
+      assert.ok(hexDistance(starts[i].q, starts[i].r, starts[j].q, starts[j].r) >= 6);
+    }
+  }
+  console.log('✅ Four starts are at least 6 hexes apart');
+
+  const again = pickSpreadStarts(candidates, [], 4, new SeededRandom("spread"));
+  assert.deepStrictEqual(again, starts);
+  console.log('✅ Same seed gives the same starts');
+
+  const [late] = pickSpreadStarts(candidates, starts, 1, new SeededRandom("late"));
+  const nearest = Math.min(...starts.map(s => hexDistance(s.q, s.r, late.q, late.r)));
+  assert.ok(nearest >= 4);
+  console.log('✅ A late start keeps away from existing starts');
+}
+
+// Run tests
+function runTests() {
+  console.log('🧪 Testing start placement');
+
+  try {
+    testCandidates();
+    testSpread();
+    console.log('\n🎉 All start placement tests passed!');
+    return true;
+  } catch (error) {
+    console.error('\n❌ Start placement test failed:', error.message);
+    process.exitCode = 1;
+    return false;
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
@@ -0,0 +1,123 @@
+// test-teams.js
+const assert = require("assert");
+const { TEAM_MODES, isTeamMode, playersNeeded, assignTeams, teamColors } = require("../game/Teams");
+const { CaptureRules } = require("../game/CaptureRules");
+const { checkVictory, buildStandings } = require("../game/VictoryRules");
+
+const TEAMS = { p1: 0, p2: 0, p3: 1, p4: 1 };
+const sameTeam = (a, b) => a !== b && TEAMS[a] !== undefined && TEAMS[a] === TEAMS[b];
+
+function testAssignment() {
+  console.log('\n=== Testing team assignment ===');
+
+  assert.ok(!isTeamMode("ffa") && isTeamMode("2v2"));
+  assert.strictEqual(playersNeeded("3v3"), 6);
+  assert.strictEqual(playersNeeded("ffa"), 0);
+  assert.deepStrictEqual(TEAM_MODES["4v4"], { teams: 2, size: 4 });
+  console.log('✅ Modes know how many players they need');
+
+  assert.deepStrictEqual(assignTeams(["a", "b", "c", "d"], "2v2"), { a: 0, b: 1, c: 0, d: 1 });
+  console.log('✅ Unpicked players balance the teams');
+
+  const picked = assignTeams(["a", "b", "c", "d", "e"], "2v2", { a: 1, b: 1, c: 1, d: 7 });
+  assert.deepStrictEqual(picked, { a: 1, b: 1, c: 0, d: 0 });
+  console.log('✅ Picks are honored while the team has room, extra players are left out');
+
+  const colors = teamColors({ a: 0, b: 1, c: 0 }, [["#r1", "#r2"], ["#b1", "#b2"]]);
+  assert.deepStrictEqual(colors, { a: "#r1", b: "#b1", c: "#r2" });
+  console.log('✅ Teammates take colors from their palette');
+}
+
+function testTeamCapture() {
+  console.log('\n=== Testing team captures ===');
+
+  const hexes = [
+    { q: "0", r: "0", playerId: "p1" },
+    { q: "1", r: "0", playerId: "p2" },
+    { q: "-1", r: "0", playerId: "p3" }
+  ];
+  const rules = new CaptureRules(hexes, null, () => false, sameTeam);
+
+  assert.strictEqual(rules.validate("p1", 1, 0).reason, "allied");
+  assert.ok(rules.validate("p1", 2, 0).ok, "a teammate's hex counts for adjacency");
+  assert.strictEqual(new CaptureRules(hexes).validate("p1", 2, 0).reason, "not_adjacent");
+  console.log('✅ Teammates are friendly for adjacency');
+
+  // 0,1 touches p1 twice and p2 once: neither reaches 3 alone, together they do
+  const pool = [
+    { q: "0", r: "0", playerId: "p1" },
+    { q: "-1", r: "1", playerId: "p1" },
+    { q: "1", r: "1", playerId: "p2" }
+  ];
+  assert.strictEqual(new CaptureRules(pool).evaluateAutoCapture(0, 1, 3), null);
+  assert.strictEqual(new CaptureRules(pool, null, () => false, sameTeam).evaluateAutoCapture(0, 1, 3).attackerId, "p1");
+  console.log('✅ Teammates pool their neighbors for auto-capture');
+}
+
+function testTeamVictory() {
+  console.log('\n=== Testing team victory ===');
+
+  const rules = { victoryConditions: ["lastCrown"], victoryMapControlPercent: 60, victoryMapControlMinTiles: 1, victoryTimeLimit: 1000 };
+  const players = Object.entries(TEAMS).map(([id, team]) => ({ id, team, started: true }));
+  const hexes = [
+    { q: "0", r: "0", playerId: "p1", isStart: "true" },
+    { q: "5", r: "0", playerId: "p2", isStart: "true" },
+    { q: "9", r: "0", playerId: "p3" }
+  ];
+
+  assert.deepStrictEqual(checkVictory({ hexes, players, rules, elapsed: 0 }),
+    { reason: "lastCrown", winnerIds: ["p1", "p2"] });
+  hexes[2].isStart = "true";
+  assert.strictEqual(checkVictory({ hexes, players, rules, elapsed: 0 }), null);
+  console.log('✅ The last team holding crowns wins');
+
+  const lonely = hexes.filter(h => h.playerId === "p1");
+  assert.deepStrictEqual(checkVictory({ hexes: lonely, players, rules, elapsed: 0 }).winnerIds, ["p1", "p2"]);
+  console.log('✅ Eliminated teammates share the win');
+
+  const mapRules = { ...rules, victoryConditions: ["mapControl"] };
+  const spread = [
+    ...Array.from({ length: 4 }, (_, i) => ({ q: String(i), r: "0", playerId: "p3" })),
+    ...Array.from({ length: 3 }, (_, i) => ({ q: String(i), r: "1", playerId: "p4" }))
+  ];
+  assert.deepStrictEqual(checkVictory({ hexes: spread, players, rules: mapRules, elapsed: 0, boardSize: 10 }),
+    { reason: "mapControl", winnerIds: ["p3", "p4"] });
+  console.log('✅ Map control counts team tiles');
+
+  const timeRules = { ...rules, victoryConditions: ["timeLimit"] };
+  const tiles = [
+    ...Array.from({ length: 5 }, (_, i) => ({ q: String(i), r: "0", playerId: "p1" })),
+    ...Array.from({ length: 3 }, (_, i) => ({ q: String(i), r: "1", playerId: "p3" })),
+    ...Array.from({ length: 3 }, (_, i) => ({ q: String(i), r: "2", playerId: "p4" }))
+  ];
+  assert.deepStrictEqual(checkVictory({ hexes: tiles, players, rules: timeRules, elapsed: 2000 }),
+    { reason: "timeLimit", winnerIds: ["p3", "p4"] });
+  console.log('✅ At the time limit the team with the most tiles wins');
+
+  assert.strictEqual(buildStandings(tiles, players).find(s => s.playerId === "p3").team, 1);
+  assert.strictEqual(buildStandings(tiles, [{ id: "solo" }])[0].team, null);
+  console.log('✅ Standings carry each player\'s team');
+}
+
+// Run tests
+function runTests() {
+  console.log('🧪 Testing teams');
+
+  try {
+    testAssignment();
+    testTeamCapture();
+    testTeamVictory();
+    console.log('\n🎉 All team tests passed!');
+    return true;
+  } catch (error) {
+    console.error('\n❌ Team test failed:', error.message);
+    process.exitCode = 1;
+    return false;
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
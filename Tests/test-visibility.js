@@ -0,0 +1,84 @@
+// test-visibility.js
+const assert = require("assert");
+const { visibleKeys, hexView, fogHexes } = require("../game/Visibility");
+const { BoardShape } = require("../game/BoardShape");
+
+const rules = { visionRadius: 2, fortVisionBonus: 2, cityVisionBonus: 3 };
+
+function testVisionRadius() {
+  console.log('\n=== Testing vision radius ===');
+
+  const visible = visibleKeys([{ q: "0", r: "0" }], rules);
+  assert.strictEqual(visible.size, 19);
+  assert.ok(visible.has("2,-2"));
+  assert.ok(!visible.has("3,0"));
+  console.log('✅ A single hex sees radius 2');
+
+  const fort = visibleKeys([{ q: "0", r: "0", upgrade: "fort" }], rules);
+  const city = visibleKeys([{ q: "0", r: "0", upgrade: "city" }], rules);
+  assert.ok(fort.has("4,0") && !fort.has("5,0"));
+  assert.ok(city.has("5,0") && !city.has("6,0"));
+  console.log('✅ Forts and cities extend vision');
+
+  const board = BoardShape.from({ type: "hexagon", radius: 1 });
+  assert.strictEqual(visibleKeys([{ q: "0", r: "0" }], rules, board).size, 7);
+  console.log('✅ Vision is clipped to the board');
+}
+
+function testHexView() {
+  console.log('\n=== Testing hex views ===');
+
+  const hex = { q: "3", r: "1", playerId: "p1", color: "#ff0000", upgrade: "fort", terrain: "forest", isStart: "true" };
+  assert.deepStrictEqual(hexView(hex, 3, 1, true),
+    { q: 3, r: 1, color: "#ff0000", crown: true, upgrade: "fort", terrain: "forest" });
+  console.log('✅ Visible hexes are sent in full');
+
+  const fogged = hexView(hex, 3, 1, false);
+  assert.strictEqual(fogged.upgrade, null);
+  assert.strictEqual(fogged.crown, false);
+  assert.strictEqual(fogged.terrain, "forest");
+  assert.notStrictEqual(fogged.color, "#ff0000");
+  console.log('✅ Fogged hexes only show terrain');
+
+  assert.strictEqual(hexView(null, 0, 0, false).color, null);
+  console.log('✅ Empty hexes are sent without a color');
+}
+
+function testBotView() {
+  console.log('\n=== Testing what bots see ===');
+
+  const hexes = [
+    { q: "0", r: "0", playerId: "bot", isStart: "true" },
+    { q: "1", r: "0", playerId: "p1", color: "#f00", terrain: "forest" },
+    { q: "6", r: "0", playerId: "p1", color: "#f00", upgrade: "fort", terrain: "hills", isStart: "true" },
+    { q: "7", r: "0", playerId: "p1", color: "#f00" }
+  ];
+  const own = hexes.filter(h => h.playerId === "bot");
+  const seen = fogHexes(hexes, visibleKeys(own, rules));
+  assert.deepStrictEqual(seen.map(h => [h.q, h.playerId]), [["0", "bot"], ["1", "p1"], ["6", null]]);
+  assert.deepStrictEqual([seen[2].terrain, seen[2].upgrade, seen[2].isStart], ["hills", "", false]);
+  console.log('✅ Fogged hexes keep only their terrain, so bots cannot target hidden crowns');
+}
+
+// Run tests
+function runTests() {
+  console.log('🧪 Testing visibility');
+
+  try {
+    testVisionRadius();
+    testHexView();
+    testBotView();
+    console.log('\n🎉 All visibility tests passed!');
+    return true;
+  } catch (error) {
+    console.error('\n❌ Visibility test failed:', error.message);
+    process.exitCode = 1;
+    return false;
+  }
+}
+
+if (require.main === module) {
+  runTests();
+}
+
+module.exports = { runTests };
@@ -46,13 +46,34 @@ module.exports = {
 
   // Game Constants
   game: {
+    // Rule preset for games whose lobby did not pick one (see game/RulePresets.js);
+    // a preset overrides the values below for that game only
+    rulePreset: "classic",
+
     // Timing
     startDelay: 15000, // ms
+    startAssignment: "choose", // "choose": players click a start, "balanced": the server spreads starts out
+    startOpennessRadius: 2, // hexes around a start that are checked for open ground
+    startMinOpenness: 0.8, // share of passable hexes around a start required for automatic placement
+
+    // Fog of war: players only see hexes within visionRadius of their territory
+    fogOfWar: false,
+    visionRadius: 2,
+    fortVisionBonus: 2, // extra vision around forts
+    cityVisionBonus: 3, // extra vision around cities
+
+    // Diplomacy
+    alliances: true, // players may propose, accept and break alliances
+    allianceProposalTimeout: 60000, // ms before an unanswered proposal lapses
+    allianceSharedVision: true, // allies see through each other's territory under fog of war
+    allianceSharedVictory: true, // allies holding the last crowns (or enough of the map together) win together
     autoExpandInterval: 10000, // ms
     
     // Hex Values
     hexValue: 10,
-    hexMaintenanceCost: 3,
+    hexMaintenanceCost: 3, // upkeep per tick for every hexMaintenanceBlock tiles beyond upkeepFreeTiles
+    hexMaintenanceBlock: 10,
+    upkeepFreeTiles: 20, // small empires pay no tile upkeep
     
     // Expansion
     expGrowth: 5, // how fast expansion escalates (logarithmic)
@@ -63,6 +84,9 @@ module.exports = {
     
     // Economy
     baseIncome: 10, // per turn or per tick income
+    tileIncome: 0.2, // per tick income for each owned tile
+    bankIncome: 2, // per tick income for each bank
+    upgradeUpkeep: { bank: 1, fort: 2, city: 1 }, // per tick upkeep for each upgrade
     startingPoints: 200, // starting points for new players
     startingMaxPoints: 200, // starting max points for new players
     
@@ -71,10 +95,35 @@ module.exports = {
     upgradeFortCost: 300,
     upgradeCityCost: 200,
     
+    // Upgrade effects: banks store points, forts defend, cities grow the economy
+    tileMaxPointsBonus: 5, // max points per owned tile
+    bankMaxPointsBonus: 50, // max points per bank
+    cityMaxPointsBonus: 20, // max points per city
+    cityIncome: 2, // points per tick for each unit of city population
+    cityStartPopulation: 1,
+    cityMaxPopulation: 5,
+    cityGrowthInterval: 60000, // ms for a city to grow by one population
+    cityInfluenceRadius: 3, // hexes around a city that are cheaper to expand into
+    cityExpansionDiscount: 0.25, // 25% off expansion cost near your cities
+    
     // Auto expansion params
     autoCaptureThreshold: 3, // need >= 4 same-owner neighbors to capture
     
-    // Mountain generation params
+    // Elimination
+    eliminationHexRule: "transfer", // "transfer" hexes to whoever took the crown, or "neutral" to release them
+    
+    // Victory conditions (checked in this order)
+    victoryConditions: ["lastCrown", "mapControl", "timeLimit"],
+    victoryMapControlPercent: 60, // share of the playable board (with teammates and allies) needed to win by map control
+    victoryMapControlMinTiles: 150, // map control is only judged once this many tiles are owned
+    victoryTimeLimit: 1200000, // ms after the start window closes; most tiles wins (20 minutes)
+    victoryCheckInterval: 2000, // ms
+    gameOverReturnDelay: 15000, // ms before players are sent back to the lobby
+    
+    // Default board: { type: "hexagon", radius }, { type: "rectangle", width, height }
+    // or { type: "mask", cells: [[q, r], ...] }
+    boardShape: { type: "hexagon", radius: 30 },
+
     // Mountain generation params
     mountainChains: 6, // fewer chains but make them more solid
     mountainChainLength: 35, // longer solid lines
@@ -91,7 +140,69 @@ module.exports = {
     riverForkLength: 5, // longer fork branches
     riverAreaSize: 50, // size of area for river generation (increased for better spread)
     riverZigzagChance: 0.2, // light zigzag for natural curves
+
+    // Terrain patch generation (types are defined in game/Terrain.js)
+    // count: patches per map, size: hexes per patch, areaSize: spread around the center
+    terrainPatches: {
+      forest: { count: 8, size: 12, areaSize: 60 },
+      hills: { count: 5, size: 8, areaSize: 60 },
+      desert: { count: 3, size: 15, areaSize: 60 },
+      swamp: { count: 3, size: 8, areaSize: 60 },
+      goldmine: { count: 4, size: 1, areaSize: 50 }
+    },
     
+    // Rating (Elo, see game/Rating.js)
+    ratingInitial: 1200,
+    ratingK: 32,
+    ratingProvisionalK: 64, // a new player's rating moves faster...
+    ratingProvisionalGames: 10, // ...for this many games
+
+    // Match history: finished games indexed per player
+    playerHistoryLength: 100,
+
+    // Leaderboards (game/Leaderboards.js): seasons restart every seasonLength from seasonEpoch
+    seasonLength: 30 * 24 * 60 * 60 * 1000, // ms (30 days)
+    seasonEpoch: Date.UTC(2025, 0, 1),
+
+    // Replays (game/ReplayLog.js): a board snapshot is stored every replaySnapshotEvents events
+    // or replaySnapshotInterval ms of play, whichever comes first, so a replay can seek without
+    // applying the whole log
+    replaySnapshotEvents: 500,
+    replaySnapshotInterval: 60000, // ms
+    replayTickInterval: 100, // ms between replay room playback steps
+    replayFileMaxBytes: 50 * 1024 * 1024, // largest replay file accepted for import, unpacked
+    replayAnalyticsSamples: 200, // points on the territory and income charts
+    replayWaveWindow: 2000, // ms: auto-captures by one player this close together form one wave
+    replayWaveMinCaptures: 10, // waves at least this big are marked on the charts
+
+    // Ranked queue: players are matched within a rating band that widens while they wait
+    rankedPlayers: 4, // a full ranked game starts as soon as this many are matched
+    rankedMinPlayers: 2, // fewer start once the band is as wide as it gets
+    rankedBandStart: 100,
+    rankedBandGrowth: 50, // added every rankedBandInterval
+    rankedBandInterval: 10000, // ms
+    rankedBandMax: 600,
+    rankedRulePreset: "classic",
+
+    // Lobbies
+    lobbyMaxPlayers: 16, // most players a game takes; private lobby hosts can lower it
+
+    // Spectators
+    maxSpectators: 20, // live spectators per game
+
+    // Bots (difficulties are defined in game/BotPlanner.js)
+    maxBots: 6, // per lobby
+    botFillDelay: 30000, // ms ready players wait before bots fill the game (0 to disable)
+    botFillDifficulty: "normal",
+
+    // Teams: "ffa" or a mode from game/Teams.js ("2v2", "3v3", "4v4")
+    teamMode: "ffa",
+    // One palette per team; teammates get its colors in order
+    teamPalettes: [
+      ["#e74c3c", "#c0392b", "#ff7675", "#922b21"],
+      ["#3498db", "#1f618d", "#74b9ff", "#154360"]
+    ],
+
     // Player colors
     playerColors: [
       "#e74c3c", "#3498db", "#2ecc71", "#f1c40f", 
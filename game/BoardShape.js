@@ -0,0 +1,127 @@
+// game/BoardShape.js
+// The playable area of a game. A board is declared as
+//   { type: "hexagon", radius }          - every hex within radius of 0,0
+//   { type: "rectangle", width, height } - pointy-top rows centered on 0,0
+//   { type: "mask", cells: [[q, r], ...] } - any custom set of hexes
+// and stored as JSON in games:{id}:data.board.
+const { hexDistance, hexKey } = require("./HexGrid");
+
+const BOARD_TYPES = ["hexagon", "rectangle", "mask"];
+
+// Definitions come from lobby options, map templates and uploaded replay files,
+// so every size is clamped here before any cells are listed
+const MAX_BOARD_RADIUS = 100;
+const MAX_BOARD_SIDE = 200;
+const MAX_BOARD_CELLS = MAX_BOARD_SIDE * MAX_BOARD_SIDE;
+
+function clampSize(value, fallback, max) {
+  return Math.min(max, Math.max(1, parseInt(value) || fallback));
+}
+
+class BoardShape {
+  constructor(definition = {}) {
+    const type = BOARD_TYPES.includes(definition.type) ? definition.type : "hexagon";
+    this.type = type;
+
+    if (type === "hexagon") {
+      this.radius = clampSize(definition.radius, 30, MAX_BOARD_RADIUS);
+    } else if (type === "rectangle") {
+      this.width = clampSize(definition.width, 60, MAX_BOARD_SIDE);
+      this.height = clampSize(definition.height, 40, MAX_BOARD_SIDE);
+    } else {
+      const cells = Array.isArray(definition.cells) ? definition.cells.slice(0, MAX_BOARD_CELLS) : [];
+      this.mask = new Set(cells.filter(Array.isArray).map(([q, r]) => hexKey(parseInt(q), parseInt(r))));
+    }
+
+    this.cellList = null; // built lazily by cells()
+  }
+
+  // True when a definition asks for more than the limits above allow; check
+  // this on untrusted input to reject it rather than have it clamped
+  static exceedsLimits(definition) {
+    if (!definition || typeof definition !== "object") return false;
+    if (definition.type === "mask") {
+      return Array.isArray(definition.cells) && definition.cells.length > MAX_BOARD_CELLS;
+    }
+    if (definition.type === "rectangle") {
+      return parseInt(definition.width) > MAX_BOARD_SIDE || parseInt(definition.height) > MAX_BOARD_SIDE;
+    }
+    return parseInt(definition.radius) > MAX_BOARD_RADIUS;
+  }
+
+  static from(definition) {
+    if (definition instanceof BoardShape) return definition;
+    if (typeof definition === "string") {
+      try {
+        definition = JSON.parse(definition);
+      } catch {
+        definition = {};
+      }
+    }
+    return new BoardShape(definition || {});
+  }
+
+  contains(q, r) {
+    if (!Number.isInteger(q) || !Number.isInteger(r)) return false;
+
+    if (this.type === "hexagon") {
+      return hexDistance(0, 0, q, r) <= this.radius;
+    }
+
+    if (this.type === "rectangle") {
+      // Offset coordinates so each row lines up on screen
+      const col = q + Math.floor(r / 2);
+      const top = -Math.floor(this.height / 2);
+      const left = -Math.floor(this.width / 2);
+      return r >= top && r < top + this.height && col >= left && col < left + this.width;
+    }
+
+    return this.mask.has(hexKey(q, r));
+  }
+
+  // Every hex on the board as { q, r }
+  cells() {
+    if (this.cellList) return this.cellList;
+
+    const cells = [];
+    if (this.type === "hexagon") {
+      const n = this.radius;
+      for (let q = -n; q <= n; q++) {
+        for (let r = Math.max(-n, -q - n); r <= Math.min(n, -q + n); r++) {
+          cells.push({ q, r });
+        }
+      }
+    } else if (this.type === "rectangle") {
+      const top = -Math.floor(this.height / 2);
+      const left = -Math.floor(this.width / 2);
+      for (let r = top; r < top + this.height; r++) {
+        for (let col = left; col < left + this.width; col++) {
+          cells.push({ q: col - Math.floor(r / 2), r });
+        }
+      }
+    } else {
+      this.mask.forEach(key => {
+        const [q, r] = key.split(",").map(Number);
+        cells.push({ q, r });
+      });
+    }
+
+    this.cellList = cells;
+    return cells;
+  }
+
+  // Counted without listing the cells
+  get size() {
+    if (this.type === "hexagon") return 3 * this.radius * (this.radius + 1) + 1;
+    if (this.type === "rectangle") return this.width * this.height;
+    return this.mask.size;
+  }
+
+  toJSON() {
+    if (this.type === "hexagon") return { type: "hexagon", radius: this.radius };
+    if (this.type === "rectangle") return { type: "rectangle", width: this.width, height: this.height };
+    return { type: "mask", cells: this.cells().map(({ q, r }) => [q, r]) };
+  }
+}
+
+module.exports = { BOARD_TYPES, MAX_BOARD_RADIUS, MAX_BOARD_SIDE, MAX_BOARD_CELLS, BoardShape };
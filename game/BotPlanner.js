@@ -0,0 +1,163 @@
+// game/BotPlanner.js
+// Decision making for server-side bot players. Nothing in here talks to Redis:
+// the room gathers the board snapshot and prices the candidate hexes with
+// computeCost, and these helpers decide what the bot does with them.
+const { getNeighborCoords, hexKey } = require("./HexGrid");
+const { getTerrain, isPassable } = require("./Terrain");
+
+// thinkInterval: ms between turns       moves: captures per turn at most
+// sample: frontier hexes priced a turn  attack: whether enemy hexes are targeted
+// upgradeChance: chance to build a turn reserve: share of points held back
+// blunder: chance a turn's moves are picked at random instead of by score
+const BOT_DIFFICULTIES = {
+  easy: { thinkInterval: 3000, moves: 1, sample: 6, attack: false, upgradeChance: 0.05, reserve: 0.3, blunder: 0.3 },
+  normal: { thinkInterval: 2000, moves: 2, sample: 10, attack: true, upgradeChance: 0.15, reserve: 0.15, blunder: 0.1 },
+  hard: { thinkInterval: 1200, moves: 3, sample: 16, attack: true, upgradeChance: 0.25, reserve: 0, blunder: 0 }
+};
+
+const BOT_NAMES = ["Ada", "Babbage", "Turing", "Hopper", "Lovelace", "Dijkstra", "Knuth", "Shannon"];
+
+function isBotId(playerId) {
+  return typeof playerId === "string" && playerId.startsWith("bot:");
+}
+
+/**
+ * A lobby entry for a new bot. Its color is the first player color nobody
+ * in takenColors is using.
+ */
+function createBotProfile(difficulty, index, playerColors, takenColors = []) {
+  const level = BOT_DIFFICULTIES[difficulty] ? difficulty : "normal";
+  const color = playerColors.find(c => !takenColors.includes(c)) || playerColors[index % playerColors.length];
+  return {
+    playerId: `bot:${Math.random().toString(36).slice(2, 10)}`,
+    username: `🤖 ${BOT_NAMES[index % BOT_NAMES.length]} (${level})`,
+    color,
+    bot: true,
+    difficulty: level
+  };
+}
+
+function isCrown(hex) {
+  return !!hex && (hex.isStart === true || hex.isStart === "true");
+}
+
+/**
+ * Hexes next to the bot's territory that it could try to take: on the board,
+ * passable and not owned by the bot or a friend.
+ * Returns [{ q, r, hex }] where hex is null for an empty hex
+ */
+function frontierHexes(hexes, playerId, board = null, isFriendly = () => false) {
+  const byKey = new Map();
+  hexes.forEach(h => byKey.set(hexKey(parseInt(h.q), parseInt(h.r)), h));
+  const friendly = h => h?.playerId && (h.playerId === playerId || isFriendly(playerId, h.playerId));
+
+  const frontier = new Map();
+  hexes.filter(h => h.playerId === playerId).forEach(own => {
+    getNeighborCoords(parseInt(own.q), parseInt(own.r)).forEach(({ q, r }) => {
+      const key = hexKey(q, r);
+      if (frontier.has(key) || (board && !board.contains(q, r))) return;
+      const hex = byKey.get(key) || null;
+      if (friendly(hex) || !isPassable(hex?.terrain)) return;
+      frontier.set(key, { q, r, hex });
+    });
+  });
+
+  return Array.from(frontier.values());
+}
+
+/**
+ * The frontier hexes worth pricing this turn: enemy crowns first, then a
+ * random selection of the rest.
+ */
+function sampleFrontier(frontier, count, rng) {
+  const crowns = frontier.filter(f => isCrown(f.hex));
+  const rest = frontier.filter(f => !isCrown(f.hex));
+  const picked = crowns.slice(0, count);
+  while (picked.length < count && rest.length) {
+    picked.push(rest.splice(rng.int(rest.length), 1)[0]);
+  }
+  return picked;
+}
+
+// What a hex is worth to the bot per point spent. Taking a crown eliminates
+// its owner, so it is worth almost any price.
+function scoreTarget(target) {
+  let value = 1;
+  if (target.hex?.playerId) value += isCrown(target.hex) ? 50 : 1.5;
+  value += getTerrain(target.hex?.terrain).incomeModifier * 2;
+  return Math.max(0.1, value) / Math.max(1, target.cost);
+}
+
+/**
+ * Pick this turn's captures from priced candidates ([{ q, r, hex, cost }],
+ * cost null when the hex can't be taken). Stays within the points the bot
+ * is willing to spend.
+ * Returns [{ q, r }]
+ */
+function planCaptures({ candidates, points, difficulty, rng }) {
+  const level = BOT_DIFFICULTIES[difficulty] || BOT_DIFFICULTIES.normal;
+  let budget = Math.floor(points * (1 - level.reserve));
+
+  let options = candidates.filter(c => c.cost !== null && (level.attack || !c.hex?.playerId));
+  if (rng.next() < level.blunder) {
+    options = options.map(c => ({ c, k: rng.next() })).sort((a, b) => a.k - b.k).map(({ c }) => c);
+  } else {
+    options = options.slice().sort((a, b) => scoreTarget(b) - scoreTarget(a));
+  }
+
+  const moves = [];
+  for (const option of options) {
+    if (moves.length >= level.moves) break;
+    if (option.cost > budget) continue;
+    moves.push({ q: option.q, r: option.r });
+    budget -= option.cost;
+  }
+  return moves;
+}
+
+/**
+ * Maybe build something this turn. Banks when the bot is close to its point
+ * cap, forts on hexes touching an enemy, cities further back.
+ * Returns { q, r, type } or null
+ */
+function planUpgrade({ hexes, playerId, points, maxPoints, rules, difficulty, rng }) {
+  const level = BOT_DIFFICULTIES[difficulty] || BOT_DIFFICULTIES.normal;
+  if (rng.next() >= level.upgradeChance) return null;
+
+  const byKey = new Map();
+  hexes.forEach(h => byKey.set(hexKey(parseInt(h.q), parseInt(h.r)), h));
+  const own = hexes.filter(h => h.playerId === playerId && !h.upgrade);
+  const touchesEnemy = h => getNeighborCoords(parseInt(h.q), parseInt(h.r)).some(n => {
+    const other = byKey.get(hexKey(n.q, n.r));
+    return other?.playerId && other.playerId !== playerId;
+  });
+  const border = own.filter(touchesEnemy);
+  const inner = own.filter(h => !touchesEnemy(h));
+
+  let type = null;
+  let spots = [];
+  if (points >= maxPoints * 0.9 && points >= rules.upgradeBankCost) {
+    type = "bank";
+    spots = inner;
+  } else if (level.attack && border.length && points >= rules.upgradeFortCost) {
+    type = "fort";
+    spots = border.filter(isCrown).length ? border.filter(isCrown) : border;
+  } else if (points >= rules.upgradeCityCost) {
+    type = "city";
+    spots = inner;
+  }
+
+  if (!type || !spots.length) return null;
+  const hex = rng.pick(spots);
+  return { q: parseInt(hex.q), r: parseInt(hex.r), type };
+}
+
+module.exports = {
+  BOT_DIFFICULTIES,
+  isBotId,
+  createBotProfile,
+  frontierHexes,
+  sampleFrontier,
+  planCaptures,
+  planUpgrade
+};
@@ -0,0 +1,178 @@
+// game/CaptureRules.js
+// Server-side capture validation shared by every capture path (clickHex, fillHex,
+// batchFillHex and auto-expansion). Works on an in-memory snapshot of the board
+// so a batch can be validated hex by hex, with each accepted capture counting
+// toward adjacency for the next one. When a BoardShape is given, nothing
+// outside the board can be captured; areAllied(a, b) keeps allies off each
+// other's hexes. sameTeam(a, b) goes further: teammates' hexes count as
+// friendly for adjacency, and teammates pool their neighbors for auto-capture.
+const { getNeighborCoords, hexKey } = require("./HexGrid");
+const Terrain = require("./Terrain");
+
+class CaptureRules {
+  constructor(hexes = [], boardShape = null, areAllied = () => false, sameTeam = () => false) {
+    this.boardShape = boardShape;
+    this.areAllied = (a, b) => areAllied(a, b) || sameTeam(a, b);
+    this.sameTeam = sameTeam;
+    this.board = new Map();
+    hexes.forEach(h => this.board.set(hexKey(parseInt(h.q), parseInt(h.r)), h));
+  }
+
+  getHex(q, r) {
+    return this.board.get(hexKey(q, r)) || null;
+  }
+
+  inBounds(q, r) {
+    return !this.boardShape || this.boardShape.contains(q, r);
+  }
+
+  isPassable(q, r) {
+    const hex = this.getHex(q, r);
+    return !hex || Terrain.isPassable(hex.terrain);
+  }
+
+  ownsAnyHex(playerId) {
+    for (const hex of this.board.values()) {
+      if (hex.playerId === playerId) return true;
+    }
+    return false;
+  }
+
+  // Own or a teammate's hex
+  isFriendly(playerId, hex) {
+    return !!hex && !!hex.playerId && (hex.playerId === playerId || this.sameTeam(playerId, hex.playerId));
+  }
+
+  isAdjacentToOwned(playerId, q, r) {
+    return getNeighborCoords(q, r).some(n => this.isFriendly(playerId, this.getHex(n.q, n.r)));
+  }
+
+  isAdjacentToRiver(q, r) {
+    return getNeighborCoords(q, r).some(n => {
+      const hex = this.getHex(n.q, n.r);
+      return hex && Terrain.isWaterway(hex.terrain);
+    });
+  }
+
+  // A player has river access when any hex they own touches a river
+  hasRiverAccess(playerId) {
+    for (const hex of this.board.values()) {
+      if (hex.playerId === playerId && this.isAdjacentToRiver(parseInt(hex.q), parseInt(hex.r))) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Check whether playerId may capture q,r (cost is checked by the room).
+   * Returns { ok: true, occupied } or { ok: false, reason, occupied }
+   */
+  validate(playerId, q, r) {
+    const occupied = this.getHex(q, r);
+
+    if (!this.inBounds(q, r)) {
+      return { ok: false, reason: "out_of_bounds", occupied };
+    }
+
+    if (!this.isPassable(q, r)) {
+      return { ok: false, reason: "impassable", occupied };
+    }
+
+    if (occupied && occupied.playerId === playerId) {
+      return { ok: false, reason: "already_owned", occupied };
+    }
+
+    if (occupied && this.areAllied(playerId, occupied.playerId)) {
+      return { ok: false, reason: "allied", occupied };
+    }
+
+    // Adjacency with river exception
+    const isAdjacent = this.isAdjacentToOwned(playerId, q, r);
+    const riverException = this.isAdjacentToRiver(q, r) && this.hasRiverAccess(playerId);
+    if (!isAdjacent && !riverException) {
+      return { ok: false, reason: "not_adjacent", occupied };
+    }
+
+    return { ok: true, occupied };
+  }
+
+  /**
+   * Decide whether q,r is auto-captured this round.
+   * Returns { attackerId, prevOwnerId, occupied } or null
+   */
+  evaluateAutoCapture(q, r, threshold) {
+    if (!this.inBounds(q, r)) return null;
+
+    const neighbors = getNeighborCoords(q, r).map(n => this.getHex(n.q, n.r));
+
+    // Find player with max neighbors
+    const neighborOwners = {};
+    neighbors.forEach(n => {
+      if (n && n.playerId) neighborOwners[n.playerId] = (neighborOwners[n.playerId] || 0) + 1;
+    });
+
+    // Teammates pool their neighbors; the teammate with the most of their own takes the hex
+    const owners = Object.keys(neighborOwners);
+    const strength = pid => owners
+      .filter(o => o === pid || this.sameTeam(pid, o))
+      .reduce((sum, o) => sum + neighborOwners[o], 0);
+
+    let maxPlayer = null;
+    let maxCount = 0;
+    let tie = false;
+
+    owners.forEach(pid => {
+      const cnt = strength(pid);
+      if (cnt > maxCount) {
+        maxCount = cnt;
+        maxPlayer = pid;
+        tie = false;
+      } else if (cnt === maxCount && cnt > 0) {
+        if (this.sameTeam(pid, maxPlayer)) {
+          if (neighborOwners[pid] > neighborOwners[maxPlayer]) maxPlayer = pid;
+        } else {
+          tie = true;
+        }
+      }
+    });
+
+    if (!maxPlayer || tie || maxCount < threshold) return null;
+
+    const occupied = this.getHex(q, r);
+    const currentOwner = occupied?.playerId || null;
+    if (currentOwner === maxPlayer || this.areAllied(maxPlayer, currentOwner)) return null;
+
+    if (currentOwner) {
+      const fullyEnclosed = neighbors.every(n => this.isFriendly(maxPlayer, n));
+      const riverException = this.isAdjacentToRiver(q, r) && this.hasRiverAccess(maxPlayer);
+      if (!fullyEnclosed && !riverException) return null;
+    }
+
+    // Fort protection check
+    const fortProtected =
+      (occupied && occupied.upgrade === "fort") ||
+      neighbors.some(n => n && n.upgrade === "fort" && !this.isFriendly(maxPlayer, n));
+    if (fortProtected) return null;
+
+    // Impassable terrain check
+    if (!this.isPassable(q, r)) return null;
+
+    return { attackerId: maxPlayer, prevOwnerId: currentOwner, occupied };
+  }
+
+  // Apply an accepted capture to the snapshot
+  recordCapture(playerId, q, r, color) {
+    const previous = this.getHex(q, r);
+    this.board.set(hexKey(q, r), {
+      ...(previous || {}),
+      q: q.toString(),
+      r: r.toString(),
+      playerId,
+      color,
+      isStart: false
+    });
+  }
+}
+
+module.exports = { CaptureRules };
@@ -0,0 +1,87 @@
+// game/Diplomacy.js
+// Alliances between players of one game. Alliances are symmetric pairs; a
+// pair forms when one player proposes and the other accepts (or proposes
+// back). Proposals expire after allianceProposalTimeout.
+
+function pairKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+class AllianceBook {
+  constructor(pairs = []) {
+    this.pairs = new Set();
+    this.proposals = new Map(); // "from|to" -> proposedAt
+    pairs.forEach(([a, b]) => this.pairs.add(pairKey(a, b)));
+  }
+
+  areAllied(a, b) {
+    return !!a && !!b && a !== b && this.pairs.has(pairKey(a, b));
+  }
+
+  alliesOf(playerId) {
+    const allies = [];
+    this.pairs.forEach(key => {
+      const [a, b] = key.split("|");
+      if (a === playerId) allies.push(b);
+      else if (b === playerId) allies.push(a);
+    });
+    return allies;
+  }
+
+  hasProposal(from, to, now = Date.now(), timeout = Infinity) {
+    const proposedAt = this.proposals.get(`${from}|${to}`);
+    return proposedAt !== undefined && now - proposedAt <= timeout;
+  }
+
+  /**
+   * from proposes to to. A standing proposal the other way is accepted instead.
+   * Returns { ok, formed, reason }
+   */
+  propose(from, to, now = Date.now(), timeout = Infinity) {
+    if (!from || !to || from === to) return { ok: false, reason: "invalid" };
+    if (this.areAllied(from, to)) return { ok: false, reason: "already_allied" };
+
+    if (this.hasProposal(to, from, now, timeout)) {
+      return this.accept(to, from, now, timeout);
+    }
+
+    this.proposals.set(`${from}|${to}`, now);
+    return { ok: true, formed: false };
+  }
+
+  // to accepts the proposal from
+  accept(from, to, now = Date.now(), timeout = Infinity) {
+    if (!this.hasProposal(from, to, now, timeout)) return { ok: false, reason: "no_proposal" };
+
+    this.proposals.delete(`${from}|${to}`);
+    this.proposals.delete(`${to}|${from}`);
+    this.pairs.add(pairKey(from, to));
+    return { ok: true, formed: true };
+  }
+
+  decline(from, to) {
+    return { ok: this.proposals.delete(`${from}|${to}`) };
+  }
+
+  breakAlliance(a, b) {
+    if (!this.areAllied(a, b)) return { ok: false, reason: "not_allied" };
+    this.pairs.delete(pairKey(a, b));
+    return { ok: true };
+  }
+
+  // Drop every alliance and proposal involving playerId (e.g. on elimination)
+  removePlayer(playerId) {
+    const removed = this.alliesOf(playerId);
+    removed.forEach(ally => this.pairs.delete(pairKey(playerId, ally)));
+    for (const key of this.proposals.keys()) {
+      if (key.split("|").includes(playerId)) this.proposals.delete(key);
+    }
+    return removed;
+  }
+
+  toJSON() {
+    return Array.from(this.pairs).map(key => key.split("|"));
+  }
+}
+
+module.exports = { AllianceBook, pairKey };
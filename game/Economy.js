@@ -0,0 +1,78 @@
+// game/Economy.js
+// Pure economy formulas (max points, income, city effects).
+// Every function takes the stored hexes of a single player plus the rule set.
+const { hexDistance } = require("./HexGrid");
+const { getTerrain } = require("./Terrain");
+
+function countUpgrades(playerHexes) {
+  const counts = { bank: 0, fort: 0, city: 0 };
+  playerHexes.forEach(h => {
+    if (counts[h.upgrade] !== undefined) counts[h.upgrade]++;
+  });
+  return counts;
+}
+
+/**
+ * Population of a city grows by one every cityGrowthInterval since it was built
+ * or last captured (hexes stored before upgradeTime count from their capture)
+ */
+function cityPopulation(hex, rules, now = Date.now()) {
+  const builtAt = parseInt(hex.upgradeTime) || parseInt(hex.captureTime) || now;
+  const grown = rules.cityGrowthInterval > 0
+    ? Math.floor(Math.max(0, now - builtAt) / rules.cityGrowthInterval)
+    : 0;
+  return Math.min(rules.cityMaxPopulation, rules.cityStartPopulation + grown);
+}
+
+/**
+ * Max points: base + banks + tiles + cities
+ */
+function computeMaxPoints(playerHexes, rules) {
+  const upgrades = countUpgrades(playerHexes);
+  return rules.startingMaxPoints +
+    (upgrades.bank * rules.bankMaxPointsBonus) +
+    (playerHexes.length * rules.tileMaxPointsBonus) +
+    (upgrades.city * rules.cityMaxPointsBonus);
+}
+
+/**
+ * Per-tick net income for a player with its breakdown:
+ * tile income, bank and city bonuses, terrain modifiers minus upkeep per tile
+ * and per upgrade
+ */
+function computeIncome(playerHexes, rules, now = Date.now()) {
+  const upgrades = countUpgrades(playerHexes);
+  const tileCount = playerHexes.length;
+
+  const base = rules.baseIncome;
+  const tiles = Math.floor(tileCount * rules.tileIncome);
+  const banks = upgrades.bank * rules.bankIncome;
+  const cities = playerHexes
+    .filter(h => h.upgrade === "city")
+    .reduce((sum, h) => sum + cityPopulation(h, rules, now) * rules.cityIncome, 0);
+  const terrain = Math.trunc(playerHexes
+    .reduce((sum, h) => sum + getTerrain(h.terrain).incomeModifier, 0));
+
+  const upkeepTiles = Math.max(0, tileCount - rules.upkeepFreeTiles);
+  const tileUpkeep = Math.floor(upkeepTiles * rules.hexMaintenanceCost / rules.hexMaintenanceBlock);
+  const upgradeUpkeep = Object.entries(upgrades)
+    .reduce((sum, [type, count]) => sum + count * ((rules.upgradeUpkeep || {})[type] || 0), 0);
+
+  const gross = base + tiles + banks + cities + terrain;
+  const upkeep = tileUpkeep + upgradeUpkeep;
+
+  return { base, tiles, banks, cities, terrain, tileUpkeep, upgradeUpkeep, gross, upkeep, net: gross - upkeep };
+}
+
+/**
+ * Cost multiplier for expanding into q,r - cheaper close to one of your cities
+ */
+function cityCostMultiplier(playerHexes, q, r, rules) {
+  const nearCity = playerHexes.some(h =>
+    h.upgrade === "city" &&
+    hexDistance(parseInt(h.q), parseInt(h.r), q, r) <= rules.cityInfluenceRadius
+  );
+  return nearCity ? 1 - rules.cityExpansionDiscount : 1;
+}
+
+module.exports = { countUpgrades, cityPopulation, computeMaxPoints, computeIncome, cityCostMultiplier };
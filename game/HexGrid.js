@@ -0,0 +1,36 @@
+// game/HexGrid.js
+// Axial hex coordinate helpers shared by the rule modules
+
+const HEX_DIRS = [
+  {q: 1, r: 0}, {q: 1, r: -1}, {q: 0, r: -1},
+  {q: -1, r: 0}, {q: -1, r: 1}, {q: 0, r: 1},
+];
+
+function getNeighborCoords(q, r) {
+  return HEX_DIRS.map(d => ({ q: q + d.q, r: r + d.r }));
+}
+
+function hexDistance(aq, ar, bq, br) {
+  return (Math.abs(aq - bq) + Math.abs(aq + ar - bq - br) + Math.abs(ar - br)) / 2;
+}
+
+function hexKey(q, r) {
+  return `${q},${r}`;
+}
+
+// Offsets of every hex within radius of 0,0, cached per radius (treat as read-only)
+const offsetCache = new Map();
+function areaOffsets(radius) {
+  if (!offsetCache.has(radius)) {
+    const offsets = [];
+    for (let dq = -radius; dq <= radius; dq++) {
+      for (let dr = Math.max(-radius, -dq - radius); dr <= Math.min(radius, -dq + radius); dr++) {
+        offsets.push({ q: dq, r: dr });
+      }
+    }
+    offsetCache.set(radius, offsets);
+  }
+  return offsetCache.get(radius);
+}
+
+module.exports = { HEX_DIRS, getNeighborCoords, hexDistance, hexKey, areaOffsets };
@@ -0,0 +1,50 @@
+// game/Leaderboards.js
+// Leaderboard definitions and the updates a finished game makes to them. Each
+// board is kept all-time and per season; seasons are seasonLength long,
+// counted from seasonEpoch, so a new season starts empty on its own and the
+// old ones stay readable as archives.
+
+const LEADERBOARDS = {
+  wins: { label: "Wins", lowestFirst: false },
+  rating: { label: "Rating", lowestFirst: false },
+  tiles: { label: "Tiles captured", lowestFirst: false },
+  fastest: { label: "Fastest victory", lowestFirst: true } // ms
+};
+
+function isLeaderboard(name) {
+  return Object.prototype.hasOwnProperty.call(LEADERBOARDS, name);
+}
+
+/**
+ * Updates from one game's match summaries (game/MatchStats.js). op "incr"
+ * adds to a player's score, "set" replaces it and "min" keeps the lower one.
+ * Only rated games count (ratingChanges from game/Rating.js is not empty), so
+ * wins against bots alone never reach a board.
+ * Returns [{ board, playerId, op, value }]
+ */
+function leaderboardUpdates(summaries, ratingChanges) {
+  if (!ratingChanges || Object.keys(ratingChanges).length === 0) return [];
+
+  const updates = [];
+  summaries.forEach(s => {
+    updates.push({ board: "tiles", playerId: s.playerId, op: "incr", value: s.captures });
+    if (s.rating !== null) updates.push({ board: "rating", playerId: s.playerId, op: "set", value: s.rating });
+    if (s.won) {
+      updates.push({ board: "wins", playerId: s.playerId, op: "incr", value: 1 });
+      updates.push({ board: "fastest", playerId: s.playerId, op: "min", value: s.duration });
+    }
+  });
+  return updates;
+}
+
+// Season number (from 1) that a time falls in
+function seasonAt(time, rules) {
+  return Math.max(1, Math.floor((time - rules.seasonEpoch) / rules.seasonLength) + 1);
+}
+
+function seasonBounds(season, rules) {
+  const start = rules.seasonEpoch + (season - 1) * rules.seasonLength;
+  return { season, start, end: start + rules.seasonLength };
+}
+
+module.exports = { LEADERBOARDS, isLeaderboard, leaderboardUpdates, seasonAt, seasonBounds };
@@ -0,0 +1,178 @@
+// game/MapGenerator.js
+// Terrain generators. Every generator draws from the SeededRandom it is given
+// (never Math.random) so the same seed and rules always give the same map.
+const { HEX_DIRS, hexKey } = require("./HexGrid");
+const { SeededRandom } = require("./SeededRandom");
+
+// Pick well-spaced starting points inside a square area centered on 0,0
+function pickSpacedPoints(rng, count, areaSize, minSpacing) {
+  const points = [];
+
+  for (let i = 0; i < count; i++) {
+    let candidate = null;
+
+    for (let attempts = 0; attempts < 200; attempts++) {
+      candidate = {
+        q: rng.int(areaSize) - Math.floor(areaSize / 2),
+        r: rng.int(areaSize) - Math.floor(areaSize / 2)
+      };
+
+      // Check if this point is far enough from existing starts
+      const tooClose = points.some(existing =>
+        Math.sqrt((candidate.q - existing.q) ** 2 + (candidate.r - existing.r) ** 2) < minSpacing
+      );
+      if (!tooClose) break;
+    }
+
+    points.push(candidate);
+  }
+
+  return points;
+}
+
+// Any direction except straight back
+function zigzagDirections(primaryDirection) {
+  return HEX_DIRS.filter(dir => dir.q !== -primaryDirection.q || dir.r !== -primaryDirection.r);
+}
+
+/**
+ * Mountain chains: solid lines with light zigzags and occasional branches
+ */
+function generateMountainHexes(rng, rules) {
+  const { mountainChains, mountainChainLength, mountainDensity, mountainAreaSize, mountainChainSpacing, mountainZigzagChance } = rules;
+  const hexes = [];
+
+  const chainStartPoints = pickSpacedPoints(rng, mountainChains, mountainAreaSize, mountainChainSpacing);
+
+  for (const { q: startQ, r: startR } of chainStartPoints) {
+    // Choose a primary direction for this chain
+    const primaryDirection = rng.pick(HEX_DIRS);
+
+    let currentQ = startQ;
+    let currentR = startR;
+
+    for (let i = 0; i < mountainChainLength; i++) {
+      hexes.push({ q: currentQ, r: currentR, terrain: "mountain" });
+
+      // Very occasional small branching (for natural variation)
+      if (rng.next() < mountainDensity) {
+        const branchQ = currentQ + (rng.next() > 0.5 ? 1 : -1);
+        const branchR = currentR + (rng.next() > 0.5 ? 1 : -1);
+        hexes.push({ q: branchQ, r: branchR, terrain: "mountain" });
+      }
+
+      // Move primarily in the chosen direction with light zigzags
+      const dir = rng.next() < mountainZigzagChance ? rng.pick(zigzagDirections(primaryDirection)) : primaryDirection;
+      currentQ += dir.q;
+      currentR += dir.r;
+    }
+  }
+
+  return hexes;
+}
+
+/**
+ * Rivers: mostly straight lines that fork in their later two thirds
+ */
+function generateRiverHexes(rng, rules) {
+  const { riverCount, riverLength, riverForkChance, riverForkLength, riverAreaSize, riverZigzagChance } = rules;
+  const hexes = [];
+
+  const riverStartPoints = pickSpacedPoints(rng, riverCount, riverAreaSize, 15);
+
+  for (const { q: startQ, r: startR } of riverStartPoints) {
+    // Choose a primary direction for this river
+    const primaryDirection = rng.pick(HEX_DIRS);
+
+    let currentQ = startQ;
+    let currentR = startR;
+
+    for (let i = 0; i < riverLength; i++) {
+      hexes.push({ q: currentQ, r: currentR, terrain: "river" });
+
+      // Check if we should create a fork (branch)
+      if (rng.next() < riverForkChance && i > riverLength / 3) {
+        const forkDir = rng.pick(zigzagDirections(primaryDirection));
+
+        let forkQ = currentQ;
+        let forkR = currentR;
+
+        for (let j = 0; j < riverForkLength; j++) {
+          forkQ += forkDir.q;
+          forkR += forkDir.r;
+
+          // Light zigzag for the fork
+          if (rng.next() < riverZigzagChance) {
+            const zigzagDir = rng.pick(HEX_DIRS);
+            forkQ += zigzagDir.q;
+            forkR += zigzagDir.r;
+          }
+
+          hexes.push({ q: forkQ, r: forkR, terrain: "river" });
+        }
+      }
+
+      // Move primarily in the chosen direction with light zigzags
+      const dir = rng.next() < riverZigzagChance ? rng.pick(zigzagDirections(primaryDirection)) : primaryDirection;
+      currentQ += dir.q;
+      currentR += dir.r;
+    }
+  }
+
+  return hexes;
+}
+
+/**
+ * Patches: blobs of one terrain type grown outward from random centers
+ */
+function generatePatchHexes(rng, terrain, { count, size, areaSize }) {
+  const hexes = [];
+
+  for (let i = 0; i < count; i++) {
+    const patch = new Map();
+    const center = {
+      q: rng.int(areaSize) - Math.floor(areaSize / 2),
+      r: rng.int(areaSize) - Math.floor(areaSize / 2)
+    };
+    patch.set(hexKey(center.q, center.r), center);
+
+    // Grow by stepping from a random hex of the patch to a random neighbor
+    for (let attempts = 0; patch.size < size && attempts < size * 4; attempts++) {
+      const from = rng.pick(Array.from(patch.values()));
+      const dir = rng.pick(HEX_DIRS);
+      const next = { q: from.q + dir.q, r: from.r + dir.r };
+      patch.set(hexKey(next.q, next.r), next);
+    }
+
+    patch.forEach(({ q, r }) => hexes.push({ q, r, terrain }));
+  }
+
+  return hexes;
+}
+
+/**
+ * Build the whole terrain layer for a seed. Later layers overwrite earlier
+ * ones on the same hex, so mountains and rivers always keep their shape over
+ * the terrain patches. Hexes outside the board (a BoardShape) are dropped.
+ * Returns terrain hexes sorted by coordinate.
+ */
+function generateMap(seed, rules, boardShape = null) {
+  const rng = new SeededRandom(seed);
+  const terrain = new Map();
+
+  const mountains = generateMountainHexes(rng, rules);
+  const rivers = generateRiverHexes(rng, rules);
+  const patches = Object.entries(rules.terrainPatches || {})
+    .map(([type, patchRules]) => generatePatchHexes(rng, type, patchRules));
+
+  const layers = [...patches, mountains, rivers];
+
+  layers.forEach(layer => layer.forEach(h => {
+    if (boardShape && !boardShape.contains(h.q, h.r)) return;
+    terrain.set(hexKey(h.q, h.r), h);
+  }));
+
+  return Array.from(terrain.values()).sort((a, b) => (a.q - b.q) || (a.r - b.r));
+}
+
+module.exports = { generateMap, generateMountainHexes, generateRiverHexes, generatePatchHexes };
@@ -0,0 +1,103 @@
+// game/MapTemplate.js
+// Hand-authored maps saved from the map editor. A template is plain JSON:
+//   {
+//     name: "twin-rivers",
+//     board: { type: "hexagon", radius: 20 },        // any BoardShape definition
+//     terrain: [{ q, r, terrain: "mountain" }, ...],
+//     starts: [{ q, r }, ...],                      // start positions offered to players
+//     structures: [{ q, r, upgrade: "fort" }, ...]  // neutral upgrades placed at game start
+//   }
+// validateMapTemplate cleans up whatever the editor posted so rooms can trust
+// templates loaded from maps:{name}.
+const { BoardShape } = require("./BoardShape");
+const { TERRAIN_TYPES, isPassable } = require("./Terrain");
+const { hexKey } = require("./HexGrid");
+
+const MAP_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{1,31}$/;
+const STRUCTURE_TYPES = ["bank", "fort", "city"];
+const MAX_TEMPLATE_HEXES = 20000;
+
+function toCoords(entry) {
+  const q = Number(entry?.q);
+  const r = Number(entry?.r);
+  return Number.isInteger(q) && Number.isInteger(r) ? { q, r } : null;
+}
+
+/**
+ * Returns { template } with a normalized copy, or { error } describing the first problem
+ */
+function validateMapTemplate(raw) {
+  if (!raw || typeof raw !== "object") return { error: "template must be an object" };
+
+  const name = typeof raw.name === "string" ? raw.name.trim().toLowerCase() : "";
+  if (!MAP_NAME_PATTERN.test(name)) {
+    return { error: "name must be 2-32 characters of a-z, 0-9, - or _" };
+  }
+
+  if (BoardShape.exceedsLimits(raw.board)) return { error: "board is too large" };
+  const board = BoardShape.from(raw.board);
+  if (board.size === 0 || board.size > MAX_TEMPLATE_HEXES) {
+    return { error: `board must have between 1 and ${MAX_TEMPLATE_HEXES} hexes` };
+  }
+
+  const terrainByKey = new Map();
+  for (const entry of Array.isArray(raw.terrain) ? raw.terrain : []) {
+    const coords = toCoords(entry);
+    if (!coords || !board.contains(coords.q, coords.r)) return { error: "terrain outside the board" };
+    if (!TERRAIN_TYPES[entry.terrain]) return { error: `unknown terrain "${entry.terrain}"` };
+    terrainByKey.set(hexKey(coords.q, coords.r), { ...coords, terrain: entry.terrain });
+  }
+
+  const startKeys = new Set();
+  const starts = [];
+  for (const entry of Array.isArray(raw.starts) ? raw.starts : []) {
+    const coords = toCoords(entry);
+    if (!coords || !board.contains(coords.q, coords.r)) return { error: "start position outside the board" };
+
+    const key = hexKey(coords.q, coords.r);
+    if (!isPassable(terrainByKey.get(key)?.terrain)) return { error: "start position on impassable terrain" };
+    if (startKeys.has(key)) continue;
+    startKeys.add(key);
+    starts.push(coords);
+  }
+
+  const structureKeys = new Set();
+  const structures = [];
+  for (const entry of Array.isArray(raw.structures) ? raw.structures : []) {
+    const coords = toCoords(entry);
+    if (!coords || !board.contains(coords.q, coords.r)) return { error: "structure outside the board" };
+    if (!STRUCTURE_TYPES.includes(entry.upgrade)) return { error: `unknown structure "${entry.upgrade}"` };
+
+    const key = hexKey(coords.q, coords.r);
+    if (!isPassable(terrainByKey.get(key)?.terrain)) return { error: "structure on impassable terrain" };
+    if (startKeys.has(key) || structureKeys.has(key)) return { error: "structures cannot share a hex" };
+    structureKeys.add(key);
+    structures.push({ ...coords, upgrade: entry.upgrade });
+  }
+
+  return {
+    template: {
+      name,
+      board: board.toJSON(),
+      terrain: Array.from(terrainByKey.values()),
+      starts,
+      structures
+    }
+  };
+}
+
+/**
+ * The neutral hexes a template puts on the board: terrain plus structures,
+ * merged so a structure on a forest keeps the forest
+ */
+function templateHexes(template) {
+  const hexes = new Map();
+  template.terrain.forEach(h => hexes.set(hexKey(h.q, h.r), { q: h.q, r: h.r, terrain: h.terrain, upgrade: "" }));
+  template.structures.forEach(s => {
+    const key = hexKey(s.q, s.r);
+    hexes.set(key, { q: s.q, r: s.r, terrain: hexes.get(key)?.terrain || "", upgrade: s.upgrade });
+  });
+  return Array.from(hexes.values());
+}
+
+module.exports = { MAP_NAME_PATTERN, STRUCTURE_TYPES, validateMapTemplate, templateHexes };
@@ -0,0 +1,71 @@
+// game/MatchStats.js
+// Per-player numbers for the match summaries written when a game ends. The
+// room counts captures and upgrades as they happen and samples the board every
+// tick to track each player's peak territory.
+
+class MatchStats {
+  constructor() {
+    this.players = new Map(); // playerId -> { captures, upgrades, peakTiles }
+  }
+
+  get(playerId) {
+    if (!this.players.has(playerId)) {
+      this.players.set(playerId, { captures: 0, upgrades: 0, peakTiles: 0 });
+    }
+    return this.players.get(playerId);
+  }
+
+  recordCapture(playerId) {
+    this.get(playerId).captures++;
+  }
+
+  recordUpgrade(playerId) {
+    this.get(playerId).upgrades++;
+  }
+
+  // Raise each owner's peak to their tile count on this board
+  recordBoard(hexes) {
+    const tiles = new Map();
+    hexes.forEach(h => {
+      if (h.playerId) tiles.set(h.playerId, (tiles.get(h.playerId) || 0) + 1);
+    });
+    tiles.forEach((count, playerId) => {
+      const entry = this.get(playerId);
+      entry.peakTiles = Math.max(entry.peakTiles, count);
+    });
+  }
+}
+
+/**
+ * One player's summary of a finished game (result as built by the room's
+ * endGame), kept in their match history.
+ */
+function summarizeMatch(result, playerId, stats) {
+  const standing = result.standings.find(s => s.playerId === playerId);
+  const own = stats.get(playerId);
+  const rating = (result.ratingChanges || {})[playerId];
+
+  return {
+    gameId: result.gameId,
+    playerId,
+    endedAt: result.endedAt,
+    duration: result.duration,
+    reason: result.reason,
+    teamMode: result.teamMode || "ffa",
+    rulePreset: result.rulePreset || "classic",
+    ranked: !!result.ranked,
+    players: result.standings.length,
+    placement: standing.rank,
+    won: result.winners.includes(playerId),
+    color: standing.color,
+    team: standing.team,
+    tiles: standing.tiles,
+    peakTiles: Math.max(own.peakTiles, standing.tiles),
+    captures: own.captures,
+    upgrades: own.upgrades,
+    rating: rating ? rating.after : null,
+    ratingDelta: rating ? rating.delta : null
+  };
+}
+
+module.exports = { MatchStats, summarizeMatch };
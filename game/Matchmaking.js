@@ -0,0 +1,38 @@
+// game/Matchmaking.js
+// Ranked queue matching. Each queued player accepts opponents within a rating
+// band around their own rating; the band starts narrow and widens the longer
+// they wait, so long waits trade match quality for a game.
+
+// How far from their rating a player who has waited this long will accept
+function ratingBand(waited, rules) {
+  const steps = Math.floor(Math.max(0, waited) / rules.rankedBandInterval);
+  return Math.min(rules.rankedBandMax, rules.rankedBandStart + steps * rules.rankedBandGrowth);
+}
+
+/**
+ * The next ranked game to start, if any. The longest-waiting players are
+ * matched first, each with the closest-rated players inside their band. A full
+ * game (rankedPlayers) starts right away; a smaller one (at least
+ * rankedMinPlayers) only once the band has stopped widening.
+ *
+ * queue: [{ playerId, rating, queuedAt }]
+ * Returns the matched queue entries, or null
+ */
+function findRankedMatch(queue, now, rules) {
+  const byWait = queue.slice().sort((a, b) => a.queuedAt - b.queuedAt);
+
+  for (const anchor of byWait) {
+    const band = ratingBand(now - anchor.queuedAt, rules);
+    const others = byWait
+      .filter(o => o !== anchor && Math.abs(o.rating - anchor.rating) <= band)
+      .sort((a, b) => Math.abs(a.rating - anchor.rating) - Math.abs(b.rating - anchor.rating));
+    const group = [anchor, ...others.slice(0, rules.rankedPlayers - 1)];
+
+    if (group.length >= rules.rankedPlayers) return group;
+    if (group.length >= rules.rankedMinPlayers && band >= rules.rankedBandMax) return group;
+  }
+
+  return null;
+}
+
+module.exports = { ratingBand, findRankedMatch };
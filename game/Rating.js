@@ -0,0 +1,56 @@
+// game/Rating.js
+// Elo ratings for multiplayer games. A finished game is scored as a set of
+// head-to-head results: every player is compared with every opponent (never
+// with a teammate), and their rating moves by the average of those results
+// against what their ratings predicted. Bots are never rated.
+const { isBotId } = require("./BotPlanner");
+
+function expectedScore(rating, opponentRating) {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+// 1 if a finished ahead of b, 0.5 for a tie, 0 if behind. Winners beat
+// everyone else; the rest are ordered by their standings rank.
+function headToHead(a, b, winners) {
+  const aWon = winners.has(a.playerId);
+  const bWon = winners.has(b.playerId);
+  if (aWon !== bWon) return aWon ? 1 : 0;
+  if (a.rank === b.rank) return 0.5;
+  return a.rank < b.rank ? 1 : 0;
+}
+
+/**
+ * Rating changes for a finished game.
+ * ratings: { playerId: { rating, games } } for the players in standings
+ * Returns { playerId: { before, after, delta } } for every rated player, or
+ * {} when fewer than two humans played
+ */
+function rateGame(standings, winnerIds, ratings, rules, sameTeam = () => false) {
+  const rated = standings.filter(s => !isBotId(s.playerId));
+  if (rated.length < 2) return {};
+
+  const winners = new Set(winnerIds);
+  const current = id => ratings[id]?.rating ?? rules.ratingInitial;
+  const changes = {};
+
+  rated.forEach(player => {
+    const opponents = rated.filter(o => o !== player && !sameTeam(player.playerId, o.playerId));
+    const before = current(player.playerId);
+    if (!opponents.length) {
+      changes[player.playerId] = { before, after: before, delta: 0 };
+      return;
+    }
+
+    const surplus = opponents.reduce((sum, o) =>
+      sum + headToHead(player, o, winners) - expectedScore(before, current(o.playerId)), 0);
+    const games = ratings[player.playerId]?.games || 0;
+    const k = games < rules.ratingProvisionalGames ? rules.ratingProvisionalK : rules.ratingK;
+    const delta = Math.round(k * surplus / opponents.length);
+
+    changes[player.playerId] = { before, after: before + delta, delta };
+  });
+
+  return changes;
+}
+
+module.exports = { expectedScore, rateGame };
@@ -0,0 +1,127 @@
+// game/ReplayAnalytics.js
+// Overlays for the replay viewer, computed from a game's replay log
+// (game/ReplayLog.js): each player's territory and income over time, a
+// capture heatmap and markers for key moments. Times are ms into the game.
+const { ReplayBoard } = require("./ReplayLog");
+const { computeIncome } = require("./Economy");
+
+// Upper bound on chart samples whatever the settings say
+const MAX_ANALYTICS_SAMPLES = 1000;
+
+// A game's rules with the server's replay* settings on top: stored games may
+// predate them and imported files must not choose them
+function analyticsRules(rules, defaults) {
+  const replaySettings = Object.entries(defaults).filter(([key]) => key.startsWith("replay"));
+  return { ...defaults, ...rules, ...Object.fromEntries(replaySettings) };
+}
+
+/**
+ * Returns {
+ *   duration,
+ *   players: [{ playerId, username, color }],
+ *   samples: [{ time, applied, players: { playerId: { tiles, income } } }],
+ *   heatmap: [[q, r, captures]], most captured first,
+ *   markers: [{ time, index, type: "crown", playerId, by, q, r } | { time, index, type: "wave", playerId, count }]
+ * }
+ * applied counts the events played by then, as in snapshots; a marker's index is
+ * the position of its event in the log, as in "replayEvent" messages.
+ */
+function analyzeReplay(events, rules) {
+  const analytics = { duration: 0, players: [], samples: [], heatmap: [], markers: [] };
+  if (events.length === 0) return analytics;
+
+  const start = events[0].t;
+  const duration = events[events.length - 1].t - start;
+  const samples = Math.min(MAX_ANALYTICS_SAMPLES, Math.max(1, parseInt(rules.replayAnalyticsSamples) || 1));
+  const step = Math.max(1, Math.ceil(duration / samples));
+  const board = new ReplayBoard();
+  const colors = new Map(); // playerId -> last color seen, for logs without join events
+  const captures = new Map(); // "q,r" -> [q, r, count]
+  const waves = new Map(); // playerId -> { time, last, index, count }
+
+  const sample = time => {
+    const owned = new Map();
+    board.hexes.forEach(hex => {
+      if (!hex.playerId) return;
+      if (!owned.has(hex.playerId)) owned.set(hex.playerId, []);
+      owned.get(hex.playerId).push(hex);
+    });
+
+    const players = {};
+    owned.forEach((hexes, playerId) => {
+      players[playerId] = { tiles: hexes.length, income: computeIncome(hexes, rules, start + time).net };
+    });
+    analytics.samples.push({ time, applied: board.applied, players });
+  };
+
+  const endWave = playerId => {
+    const wave = waves.get(playerId);
+    waves.delete(playerId);
+    if (wave && wave.count >= rules.replayWaveMinCaptures) {
+      analytics.markers.push({ time: wave.time, index: wave.index, type: "wave", playerId, count: wave.count });
+    }
+  };
+
+  let nextSample = 0;
+  events.forEach(event => {
+    const time = event.t - start;
+    while (nextSample < time) {
+      sample(nextSample);
+      nextSample += step;
+    }
+
+    board.apply(event);
+    if (event.color && event.playerId && (event.type === "start" || event.type === "capture")) {
+      colors.set(event.playerId, event.color);
+    }
+
+    if (event.type === "capture") {
+      const key = `${event.q},${event.r}`;
+      if (!captures.has(key)) captures.set(key, [event.q, event.r, 0]);
+      captures.get(key)[2]++;
+
+      if (event.auto) {
+        const wave = waves.get(event.playerId);
+        if (wave && time - wave.last <= rules.replayWaveWindow) {
+          wave.count++;
+          wave.last = time;
+        } else {
+          endWave(event.playerId);
+          waves.set(event.playerId, { time, last: time, index: board.applied - 1, count: 1 });
+        }
+      }
+    }
+
+    if (event.type === "eliminate") {
+      analytics.markers.push({
+        time,
+        index: board.applied - 1,
+        type: "crown",
+        playerId: event.playerId,
+        by: event.by || null,
+        q: event.q,
+        r: event.r
+      });
+    }
+  });
+  Array.from(waves.keys()).forEach(endWave);
+  while (nextSample <= duration) {
+    sample(nextSample);
+    nextSample += step;
+  }
+  if (analytics.samples[analytics.samples.length - 1].time < duration) sample(duration);
+
+  const playerIds = new Set(colors.keys());
+  analytics.samples.forEach(s => Object.keys(s.players).forEach(id => playerIds.add(id)));
+  analytics.players = Array.from(playerIds, playerId => {
+    const player = board.players.get(playerId);
+    return { playerId, username: player?.username || playerId, color: player?.color || colors.get(playerId) || null };
+  });
+
+  analytics.duration = duration;
+  analytics.heatmap = Array.from(captures.values()).sort((a, b) => b[2] - a[2]);
+  analytics.markers.sort((a, b) => a.time - b.time);
+  return analytics;
+}
+
+module.exports = { MAX_ANALYTICS_SAMPLES, analyticsRules, analyzeReplay };
@@ -0,0 +1,120 @@
+// game/ReplayFile.js
+// Self-contained replay files: a finished game's map, players, rules, result
+// and replay log (game/ReplayLog.js) as gzipped JSON. A file plays back in a
+// replay room on any server, without the game's Redis keys:
+//   {
+//     format: "hexgame-replay", version, exportedAt, gameId,
+//     seed, mapTemplate, teamMode, rulePreset, ranked,
+//     board,      // BoardShape definition
+//     rules,      // the resolved rules the game was played with
+//     players,    // [{ playerId, username, color, team, bot }]
+//     result,     // final standings, as sent in gameOver
+//     events,     // the replay log, oldest first
+//     snapshots   // board snapshots for seeking
+//   }
+const zlib = require("zlib");
+const { BoardShape } = require("./BoardShape");
+const { REPLAY_VERSION, rebuildBoard } = require("./ReplayLog");
+
+const REPLAY_FILE_FORMAT = "hexgame-replay";
+
+// A file's rules are only a record of how the game was played. Keep plain
+// values and drop the replay* settings, which stay the server's own.
+function readRules(rules) {
+  if (!rules || typeof rules !== "object" || Array.isArray(rules)) return {};
+
+  const kept = {};
+  Object.entries(rules).forEach(([key, value]) => {
+    if (key.startsWith("replay")) return;
+    if (typeof value === "string" || typeof value === "boolean" || Number.isFinite(value)) kept[key] = value;
+  });
+  return kept;
+}
+
+function buildReplayFile({ gameId, game, rules, board, result, events, snapshots }) {
+  const players = Array.from(rebuildBoard(events).players.values(), p => ({
+    playerId: p.playerId,
+    username: p.username,
+    color: p.color,
+    team: p.team ?? null,
+    bot: !!p.bot
+  }));
+
+  return {
+    format: REPLAY_FILE_FORMAT,
+    version: REPLAY_VERSION,
+    exportedAt: Date.now(),
+    gameId,
+    seed: game.seed || null,
+    mapTemplate: game.mapTemplate || null,
+    teamMode: game.teamMode || "ffa",
+    rulePreset: game.rulePreset || "classic",
+    ranked: game.ranked === "true" || game.ranked === true,
+    board: board.toJSON(),
+    rules,
+    players,
+    result,
+    events,
+    snapshots
+  };
+}
+
+function encodeReplayFile(file) {
+  return zlib.gzipSync(Buffer.from(JSON.stringify(file)));
+}
+
+// A snapshot the replay room and viewer can restore: covers 0..eventCount
+// events, hexes have integer coordinates and players an id
+function isValidSnapshot(s, eventCount) {
+  const isObject = x => !!x && typeof x === "object" && !Array.isArray(x);
+  return isObject(s) &&
+    Number.isInteger(s.applied) && s.applied >= 0 && s.applied <= eventCount &&
+    Array.isArray(s.hexes) && s.hexes.every(h => isObject(h) && Number.isInteger(h.q) && Number.isInteger(h.r)) &&
+    Array.isArray(s.players) && s.players.every(p => isObject(p) && typeof p.playerId === "string");
+}
+
+/**
+ * Read an uploaded replay file, gzipped or plain JSON. Returns { replay } or
+ * { error } describing the first problem. maxBytes caps the unpacked size;
+ * boards past the BoardShape limits and events out of time order are rejected.
+ */
+function readReplayFile(buffer, maxBytes) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) return { error: "empty file" };
+
+  let raw;
+  try {
+    const gzipped = buffer[0] === 0x1f && buffer[1] === 0x8b;
+    const json = gzipped ? zlib.gunzipSync(buffer, { maxOutputLength: maxBytes }) : buffer;
+    if (json.length > maxBytes) return { error: "file too large" };
+    raw = JSON.parse(json.toString("utf8"));
+  } catch (e) {
+    return { error: e.code === "ERR_BUFFER_TOO_LARGE" ? "file too large" : "not a replay file" };
+  }
+
+  if (!raw || raw.format !== REPLAY_FILE_FORMAT) return { error: "not a replay file" };
+  if (!Number.isInteger(raw.version) || raw.version > REPLAY_VERSION) {
+    return { error: `unsupported replay version ${raw.version}` };
+  }
+  if (typeof raw.gameId !== "string" || !raw.gameId) return { error: "missing gameId" };
+  if (BoardShape.exceedsLimits(raw.board)) return { error: "board is too large" };
+  if (BoardShape.from(raw.board).size === 0) return { error: "invalid board" };
+
+  const events = Array.isArray(raw.events) ? raw.events : [];
+  if (events.length === 0) return { error: "no events" };
+  if (!events.every(e => e && typeof e.type === "string" && Number.isFinite(e.t))) {
+    return { error: "invalid event" };
+  }
+  // Seeking searches the events by time
+  if (!events.every((e, i) => i === 0 || e.t >= events[i - 1].t)) return { error: "events out of order" };
+
+  const snapshots = Array.isArray(raw.snapshots) ? raw.snapshots : [];
+  if (!snapshots.every(s => isValidSnapshot(s, events.length))) {
+    return { error: "invalid snapshot" };
+  }
+
+  return {
+    replay: { ...raw, rules: readRules(raw.rules), events, snapshots, players: Array.isArray(raw.players) ? raw.players : [] }
+  };
+}
+
+module.exports = { REPLAY_FILE_FORMAT, buildReplayFile, encodeReplayFile, readReplayFile };
@@ -0,0 +1,254 @@
+// game/ReplayLog.js
+// The replay event log. Every change to a game's board is recorded as a
+// versioned event, and ReplayBoard rebuilds the board exactly by applying
+// them in order. Event types and their fields (besides v, type and t):
+//
+//   game-start  seed, mapTemplate, board (shape), rulePreset, teamMode,
+//               map: [[q, r, terrain, upgrade]] neutral hexes laid out before play,
+//               players: [{ playerId, username, color, team, bot }]
+//   join        playerId, username, color, bot
+//   leave       playerId
+//   start       playerId, color, q, r, assigned (placed by the server)
+//   capture     playerId, color, q, r, cost, prevOwnerId, auto (auto-expansion)
+//   upgrade     playerId, q, r, upgrade, cost
+//   eliminate   playerId, by, color (of by), q, r (the crown), hexRule ("transfer" or "neutral")
+//   alliance    playerId, partnerId, action ("propose", "form", "decline" or "break")
+//   game-over   reason, winners, standings
+//
+// Version 1 was the old games:{id}:events list (playerId, color, q, r,
+// eventType only); fromLegacyEvents reads it as well as it can.
+//
+// Viewers get the log through one protocol: GET /api/history answers with
+// replayHistory(), the replay room sends the same object as "replayInfo" and
+// then streams "replayEvent" { index, event } in order. public/replay-protocol.js
+// is the viewer's side of it.
+//
+// Snapshots are a ReplayBoard frozen after some number of events (applied), so
+// seeking starts from the nearest one instead of from the first event.
+const { hexKey } = require("./HexGrid");
+const { terrainColor, describeTerrainTypes } = require("./Terrain");
+
+const REPLAY_VERSION = 2;
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4, 8, 16];
+
+function replayEvent(type, data = {}, t = Date.now()) {
+  return { v: REPLAY_VERSION, type, t, ...data };
+}
+
+class ReplayBoard {
+  constructor() {
+    this.hexes = new Map(); // "q,r" -> { q, r, playerId, color, upgrade, upgradeTime, terrain, isStart }
+    this.players = new Map(); // playerId -> { playerId, username, color, team, bot, connected, eliminatedBy }
+    this.info = null; // the game-start event
+    this.result = null; // the game-over event
+    this.applied = 0;
+    this.t = null; // time of the last applied event
+  }
+
+  static fromSnapshot(snapshot) {
+    const board = new ReplayBoard();
+    snapshot.hexes.forEach(hex => board.hexes.set(hexKey(hex.q, hex.r), { ...hex }));
+    snapshot.players.forEach(p => board.players.set(p.playerId, { ...p }));
+    board.applied = snapshot.applied;
+    board.t = snapshot.t;
+    return board;
+  }
+
+  player(playerId) {
+    if (!this.players.has(playerId)) {
+      this.players.set(playerId, { playerId, username: "", color: null, team: null, bot: false, connected: false, eliminatedBy: null });
+    }
+    return this.players.get(playerId);
+  }
+
+  setHex(q, r, fields) {
+    const key = hexKey(q, r);
+    const hex = this.hexes.get(key) || { q, r, playerId: null, color: null, upgrade: "", upgradeTime: null, terrain: "", isStart: false };
+    this.hexes.set(key, { ...hex, ...fields });
+  }
+
+  apply(event) {
+    switch (event.type) {
+      case "game-start":
+        this.info = event;
+        (event.map || []).forEach(([q, r, terrain, upgrade]) => {
+          this.setHex(q, r, { terrain: terrain || "", upgrade: upgrade || "", upgradeTime: upgrade ? event.t : null, color: terrainColor(terrain) });
+        });
+        (event.players || []).forEach(p => Object.assign(this.player(p.playerId), p));
+        break;
+
+      case "join":
+        Object.assign(this.player(event.playerId), {
+          username: event.username || "",
+          color: event.color || null,
+          bot: !!event.bot,
+          connected: true
+        });
+        break;
+
+      case "leave":
+        this.player(event.playerId).connected = false;
+        break;
+
+      case "start":
+        this.setHex(event.q, event.r, { playerId: event.playerId, color: event.color, upgrade: "", upgradeTime: null, isStart: true });
+        break;
+
+      case "capture": {
+        // the room restarts a captured upgrade's clock, so a captured city grows again from the start
+        const upgraded = this.hexes.get(hexKey(event.q, event.r))?.upgrade;
+        this.setHex(event.q, event.r, { playerId: event.playerId, color: event.color, upgradeTime: upgraded ? event.t : null, isStart: false });
+        break;
+      }
+
+      case "upgrade":
+        if (event.upgrade) this.setHex(event.q, event.r, { upgrade: event.upgrade, upgradeTime: event.t }); // version 1 lost the type
+        break;
+
+      case "eliminate":
+        this.player(event.playerId).eliminatedBy = event.by || null;
+        this.hexes.forEach((hex, key) => {
+          if (hex.playerId !== event.playerId) return;
+          if (event.hexRule === "transfer") {
+            this.hexes.set(key, { ...hex, playerId: event.by, color: event.color, isStart: false });
+          } else if (hex.terrain) {
+            this.hexes.set(key, { ...hex, playerId: null, color: terrainColor(hex.terrain), upgrade: "", isStart: false });
+          } else {
+            this.hexes.delete(key);
+          }
+        });
+        break;
+
+      case "game-over":
+        this.result = event;
+        break;
+    }
+    this.applied++;
+    this.t = event.t;
+    return this;
+  }
+
+  // The board as hex records, the same shape as games:{id}:hexes
+  toHexes() {
+    return Array.from(this.hexes.values());
+  }
+
+  snapshot() {
+    return {
+      applied: this.applied,
+      t: this.t,
+      hexes: this.toHexes().map(hex => ({ ...hex })),
+      players: Array.from(this.players.values(), p => ({ ...p }))
+    };
+  }
+}
+
+// Whether board has moved far enough past the last snapshot (or the start) for another
+function snapshotDue(board, lastSnapshot, rules, startedAt) {
+  const since = lastSnapshot || { applied: 0, t: startedAt };
+  return board.applied - since.applied >= rules.replaySnapshotEvents ||
+    board.t - since.t >= rules.replaySnapshotInterval;
+}
+
+// Snapshots for a log that was recorded without them
+function buildSnapshots(events, rules) {
+  const board = new ReplayBoard();
+  const snapshots = [];
+  events.forEach(event => {
+    board.apply(event);
+    if (snapshotDue(board, snapshots[snapshots.length - 1], rules, events[0].t)) snapshots.push(board.snapshot());
+  });
+  return snapshots;
+}
+
+// The latest snapshot at or before index (events applied), or null
+function nearestSnapshot(snapshots, index) {
+  let best = null;
+  snapshots.forEach(s => {
+    if (s.applied <= index && (!best || s.applied > best.applied)) best = s;
+  });
+  return best;
+}
+
+// The board after the first index events, starting from the nearest snapshot
+function seekBoard(events, snapshots, index) {
+  const snapshot = nearestSnapshot(snapshots, index);
+  const board = snapshot ? ReplayBoard.fromSnapshot(snapshot) : new ReplayBoard();
+  events.slice(board.applied, index).forEach(event => board.apply(event));
+  return board;
+}
+
+// How many events happened within the first time ms of the game
+function eventIndexAt(events, time) {
+  if (events.length === 0) return 0;
+  const limit = events[0].t + time;
+  let lo = 0;
+  let hi = events.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (events[mid].t <= limit) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// Rebuild a board from the first count events (all of them by default)
+function rebuildBoard(events, count = events.length) {
+  const board = new ReplayBoard();
+  events.slice(0, count).forEach(event => board.apply(event));
+  return board;
+}
+
+// Everything a viewer needs to play a game back: the board, terrain colors
+// and the events, oldest first
+function replayHistory(gameId, events, board) {
+  return {
+    version: REPLAY_VERSION,
+    gameId,
+    board: { shape: board.toJSON(), cells: board.cells().map(({ q, r }) => [q, r]) },
+    terrain: describeTerrainTypes(),
+    events
+  };
+}
+
+// Version 1 events, as read from the list (newest first), in version 2 shape.
+// They carry no map, costs or previous owners.
+function fromLegacyEvents(list) {
+  return list.slice().reverse().map(e => {
+    const q = e.q === null || e.q === undefined ? null : parseInt(e.q);
+    const r = e.r === null || e.r === undefined ? null : parseInt(e.r);
+    const base = { v: 1, t: e.timestamp || 0, playerId: e.playerId, color: e.color, q, r };
+    if (e.eventType === "start" || e.eventType === "assign-start") {
+      return { ...base, type: "start", assigned: e.eventType === "assign-start" };
+    }
+    if (e.eventType === "capture" || e.eventType === "auto-capture") {
+      return { ...base, type: "capture", cost: null, prevOwnerId: null, auto: e.eventType === "auto-capture" };
+    }
+    if (e.eventType === "upgrade") {
+      return { ...base, type: "upgrade", upgrade: null, cost: null };
+    }
+    if (e.eventType === "eliminate") {
+      const details = e.details || {};
+      return { ...base, type: "eliminate", playerId: details.eliminatedPlayerId, by: e.playerId, hexRule: details.hexRule || "neutral" };
+    }
+    if (typeof e.eventType === "string" && e.eventType.startsWith("alliance-")) {
+      return { ...base, type: "alliance", partnerId: e.details?.partnerId, action: e.eventType.slice("alliance-".length) };
+    }
+    return { ...base, type: e.eventType };
+  });
+}
+
+module.exports = {
+  REPLAY_VERSION,
+  REPLAY_SPEEDS,
+  replayEvent,
+  ReplayBoard,
+  rebuildBoard,
+  snapshotDue,
+  buildSnapshots,
+  nearestSnapshot,
+  seekBoard,
+  eventIndexAt,
+  replayHistory,
+  fromLegacyEvents
+};
@@ -0,0 +1,83 @@
+// game/RulePresets.js
+// Named rule sets a lobby can pick for its next game. A preset only lists the
+// values it changes; everything else comes from config.game. The resolved
+// rules are stored with the game so it keeps them for its whole lifetime,
+// whatever other games on the server are playing.
+
+const RULE_PRESETS = {
+  classic: {
+    label: "Classic",
+    overrides: {}
+  },
+  // Short games: more money, faster expansion, an early time limit
+  blitz: {
+    label: "Blitz",
+    overrides: {
+      startDelay: 8000,
+      autoExpandInterval: 5000,
+      baseIncome: 20,
+      tileIncome: 0.4,
+      startingPoints: 400,
+      startingMaxPoints: 400,
+      expGrowth: 3,
+      autoCaptureThreshold: 2,
+      victoryMapControlPercent: 50,
+      victoryTimeLimit: 480000,
+      mountainChains: 3,
+      riverCount: 2
+    }
+  },
+  // Building up pays off: cheap, strong upgrades and light upkeep
+  economy: {
+    label: "Economy",
+    overrides: {
+      baseIncome: 15,
+      bankIncome: 4,
+      cityIncome: 3,
+      cityGrowthInterval: 40000,
+      upgradeBankCost: 60,
+      upgradeCityCost: 120,
+      hexMaintenanceCost: 2,
+      upkeepFreeTiles: 40,
+      bankMaxPointsBonus: 80,
+      victoryTimeLimit: 1800000,
+      terrainPatches: {
+        forest: { count: 8, size: 12, areaSize: 60 },
+        hills: { count: 5, size: 8, areaSize: 60 },
+        desert: { count: 2, size: 10, areaSize: 60 },
+        swamp: { count: 2, size: 6, areaSize: 60 },
+        goldmine: { count: 8, size: 1, areaSize: 50 }
+      }
+    }
+  },
+  // Attacking is expensive and the map is broken up, so fronts hold longer
+  siege: {
+    label: "Siege",
+    overrides: {
+      occupiedBase: 15,
+      attackMult: 4,
+      upgradeFortCost: 200,
+      autoCaptureThreshold: 4,
+      mountainChains: 10,
+      mountainChainLength: 45,
+      riverCount: 5,
+      victoryMapControlPercent: 70,
+      victoryTimeLimit: 1800000
+    }
+  }
+};
+
+function isRulePreset(name) {
+  return Object.prototype.hasOwnProperty.call(RULE_PRESETS, name);
+}
+
+/**
+ * The rules a game plays by: base (config.game) with the preset's overrides
+ * on top. Unknown presets fall back to the base rules.
+ */
+function resolveRules(base, presetName) {
+  const preset = isRulePreset(presetName) ? RULE_PRESETS[presetName] : RULE_PRESETS.classic;
+  return { ...base, ...preset.overrides };
+}
+
+module.exports = { RULE_PRESETS, isRulePreset, resolveRules };
@@ -0,0 +1,47 @@
+// game/SeededRandom.js
+// Small seedable PRNG (cyrb53 string hash + mulberry32) so that a map can be
+// rebuilt exactly from its seed. Not suitable for anything security related.
+
+function hashSeed(seed) {
+  const str = String(seed);
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  return h1 >>> 0;
+}
+
+class SeededRandom {
+  constructor(seed) {
+    this.seed = String(seed);
+    this.state = hashSeed(this.seed);
+  }
+
+  // Float in [0, 1), same contract as Math.random()
+  next() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  // Integer in [0, max)
+  int(max) {
+    return Math.floor(this.next() * max);
+  }
+
+  pick(list) {
+    return list[this.int(list.length)];
+  }
+
+  static generateSeed() {
+    return Math.random().toString(36).slice(2, 10);
+  }
+}
+
+module.exports = { SeededRandom, hashSeed };
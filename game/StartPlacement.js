@@ -0,0 +1,80 @@
+// game/StartPlacement.js
+// Server-side start placement. Candidates are free, passable hexes with
+// enough open ground around them; starts are then spread out greedily so each
+// new start is as far as possible from every start already taken.
+const { hexDistance, hexKey, areaOffsets } = require("./HexGrid");
+const { isPassable } = require("./Terrain");
+
+const START_MODES = ["choose", "balanced"];
+
+/**
+ * Hexes a player may start on, each with its openness: the share of passable
+ * board hexes within startOpennessRadius. Anything below startMinOpenness, or
+ * already owned or built on, is left out.
+ *
+ * fixedStarts: start positions from a map template, used instead of the whole board
+ */
+function startCandidates(board, hexes, rules, fixedStarts = []) {
+  const byKey = new Map();
+  hexes.forEach(h => byKey.set(hexKey(parseInt(h.q), parseInt(h.r)), h));
+
+  const offsets = areaOffsets(rules.startOpennessRadius);
+  const cells = fixedStarts.length ? fixedStarts : board.cells();
+  const candidates = [];
+
+  for (const { q, r } of cells) {
+    const hex = byKey.get(hexKey(q, r));
+    if (hex && (hex.playerId || hex.upgrade || !isPassable(hex.terrain))) continue;
+
+    const open = offsets.filter(o => {
+      const nq = q + o.q;
+      const nr = r + o.r;
+      const around = byKey.get(hexKey(nq, nr));
+      return board.contains(nq, nr) && (!around || (!around.playerId && isPassable(around.terrain)));
+    }).length;
+    const openness = open / offsets.length;
+
+    // Template starts were placed by hand, so they are never filtered out
+    if (!fixedStarts.length && openness < rules.startMinOpenness) continue;
+    candidates.push({ q, r, openness });
+  }
+
+  return candidates;
+}
+
+/**
+ * Pick count starts from candidates, spread away from the taken starts and
+ * from each other. The first pick on an empty board is random (seeded), every
+ * later one maximizes the distance to its nearest taken start, preferring more
+ * open ground on ties.
+ */
+function pickSpreadStarts(candidates, taken, count, rng) {
+  const chosen = [];
+  const occupied = taken.map(t => ({ q: t.q, r: t.r }));
+  let pool = candidates.slice();
+
+  for (let i = 0; i < count && pool.length; i++) {
+    let best = null;
+
+    if (occupied.length === 0) {
+      best = rng.pick(pool);
+    } else {
+      let bestDistance = -1;
+      for (const c of pool) {
+        const nearest = Math.min(...occupied.map(t => hexDistance(c.q, c.r, t.q, t.r)));
+        if (nearest > bestDistance || (nearest === bestDistance && c.openness > best.openness)) {
+          best = c;
+          bestDistance = nearest;
+        }
+      }
+    }
+
+    chosen.push({ q: best.q, r: best.r });
+    occupied.push(best);
+    pool = pool.filter(c => c !== best);
+  }
+
+  return chosen;
+}
+
+module.exports = { START_MODES, startCandidates, pickSpreadStarts };
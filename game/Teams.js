@@ -0,0 +1,72 @@
+// game/Teams.js
+// Team modes. A mode fixes how many teams play and how many players each
+// team fields; teams are numbered from 0. Everyone on a team takes their
+// color from that team's palette so teammates are told apart by shade.
+
+const TEAM_MODES = {
+  ffa: null,
+  "2v2": { teams: 2, size: 2 },
+  "3v3": { teams: 2, size: 3 },
+  "4v4": { teams: 2, size: 4 }
+};
+
+function isTeamMode(mode) {
+  return !!TEAM_MODES[mode];
+}
+
+// Players needed to start a game in this mode (0 for free-for-all)
+function playersNeeded(mode) {
+  const def = TEAM_MODES[mode];
+  return def ? def.teams * def.size : 0;
+}
+
+/**
+ * Put playerIds (in join order) on teams. A player's pick is honored while
+ * that team has room; everyone else goes to the smallest team. Players past
+ * the mode's capacity are left out.
+ * Returns { playerId: team }
+ */
+function assignTeams(playerIds, mode, picks = {}) {
+  const def = TEAM_MODES[mode];
+  if (!def) return {};
+
+  const counts = new Array(def.teams).fill(0);
+  const teams = {};
+  const unpicked = [];
+
+  playerIds.slice(0, def.teams * def.size).forEach(id => {
+    const pick = picks[id];
+    if (Number.isInteger(pick) && pick >= 0 && pick < def.teams && counts[pick] < def.size) {
+      teams[id] = pick;
+      counts[pick]++;
+    } else {
+      unpicked.push(id);
+    }
+  });
+
+  unpicked.forEach(id => {
+    const team = counts.indexOf(Math.min(...counts));
+    teams[id] = team;
+    counts[team]++;
+  });
+
+  return teams;
+}
+
+/**
+ * Colors from each team's palette, handed out in the order players appear.
+ * Returns { playerId: color }
+ */
+function teamColors(teams, palettes) {
+  const used = {};
+  const colors = {};
+  Object.entries(teams).forEach(([id, team]) => {
+    const palette = palettes[team % palettes.length];
+    const slot = used[team] || 0;
+    colors[id] = palette[slot % palette.length];
+    used[team] = slot + 1;
+  });
+  return colors;
+}
+
+module.exports = { TEAM_MODES, isTeamMode, playersNeeded, assignTeams, teamColors };
@@ -0,0 +1,76 @@
+// game/Terrain.js
+// Terrain type registry. Every rule that depends on terrain (passability,
+// capture cost, defense, income, rendering) reads the type's definition here
+// instead of comparing terrain names, so a new type only needs an entry below
+// (or a registerTerrain call) and a generator in MapGenerator.
+
+const DEFAULT_TERRAIN = {
+  passable: true,        // can be captured and auto-captured
+  waterway: false,       // enables the river rule (capture along it from anywhere you touch it)
+  costMultiplier: 1,     // applied to the expansion cost of the hex
+  defenseBonus: 1,       // applied to the defender's strength when the hex is attacked
+  incomeModifier: 0,     // points per tick added to the owner's income
+  color: "",             // neutral render color
+  emoji: ""              // overlay drawn by the clients
+};
+
+const TERRAIN_TYPES = {};
+
+/**
+ * Add or replace a terrain type. Missing fields fall back to DEFAULT_TERRAIN
+ */
+function registerTerrain(name, definition) {
+  TERRAIN_TYPES[name] = { ...DEFAULT_TERRAIN, ...definition, name };
+  return TERRAIN_TYPES[name];
+}
+
+registerTerrain("mountain", { passable: false, color: "#8B4513", emoji: "⛰️" });
+registerTerrain("river", { waterway: true, color: "#87CEEB", emoji: "🌊" });
+registerTerrain("forest", { costMultiplier: 1.3, defenseBonus: 1.25, color: "#2E6B34", emoji: "🌲" });
+registerTerrain("hills", { costMultiplier: 1.2, defenseBonus: 1.5, color: "#8C7A4F", emoji: "⛰" });
+registerTerrain("desert", { costMultiplier: 0.8, incomeModifier: -0.5, color: "#D9C27A", emoji: "🏜️" });
+registerTerrain("swamp", { costMultiplier: 1.6, defenseBonus: 0.75, color: "#4B5D3A", emoji: "🐊" });
+registerTerrain("goldmine", { costMultiplier: 1.5, incomeModifier: 2, color: "#C9A227", emoji: "⛏️" });
+
+// Definition for a terrain name; plain hexes (no terrain) get the defaults
+function getTerrain(name) {
+  return (name && TERRAIN_TYPES[name]) || DEFAULT_TERRAIN;
+}
+
+function isPassable(name) {
+  return getTerrain(name).passable;
+}
+
+function isWaterway(name) {
+  return getTerrain(name).waterway;
+}
+
+function terrainColor(name) {
+  return getTerrain(name).color;
+}
+
+// What clients need to draw terrain, keyed by type name
+function describeTerrainTypes() {
+  const types = {};
+  Object.values(TERRAIN_TYPES).forEach(t => {
+    types[t.name] = {
+      color: t.color,
+      emoji: t.emoji,
+      passable: t.passable,
+      costMultiplier: t.costMultiplier,
+      defenseBonus: t.defenseBonus,
+      incomeModifier: t.incomeModifier
+    };
+  });
+  return types;
+}
+
+module.exports = {
+  TERRAIN_TYPES,
+  registerTerrain,
+  getTerrain,
+  isPassable,
+  isWaterway,
+  terrainColor,
+  describeTerrainTypes
+};
@@ -0,0 +1,174 @@
+// game/VictoryRules.js
+// Pure helpers for judging when a RedisGameRoom is won. Nothing in here talks
+// to Redis so the room can feed it whatever snapshot it already has loaded.
+// In team games every player carries a team number (>= 0) and victory is
+// judged per team: the whole team wins, including eliminated teammates.
+
+const VICTORY_CONDITIONS = ["lastCrown", "mapControl", "timeLimit"];
+
+function hasTeam(p) {
+  return Number.isInteger(p.team) && p.team >= 0;
+}
+
+function sameTeam(a, b) {
+  return hasTeam(a) && a.team === b.team;
+}
+
+// Players who share a victory: the same player, teammates or (with shared victory) allies
+function areFriendly(a, b, areAllied) {
+  return a === b || sameTeam(a, b) || areAllied(a.id, b.id);
+}
+
+// Everyone on the winners' teams, without duplicates
+function withTeammates(winners, players) {
+  return players
+    .filter(p => winners.some(w => w.id === p.id || sameTeam(w, p)))
+    .map(p => p.id);
+}
+
+/**
+ * Count tiles and crowns per player from a list of stored hexes
+ */
+function tallyPlayers(hexes, players) {
+  const tally = {};
+  players.forEach(p => {
+    tally[p.id] = { tiles: 0, hasCrown: false };
+  });
+
+  hexes.forEach(hex => {
+    if (!hex.playerId || !tally[hex.playerId]) return;
+    tally[hex.playerId].tiles++;
+    if (hex.isStart === true || hex.isStart === "true") {
+      tally[hex.playerId].hasCrown = true;
+    }
+  });
+
+  return tally;
+}
+
+/**
+ * Build final standings: crown holders first, then most tiles, then most points
+ */
+function buildStandings(hexes, players) {
+  const tally = tallyPlayers(hexes, players);
+
+  const standings = players.map(p => ({
+    playerId: p.id,
+    username: p.username || "",
+    color: p.color || "",
+    points: parseInt(p.points) || 0,
+    tiles: tally[p.id].tiles,
+    hasCrown: tally[p.id].hasCrown,
+    eliminated: !!p.spectator,
+    team: hasTeam(p) ? p.team : null
+  }));
+
+  standings.sort((a, b) =>
+    (b.hasCrown - a.hasCrown) || (b.tiles - a.tiles) || (b.points - a.points)
+  );
+
+  // Equal entries share a rank
+  standings.forEach((entry, idx) => {
+    const prev = standings[idx - 1];
+    const tied = prev && prev.hasCrown === entry.hasCrown &&
+                 prev.tiles === entry.tiles && prev.points === entry.points;
+    entry.rank = tied ? prev.rank : idx + 1;
+  });
+
+  return standings;
+}
+
+// With shared victory, crowns held only by mutual allies end the game too, but
+// only once they have taken a crown from someone outside the alliance; otherwise
+// two players could ally and win at once
+function checkLastCrown(tally, players, areAllied) {
+  const contenders = players.filter(p => p.started);
+  if (contenders.length < 2) return null;
+
+  const friendly = (a, b) => areFriendly(a, b, areAllied);
+  const alive = contenders.filter(p => tally[p.id].hasCrown);
+  if (alive.length > 1) {
+    if (!alive.every(a => alive.every(b => friendly(a, b)))) return null;
+
+    const beaten = contenders.filter(p => !tally[p.id].hasCrown && alive.every(a => !friendly(a, p)));
+    if (beaten.length === 0) return null;
+  }
+
+  return { reason: "lastCrown", winnerIds: withTeammates(alive, players) };
+}
+
+// Share of the playable board (or of all owned tiles when the board size is unknown).
+// Teammates (and with shared victory, allies) count toward a player's share and win with them.
+// Alliances need not be mutual all round, so a player's side only takes in, biggest
+// first, those friendly with everyone already on it.
+function checkMapControl(tally, players, rules, boardSize, areAllied) {
+  const owned = players.reduce((sum, p) => sum + tally[p.id].tiles, 0);
+  if (owned === 0 || owned < rules.victoryMapControlMinTiles) return null;
+
+  const friendly = (a, b) => areFriendly(a, b, areAllied);
+  const total = boardSize || owned;
+  for (const p of players) {
+    const friends = [p];
+    players
+      .filter(o => o !== p && friendly(p, o))
+      .sort((a, b) => tally[b.id].tiles - tally[a.id].tiles)
+      .forEach(o => {
+        if (friends.every(f => friendly(f, o))) friends.push(o);
+      });
+    const tiles = friends.reduce((sum, o) => sum + tally[o.id].tiles, 0);
+    if ((tiles / total) * 100 >= rules.victoryMapControlPercent) {
+      return { reason: "mapControl", winnerIds: withTeammates(friends, players) };
+    }
+  }
+
+  return null;
+}
+
+function checkTimeLimit(hexes, players, rules, elapsed) {
+  if (!rules.victoryTimeLimit || elapsed < rules.victoryTimeLimit) return null;
+
+  // Teams are ranked on their combined tiles
+  if (players.some(hasTeam)) {
+    const tally = tallyPlayers(hexes, players);
+    const teamTiles = {};
+    players.filter(hasTeam).forEach(p => {
+      teamTiles[p.team] = (teamTiles[p.team] || 0) + tally[p.id].tiles;
+    });
+    const best = Math.max(...Object.values(teamTiles));
+    const winners = players.filter(p => hasTeam(p) && teamTiles[p.team] === best);
+    return { reason: "timeLimit", winnerIds: winners.map(p => p.id) };
+  }
+
+  const standings = buildStandings(hexes, players);
+  const winnerIds = standings.filter(s => s.rank === 1).map(s => s.playerId);
+  return { reason: "timeLimit", winnerIds };
+}
+
+/**
+ * Check every enabled victory condition in order.
+ * Returns { reason, winnerIds } for the first one that is met, or null.
+ *
+ * players: [{ id, username, color, points, started, team }] (team >= 0 in team games)
+ * elapsed: ms since the start window closed
+ * boardSize: number of capturable hexes on the board
+ * areAllied: (a, b) => true when a and b share a victory
+ */
+function checkVictory({ hexes, players, rules, elapsed, boardSize = 0, areAllied = () => false }) {
+  if (!players.length) return null;
+
+  const tally = tallyPlayers(hexes, players);
+  const conditions = rules.victoryConditions || VICTORY_CONDITIONS;
+
+  for (const condition of conditions) {
+    let result = null;
+    if (condition === "lastCrown") result = checkLastCrown(tally, players, areAllied);
+    else if (condition === "mapControl") result = checkMapControl(tally, players, rules, boardSize, areAllied);
+    else if (condition === "timeLimit") result = checkTimeLimit(hexes, players, rules, elapsed);
+
+    if (result) return result;
+  }
+
+  return null;
+}
+
+module.exports = { VICTORY_CONDITIONS, tallyPlayers, buildStandings, checkVictory };
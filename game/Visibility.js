@@ -0,0 +1,70 @@
+// game/Visibility.js
+// Fog of war helpers. A player sees every hex within visionRadius of a hex
+// they own; forts and cities see further. Hexes outside that area are sent
+// to the client as their static terrain only (or not at all).
+const { hexKey, areaOffsets } = require("./HexGrid");
+const { terrainColor } = require("./Terrain");
+
+function visionRadius(hex, rules) {
+  if (hex.upgrade === "fort") return rules.visionRadius + rules.fortVisionBonus;
+  if (hex.upgrade === "city") return rules.visionRadius + rules.cityVisionBonus;
+  return rules.visionRadius;
+}
+
+/**
+ * Set of "q,r" keys visible to the owner of playerHexes (clipped to the board)
+ */
+function visibleKeys(playerHexes, rules, board = null) {
+  const visible = new Set();
+
+  playerHexes.forEach(hex => {
+    const q = parseInt(hex.q);
+    const r = parseInt(hex.r);
+    areaOffsets(visionRadius(hex, rules)).forEach(o => {
+      const nq = q + o.q;
+      const nr = r + o.r;
+      if (!board || board.contains(nq, nr)) visible.add(hexKey(nq, nr));
+    });
+  });
+
+  return visible;
+}
+
+/**
+ * What a client is told about the hex at q,r (hex may be null for an empty
+ * hex). Visible hexes are sent in full; fogged ones only keep their terrain.
+ * A null color tells the client the hex is empty.
+ */
+function hexView(hex, q, r, visible) {
+  if (visible) {
+    return {
+      q,
+      r,
+      color: hex?.color || null,
+      crown: !!(hex && (hex.isStart === true || hex.isStart === "true")),
+      upgrade: hex?.upgrade || null,
+      terrain: hex?.terrain || null
+    };
+  }
+
+  const terrain = hex?.terrain || null;
+  return { q, r, color: terrain ? terrainColor(terrain) : null, crown: false, upgrade: null, terrain };
+}
+
+/**
+ * Stored hexes as a player sees them: fogged hexes lose their owner and
+ * upgrade, and drop out entirely when they have no terrain. Bots plan from this.
+ */
+function fogHexes(hexes, visible) {
+  const seen = [];
+  hexes.forEach(h => {
+    if (visible.has(`${parseInt(h.q)},${parseInt(h.r)}`)) {
+      seen.push(h);
+    } else if (h.terrain) {
+      seen.push({ ...h, playerId: null, color: terrainColor(h.terrain), upgrade: "", isStart: false });
+    }
+  });
+  return seen;
+}
+
+module.exports = { visibleKeys, hexView, fogHexes };
@@ -0,0 +1,352 @@
+// public/editor.js
+// Map editor: paint terrain, start positions and neutral structures on a
+// board, then save it as a map template through POST /api/maps.
+const el = id => document.getElementById(id);
+
+const canvas = el("editorCanvas");
+const ctx = canvas.getContext("2d");
+const statusLabel = el("editorStatus");
+const palette = el("palette");
+
+// --- Hex math (same as game-client.js) ---
+const HEX_SIZE = 15;
+const SQRT3 = Math.sqrt(3);
+const HEX_DIRS = [
+  {q: 1, r: 0}, {q: 1, r: -1}, {q: 0, r: -1},
+  {q: -1, r: 0}, {q: -1, r: 1}, {q: 0, r: 1},
+];
+
+let scale = 1;
+let offsetX = 0;
+let offsetY = 0;
+
+function hexToPixel(q, r) {
+  const x = HEX_SIZE * (SQRT3 * q + (SQRT3 / 2) * r);
+  const y = HEX_SIZE * 1.5 * r;
+  return { x, y };
+}
+function pixelToHex(x, y) {
+  const scaledX = (x - offsetX) / scale;
+  const scaledY = (y - offsetY) / scale;
+  const q = (SQRT3 / 3 * scaledX - scaledY / 3) / HEX_SIZE;
+  const r = (2 / 3 * scaledY) / HEX_SIZE;
+  return hexRound(q, r);
+}
+function hexRound(q, r) {
+  let x = q, z = r, y = -x - z;
+  let rx = Math.round(x), ry = Math.round(y), rz = Math.round(z);
+  const dx = Math.abs(rx - x), dy = Math.abs(ry - y), dz = Math.abs(rz - z);
+  if (dx > dy && dx > dz) rx = -ry - rz;
+  else if (dy > dz) ry = -rx - rz;
+  else rz = -rx - ry;
+  return { q: rx, r: rz };
+}
+
+// --- Map being edited ---
+let boardCells = new Set();   // "q,r"
+let terrain = {};             // "q,r" -> terrain type
+let starts = new Set();       // "q,r"
+let structures = {};          // "q,r" -> bank | fort | city
+
+let terrainTypes = {};        // from /api/terrain
+let structureTypes = [];
+let tool = "erase";
+let painting = false;
+
+const STRUCTURE_EMOJI = { bank: "💰", fort: "🏰", city: "🏢" };
+
+// Same shapes as game/BoardShape.js
+function buildBoardCells() {
+  const type = el("boardType").value;
+  const cells = new Set();
+
+  if (type === "hexagon") {
+    const n = Math.max(1, parseInt(el("boardRadius").value) || 20);
+    for (let q = -n; q <= n; q++) {
+      for (let r = Math.max(-n, -q - n); r <= Math.min(n, -q + n); r++) cells.add(`${q},${r}`);
+    }
+  } else if (type === "rectangle") {
+    const width = Math.max(1, parseInt(el("boardWidth").value) || 40);
+    const height = Math.max(1, parseInt(el("boardHeight").value) || 30);
+    const top = -Math.floor(height / 2);
+    const left = -Math.floor(width / 2);
+    for (let r = top; r < top + height; r++) {
+      for (let col = left; col < left + width; col++) cells.add(`${col - Math.floor(r / 2)},${r}`);
+    }
+  } else {
+    // A mask starts from whatever board is on screen and is then edited cell by cell
+    boardCells.forEach(key => cells.add(key));
+  }
+
+  return cells;
+}
+
+function applyBoard() {
+  boardCells = buildBoardCells();
+
+  // Drop anything that fell off the board
+  Object.keys(terrain).forEach(key => { if (!boardCells.has(key)) delete terrain[key]; });
+  Object.keys(structures).forEach(key => { if (!boardCells.has(key)) delete structures[key]; });
+  starts.forEach(key => { if (!boardCells.has(key)) starts.delete(key); });
+
+  updatePalette();
+  fitBoard();
+}
+
+function boardDefinition() {
+  const type = el("boardType").value;
+  if (type === "hexagon") return { type, radius: parseInt(el("boardRadius").value) };
+  if (type === "rectangle") return { type, width: parseInt(el("boardWidth").value), height: parseInt(el("boardHeight").value) };
+  return { type: "mask", cells: Array.from(boardCells).map(key => key.split(",").map(Number)) };
+}
+
+function toTemplate() {
+  const coords = key => {
+    const [q, r] = key.split(",").map(Number);
+    return { q, r };
+  };
+
+  return {
+    name: el("mapName").value.trim().toLowerCase(),
+    board: boardDefinition(),
+    terrain: Object.entries(terrain).map(([key, type]) => ({ ...coords(key), terrain: type })),
+    starts: Array.from(starts).map(coords),
+    structures: Object.entries(structures).map(([key, upgrade]) => ({ ...coords(key), upgrade }))
+  };
+}
+
+function loadTemplate(template) {
+  el("mapName").value = template.name;
+  el("boardType").value = template.board.type;
+  if (template.board.type === "hexagon") el("boardRadius").value = template.board.radius;
+  if (template.board.type === "rectangle") {
+    el("boardWidth").value = template.board.width;
+    el("boardHeight").value = template.board.height;
+  }
+  if (template.board.type === "mask") {
+    boardCells = new Set(template.board.cells.map(([q, r]) => `${q},${r}`));
+  }
+
+  terrain = {};
+  template.terrain.forEach(h => { terrain[`${h.q},${h.r}`] = h.terrain; });
+  starts = new Set(template.starts.map(h => `${h.q},${h.r}`));
+  structures = {};
+  template.structures.forEach(h => { structures[`${h.q},${h.r}`] = h.upgrade; });
+
+  applyBoard();
+}
+
+// --- Painting ---
+function paintHex(q, r) {
+  const key = `${q},${r}`;
+
+  if (tool === "addCell") {
+    boardCells.add(key);
+    return;
+  }
+  if (!boardCells.has(key)) return;
+
+  if (tool === "removeCell") {
+    boardCells.delete(key);
+    delete terrain[key];
+    delete structures[key];
+    starts.delete(key);
+  } else if (tool === "erase") {
+    delete terrain[key];
+    delete structures[key];
+    starts.delete(key);
+  } else if (tool === "start") {
+    if (terrainTypes[terrain[key]]?.passable === false) return;
+    delete structures[key];
+    starts.add(key);
+  } else if (structureTypes.includes(tool)) {
+    if (terrainTypes[terrain[key]]?.passable === false) return;
+    starts.delete(key);
+    structures[key] = tool;
+  } else if (terrainTypes[tool]) {
+    terrain[key] = tool;
+    if (!terrainTypes[tool].passable) {
+      starts.delete(key);
+      delete structures[key];
+    }
+  }
+}
+
+// --- Drawing ---
+function drawHex(q, r, color) {
+  const { x, y } = hexToPixel(q, r);
+  ctx.beginPath();
+  for (let i = 0; i < 6; i++) {
+    const angle = Math.PI / 3 * i + Math.PI / 6;
+    const vx = offsetX + (x + HEX_SIZE * Math.cos(angle)) * scale;
+    const vy = offsetY + (y + HEX_SIZE * Math.sin(angle)) * scale;
+    if (i === 0) ctx.moveTo(vx, vy);
+    else ctx.lineTo(vx, vy);
+  }
+  ctx.closePath();
+  ctx.fillStyle = color;
+  ctx.fill();
+  ctx.strokeStyle = "#333";
+  ctx.lineWidth = 1;
+  ctx.stroke();
+}
+
+function drawEmoji(q, r, emoji) {
+  const { x, y } = hexToPixel(q, r);
+  const fontSize = Math.max(10, Math.round(HEX_SIZE * scale * 0.9));
+  ctx.font = `${fontSize}px sans-serif`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillStyle = "#fff";
+  ctx.fillText(emoji, offsetX + x * scale, offsetY + y * scale);
+}
+
+function draw() {
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  boardCells.forEach(key => {
+    const [q, r] = key.split(",").map(Number);
+    const type = terrainTypes[terrain[key]];
+    drawHex(q, r, type?.color || "#1a1f36");
+
+    if (starts.has(key)) drawEmoji(q, r, "🚩");
+    else if (structures[key]) drawEmoji(q, r, STRUCTURE_EMOJI[structures[key]] || "❓");
+    else if (type?.emoji) drawEmoji(q, r, type.emoji);
+  });
+
+  statusLabel.textContent = `${boardCells.size} hexes · ${starts.size} starts`;
+}
+
+function fitBoard() {
+  const headerHeight = 48;
+  canvas.width = window.innerWidth;
+  canvas.height = window.innerHeight - headerHeight;
+
+  const points = Array.from(boardCells).map(key => {
+    const [q, r] = key.split(",").map(Number);
+    return hexToPixel(q, r);
+  });
+  if (points.length) {
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    const width = Math.max(...xs) - Math.min(...xs) + HEX_SIZE * 2;
+    const height = Math.max(...ys) - Math.min(...ys) + HEX_SIZE * 2;
+    scale = Math.min(canvas.width / (width + 40), canvas.height / (height + 40));
+    offsetX = canvas.width / 2 - ((Math.max(...xs) + Math.min(...xs)) / 2) * scale;
+    offsetY = canvas.height / 2 - ((Math.max(...ys) + Math.min(...ys)) / 2) * scale;
+  }
+
+  draw();
+}
+window.addEventListener("resize", fitBoard);
+
+// --- Palette ---
+function updatePalette() {
+  const tools = [
+    { id: "erase", label: "🧽 Erase" },
+    { id: "start", label: "🚩 Start" },
+    ...structureTypes.map(type => ({ id: type, label: `${STRUCTURE_EMOJI[type] || "❓"} ${type}` })),
+    ...Object.entries(terrainTypes).map(([name, t]) => ({ id: name, label: `${t.emoji || "⬢"} ${name}` }))
+  ];
+  if (el("boardType").value === "mask") {
+    tools.push({ id: "addCell", label: "➕ Add hex" }, { id: "removeCell", label: "➖ Remove hex" });
+  } else if (tool === "addCell" || tool === "removeCell") {
+    tool = "erase";
+  }
+
+  palette.innerHTML = "";
+  tools.forEach(({ id, label }) => {
+    const button = document.createElement("button");
+    button.textContent = label;
+    if (id === tool) button.classList.add("active");
+    button.addEventListener("click", () => {
+      tool = id;
+      updatePalette();
+    });
+    palette.appendChild(button);
+  });
+}
+
+// --- Input ---
+function paintAt(e) {
+  const rect = canvas.getBoundingClientRect();
+  const { q, r } = pixelToHex(e.clientX - rect.left, e.clientY - rect.top);
+  paintHex(q, r);
+  draw();
+}
+
+canvas.addEventListener("pointerdown", (e) => {
+  painting = true;
+  paintAt(e);
+});
+canvas.addEventListener("pointermove", (e) => {
+  if (painting) paintAt(e);
+});
+window.addEventListener("pointerup", () => { painting = false; });
+
+el("resizeBtn").addEventListener("click", applyBoard);
+el("boardType").addEventListener("change", applyBoard);
+
+el("saveBtn").addEventListener("click", async () => {
+  const playerId = localStorage.getItem("playerId");
+  const token = localStorage.getItem("playerToken");
+  if (!playerId || !token) {
+    alert("Pick a username in the lobby before saving maps");
+    return;
+  }
+
+  try {
+    const res = await fetch("/api/maps", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ playerId, token, template: toTemplate() })
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data?.error || "save failed");
+    statusLabel.textContent = `Saved "${data.name}"`;
+    await loadMapList();
+  } catch (err) {
+    alert("Could not save map: " + err.message);
+  }
+});
+
+el("loadSelect").addEventListener("change", async (e) => {
+  const name = e.target.value;
+  if (!name) return;
+  try {
+    const res = await fetch(`/api/maps/${encodeURIComponent(name)}`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data?.error || "load failed");
+    loadTemplate(data);
+  } catch (err) {
+    alert("Could not load map: " + err.message);
+  }
+  e.target.value = "";
+});
+
+async function loadMapList() {
+  const select = el("loadSelect");
+  const res = await fetch("/api/maps");
+  const data = await res.json();
+
+  select.length = 1; // keep the "Load map…" placeholder
+  (data.maps || []).forEach(map => {
+    const option = document.createElement("option");
+    option.value = map.name;
+    option.textContent = map.name;
+    select.appendChild(option);
+  });
+}
+
+(async function init() {
+  try {
+    const res = await fetch("/api/terrain");
+    const data = await res.json();
+    terrainTypes = data.terrain || {};
+    structureTypes = data.structures || [];
+    await loadMapList();
+  } catch (err) {
+    console.error("Could not load editor data:", err);
+  }
+  applyBoard();
+})();
@@ -11,6 +11,7 @@ const LS_TOKEN = "playerToken";
 const playerId = localStorage.getItem(LS_PLAYER_ID);
 const token = localStorage.getItem(LS_TOKEN);
 const roomId = localStorage.getItem("currentRoomId");
+const spectating = localStorage.getItem("spectate") === "1"; // watching a live game from the lobby
 
 const canvas = el("gameCanvas");
 const ctx = canvas.getContext("2d");
@@ -19,6 +20,9 @@ const roster = el("roster");
 const hudTime = el("hudTime");
 const hudPoints = el("hudPoints");
 const hudTiles = el("hudTiles");
+const hudStatus = el("hudStatus");
+const hudSpectators = el("hudSpectators");
+const hudIncome = el("hudIncome");
 
 // modal elements will be looked up later (after DOM is guaranteed present)
 let upgradeModal = null;
@@ -32,7 +36,59 @@ if (el("roomIdLabel")) el("roomIdLabel").textContent = roomId || "—";
 // --- Hex math ---
 let HEX_SIZE = 15;
 const SQRT3 = Math.sqrt(3);
-const GRID_RADIUS = 60; // Increased to show more of the map
+const GRID_RADIUS = 60; // Board drawn until the server sends the real one in mapInfo
+
+// Board cells [{ q, r }] and a "q,r" lookup set
+let boardCells = [];
+let boardSet = new Set();
+
+function setBoardCells(cells) {
+  boardCells = cells.map(([q, r]) => ({ q, r }));
+  boardSet = new Set(boardCells.map(({ q, r }) => `${q},${r}`));
+}
+
+function onBoard(q, r) {
+  return boardSet.has(`${q},${r}`);
+}
+
+// Start positions of a map template ("q,r"); empty means start anywhere
+let startPositions = new Set();
+
+// Fog of war: only hexes in visibleKeys are up to date, the rest is drawn fogged
+let fogEnabled = false;
+let seeAll = true;
+let visibleKeys = new Set();
+
+function applyHexView({ q, r, color, crown, upgrade, terrain }) {
+  const key = `${q},${r}`;
+  if (!color && !terrain) delete serverState[key];
+  else serverState[key] = { color: color || "#0c0f1e", crown: !!crown, upgrade: upgrade || null, terrain: terrain || null };
+}
+
+function drawFog(q, r) {
+  const { x, y } = hexToPixel(q, r);
+  ctx.beginPath();
+  for (let i = 0; i < 6; i++) {
+    const angle = Math.PI / 3 * i + Math.PI / 6;
+    const vx = offsetX + (x + HEX_SIZE * Math.cos(angle)) * scale;
+    const vy = offsetY + (y + HEX_SIZE * Math.sin(angle)) * scale;
+    if (i === 0) ctx.moveTo(vx, vy);
+    else ctx.lineTo(vx, vy);
+  }
+  ctx.closePath();
+  ctx.fillStyle = "rgba(5, 6, 14, 0.65)";
+  ctx.fill();
+}
+
+(function initDefaultBoard() {
+  const cells = [];
+  for (let q = -GRID_RADIUS; q <= GRID_RADIUS; q++) {
+    for (let r = Math.max(-GRID_RADIUS, -q - GRID_RADIUS); r <= Math.min(GRID_RADIUS, -q + GRID_RADIUS); r++) {
+      cells.push([q, r]);
+    }
+  }
+  setBoardCells(cells);
+})();
 
 // Camera / zoom
 let offsetX = 0;
@@ -59,6 +115,10 @@ let optimisticTimeouts = {}; // { "q,r": timeoutId } - timeouts to clear stale o
 // Sync actions to server periodically
 function syncActionsToServer() {
   if (actionQueue.length === 0) return;
+  if (gameOver || isSpectator) {
+    actionQueue = [];
+    return;
+  }
   
   const now = Date.now();
   if (now - lastActionSync < ACTION_SYNC_INTERVAL) return;
@@ -255,9 +315,7 @@ function drawHex(q, r, colorArg = "#0c0f1e", hover = false, cost = null) {
     ctx.font = `${fontSize}px sans-serif`;
     ctx.textAlign = "center";
     ctx.textBaseline = "middle";
-    let emoji = "❓";
-    if (terrain === "mountain") emoji = "⛰️";
-    if (terrain === "river") emoji = "🌊";
+    const emoji = terrainTypes[terrain]?.emoji || "❓";
     ctx.strokeStyle = "rgba(0,0,0,0.8)";
     ctx.lineWidth = Math.max(2, Math.round(fontSize / 6));
     ctx.strokeText(emoji, cx, cy);
@@ -278,17 +336,54 @@ function drawHex(q, r, colorArg = "#0c0f1e", hover = false, cost = null) {
 }
 
 // Roster
+// Diplomacy state: clicking a pill proposes, accepts or breaks an alliance
+let rosterList = [];
+let alliancesEnabled = false;
+let myAllies = new Set();         // playerIds allied with us
+let incomingProposals = new Set(); // playerIds waiting for our answer
+let outgoingProposals = new Set(); // playerIds we proposed to
+let sendDiplomacy = null;          // (type, targetId) => void, set once the room is joined
+
 function renderRoster(list) {
+  if (list) rosterList = list;
   roster.innerHTML = "";
-  (list || []).forEach(p => {
+  rosterList.forEach(p => {
     const pill = document.createElement("span");
     pill.className = "pill";
     pill.style.border = `2px solid ${p.color}`;
-    pill.textContent = p.username || p.playerId;
+
+    let marker = "";
+    if (myAllies.has(p.playerId)) marker = "🤝 ";
+    else if (incomingProposals.has(p.playerId)) marker = "📨 ";
+    else if (outgoingProposals.has(p.playerId)) marker = "⏳ ";
+    const team = p.team != null ? `T${p.team + 1} ` : "";
+    pill.textContent = marker + team + (p.username || p.playerId);
+
+    if (alliancesEnabled && p.playerId !== playerId && sendDiplomacy) {
+      pill.style.cursor = "pointer";
+      pill.title = myAllies.has(p.playerId) ? "Break alliance"
+        : incomingProposals.has(p.playerId) ? "Accept alliance"
+        : "Propose alliance";
+      pill.addEventListener("click", () => onRosterClick(p));
+    }
     roster.appendChild(pill);
   });
 }
 
+function onRosterClick(p) {
+  const name = p.username || p.playerId;
+  if (myAllies.has(p.playerId)) {
+    if (confirm(`Break your alliance with ${name}?`)) sendDiplomacy("breakAlliance", p.playerId);
+  } else if (incomingProposals.has(p.playerId)) {
+    incomingProposals.delete(p.playerId);
+    sendDiplomacy("acceptAlliance", p.playerId);
+  } else if (!outgoingProposals.has(p.playerId)) {
+    outgoingProposals.add(p.playerId);
+    sendDiplomacy("proposeAlliance", p.playerId);
+  }
+  renderRoster();
+}
+
 // Canvas + grid
 let filled = {};           // legacy - now using serverState and optimisticUpdates
 let previews = {};         // temporary overlays: { "q,r": { type: "x", expiresAt: ts } }
@@ -296,11 +391,19 @@ let myColor = "#5865f2";
 let myPoints = 0;
 let myMaxPoints = 50;
 let myTiles = 0;
+let myIncome = null; // last income breakdown from pointsUpdate
+// Terrain registry sent by the server in mapInfo: { name: { color, emoji, ... } }
+let terrainTypes = {
+  mountain: { emoji: "⛰️" },
+  river: { emoji: "🌊" }
+};
 let gameStartTime = Date.now();
 
 let lobbyStartTime = null;
 let countdownInterval = null;
 let startChosen = false;
+let gameOver = false;
+let isSpectator = false; // set once this player has been eliminated, or when only watching
 
 // Hover
 let hoverHex = null;
@@ -377,46 +480,103 @@ function renderIfNeeded(ts) {
 // drawGrid remains the same but callers should call markDirty() instead of drawGrid()
 function drawGrid() {
   ctx.clearRect(0, 0, canvas.width, canvas.height);
-  for (let q = -GRID_RADIUS; q <= GRID_RADIUS; q++) {
-    for (let r = Math.max(-GRID_RADIUS, -q - GRID_RADIUS); r <= Math.min(GRID_RADIUS, -q + GRID_RADIUS); r++) {
-      const key = `${q},${r}`;
-      const cell = getMergedState(q, r);
-      const colorVal = (cell && (typeof cell === "object" ? cell.color : cell)) || "#0c0f1e";
-      const upgradeVal = cell && cell.upgrade ? cell.upgrade : null;
-      const terrainVal = cell && cell.terrain ? cell.terrain : null;
-      const crown = cell && cell.crown;
-      const isHover = hoverHex && hoverHex.q === q && hoverHex.r === r;
-      drawHex(q, r, { color: colorVal, crown, upgrade: upgradeVal, terrain: terrainVal }, isHover, isHover ? hoverCost : null);
-
-      // draw preview overlays on top of the authoritative tile (without changing tile)
-      const preview = previews[key];
-      if (preview) {
-        const { x, y } = hexToPixel(q, r);
-        const cx = offsetX + x * scale;
-        const cy = offsetY + y * scale;
-        const fontSize = Math.max(12, Math.round(HEX_SIZE * scale * 0.9));
-        ctx.font = `${fontSize}px sans-serif`;
-        ctx.textAlign = "center";
-        ctx.textBaseline = "middle";
-        ctx.lineWidth = Math.max(2, Math.round(fontSize / 6));
-        ctx.strokeStyle = "rgba(0,0,0,0.8)";
-        ctx.fillStyle = "#fff";
-        if (preview.type === "x") {
-          ctx.strokeText("❌", cx, cy);
-          ctx.fillText("❌", cx, cy);
-        } else if (preview.type === "mountain") {
-          ctx.strokeText("⛰️", cx, cy);
-          ctx.fillText("⛰️", cx, cy);
-        } else if (preview.type === "preview") {
-          // optional different marker if you later add
-          ctx.strokeText("•", cx, cy);
-          ctx.fillText("•", cx, cy);
-        }
+  for (const { q, r } of boardCells) {
+    const key = `${q},${r}`;
+    const cell = getMergedState(q, r);
+    const colorVal = (cell && (typeof cell === "object" ? cell.color : cell)) || "#0c0f1e";
+    const upgradeVal = cell && cell.upgrade ? cell.upgrade : null;
+    const terrainVal = cell && cell.terrain ? cell.terrain : null;
+    const crown = cell && cell.crown;
+    const isHover = hoverHex && hoverHex.q === q && hoverHex.r === r;
+    drawHex(q, r, { color: colorVal, crown, upgrade: upgradeVal, terrain: terrainVal }, isHover, isHover ? hoverCost : null);
+    if (fogEnabled && !seeAll && !visibleKeys.has(key)) drawFog(q, r);
+
+    // mark free template start positions while players are still choosing
+    if (!startChosen && startPositions.has(key) && !crown) {
+      const { x, y } = hexToPixel(q, r);
+      const fontSize = Math.max(12, Math.round(HEX_SIZE * scale * 0.9));
+      ctx.font = `${fontSize}px sans-serif`;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillStyle = "#fff";
+      ctx.fillText("🚩", offsetX + x * scale, offsetY + y * scale);
+    }
+
+    // draw preview overlays on top of the authoritative tile (without changing tile)
+    const preview = previews[key];
+    if (preview) {
+      const { x, y } = hexToPixel(q, r);
+      const cx = offsetX + x * scale;
+      const cy = offsetY + y * scale;
+      const fontSize = Math.max(12, Math.round(HEX_SIZE * scale * 0.9));
+      ctx.font = `${fontSize}px sans-serif`;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.lineWidth = Math.max(2, Math.round(fontSize / 6));
+      ctx.strokeStyle = "rgba(0,0,0,0.8)";
+      ctx.fillStyle = "#fff";
+      if (preview.type === "x") {
+        ctx.strokeText("❌", cx, cy);
+        ctx.fillText("❌", cx, cy);
+      } else if (preview.type === "mountain") {
+        ctx.strokeText("⛰️", cx, cy);
+        ctx.fillText("⛰️", cx, cy);
+      } else if (preview.type === "allied") {
+        ctx.strokeText("🤝", cx, cy);
+        ctx.fillText("🤝", cx, cy);
+      } else if (preview.type === "preview") {
+        // optional different marker if you later add
+        ctx.strokeText("•", cx, cy);
+        ctx.fillText("•", cx, cy);
       }
     }
   }
+  drawBoardBorder();
   hudPoints.textContent = `Points: ${myPoints} / Max: ${myMaxPoints} :)`;
   hudTiles.textContent = `Tiles: ${myTiles}`;
+  renderIncome();
+}
+
+// Outline every hex edge that faces off the board
+function drawBoardBorder() {
+  ctx.beginPath();
+  for (const { q, r } of boardCells) {
+    const center = hexToPixel(q, r);
+    for (const dir of HEX_DIRS) {
+      if (onBoard(q + dir.q, r + dir.r)) continue;
+
+      // The shared edge spans 30° either side of the direction to the neighbor
+      const neighbor = hexToPixel(q + dir.q, r + dir.r);
+      const angle = Math.atan2(neighbor.y - center.y, neighbor.x - center.x);
+      for (const side of [-1, 1]) {
+        const a = angle + side * Math.PI / 6;
+        const vx = offsetX + (center.x + HEX_SIZE * Math.cos(a)) * scale;
+        const vy = offsetY + (center.y + HEX_SIZE * Math.sin(a)) * scale;
+        if (side === -1) ctx.moveTo(vx, vy);
+        else ctx.lineTo(vx, vy);
+      }
+    }
+  }
+  ctx.strokeStyle = "#e0e6ff";
+  ctx.lineWidth = Math.max(2, 3 * scale);
+  ctx.stroke();
+}
+
+// Income HUD: net per tick, full breakdown in the tooltip
+function renderIncome() {
+  if (!hudIncome || !myIncome) return;
+  const net = myIncome.net || 0;
+  hudIncome.textContent = `Income: ${net >= 0 ? "+" : ""}${net}/s`;
+  hudIncome.style.color = net < 0 ? "#ff6b6b" : "";
+  hudIncome.title = [
+    `Base: +${myIncome.base}`,
+    `Tiles: +${myIncome.tiles}`,
+    `Banks: +${myIncome.banks}`,
+    `Cities: +${myIncome.cities}`,
+    `Terrain: ${(myIncome.terrain || 0) >= 0 ? "+" : ""}${myIncome.terrain || 0}`,
+    `Tile upkeep: -${myIncome.tileUpkeep}`,
+    `Upgrade upkeep: -${myIncome.upgradeUpkeep}`
+  ].join("\n");
 }
 
 // schedule a draw instead of immediate draw
@@ -429,8 +589,11 @@ function resizeCanvas() {
   canvas.width = window.innerWidth;
   canvas.height = window.innerHeight - headerHeight;
 
-  const width = HEX_SIZE * SQRT3 * (2 * GRID_RADIUS + 1);
-  const height = HEX_SIZE * 1.5 * (2 * GRID_RADIUS + 1);
+  // Fit the whole board on screen at the minimum zoom
+  const xs = boardCells.map(({ q, r }) => hexToPixel(q, r).x);
+  const ys = boardCells.map(({ q, r }) => hexToPixel(q, r).y);
+  const width = Math.max(...xs) - Math.min(...xs) + HEX_SIZE * SQRT3;
+  const height = Math.max(...ys) - Math.min(...ys) + HEX_SIZE * 2;
 
   minScale = Math.min(canvas.width / (width + 40), canvas.height / (height + 40));
   if (scale < minScale) scale = minScale;
@@ -462,11 +625,12 @@ canvas.addEventListener("wheel", (e) => {
 
 // --- Modal helpers ---
 let currentModalTile = null;
+let upgradeCosts = { bank: 100, fort: 300, city: 200 }; // replaced by the game's rules in mapInfo
 function openUpgradeModal(q, r, currentUpgrade) {
   currentModalTile = { q, r, currentUpgrade };
-  if (incomeBtn) incomeBtn.textContent = `💰 Bank (100 pts)`;
-  if (fortifyBtn) fortifyBtn.textContent = `🏰 Fort (300 pts)`;
-  if (cityBtn) cityBtn.textContent = '🏢 City (200 pts)';
+  if (incomeBtn) incomeBtn.textContent = `💰 Bank (${upgradeCosts.bank} pts)`;
+  if (fortifyBtn) fortifyBtn.textContent = `🏰 Fort (${upgradeCosts.fort} pts)`;
+  if (cityBtn) cityBtn.textContent = `🏢 City (${upgradeCosts.city} pts)`;
   if (upgradeModal) upgradeModal.classList.remove("hidden");
 }
 function closeUpgradeModal() {
@@ -474,6 +638,71 @@ function closeUpgradeModal() {
   if (upgradeModal) upgradeModal.classList.add("hidden");
 }
 
+// --- Game over ---
+const END_REASONS = {
+  lastCrown: "Last crown standing",
+  mapControl: "Map control",
+  timeLimit: "Time limit reached"
+};
+
+function returnToLobby() {
+  localStorage.removeItem("currentRoomId");
+  localStorage.removeItem("spectate");
+  window.location.href = "/";
+}
+
+function showGameOver(result) {
+  gameOver = true;
+  actionQueue = [];
+  closeUpgradeModal();
+
+  const modal = el("gameOverModal");
+  const body = el("standingsBody");
+  const won = (result.winners || []).includes(playerId);
+
+  el("gameOverTitle").textContent = (won ? "🏆 Victory!" : "Game Over") + (result.ranked ? " · Ranked" : "");
+  el("gameOverReason").textContent = END_REASONS[result.reason] || result.reason || "";
+
+  body.innerHTML = "";
+  (result.standings || []).forEach(s => {
+    const row = document.createElement("tr");
+    const rank = document.createElement("td");
+    rank.textContent = s.rank;
+    const name = document.createElement("td");
+    const swatch = document.createElement("span");
+    swatch.className = "swatch";
+    swatch.style.background = s.color;
+    name.appendChild(swatch);
+    const team = s.team != null ? ` (Team ${s.team + 1})` : "";
+    name.appendChild(document.createTextNode((s.username || s.playerId) + team + (s.hasCrown ? " 👑" : "")));
+    const tiles = document.createElement("td");
+    tiles.textContent = s.tiles;
+    const points = document.createElement("td");
+    points.textContent = s.points;
+    const rating = document.createElement("td");
+    const change = (result.ratingChanges || {})[s.playerId];
+    rating.textContent = change ? `${change.after} (${change.delta >= 0 ? "+" : ""}${change.delta})` : "—";
+    row.append(rank, name, tiles, points, rating);
+    body.appendChild(row);
+  });
+
+  const backBtn = el("backToLobbyBtn");
+  if (backBtn) backBtn.onclick = returnToLobby;
+
+  // Count down until the server sends everyone back to the lobby
+  const returnAt = Date.now() + (result.returnDelay || 15000);
+  const countdownEl = el("gameOverCountdown");
+  const tick = () => {
+    const remaining = Math.max(0, Math.ceil((returnAt - Date.now()) / 1000));
+    if (countdownEl) countdownEl.textContent = `Returning to lobby in ${remaining}s`;
+    if (remaining === 0) returnToLobby();
+  };
+  tick();
+  setInterval(tick, 500);
+
+  if (modal) modal.classList.remove("hidden");
+}
+
 // Hover throttle — avoid spamming server
 let lastHoverSent = 0;
 const HOVER_THROTTLE_MS = 150;
@@ -488,7 +717,7 @@ const HOVER_THROTTLE_MS = 150;
   let room = null; // keep room available across handlers
 
   try {
-    room = await client.joinById(roomId, { playerId, token });
+    room = await client.joinById(roomId, { playerId, token, spectate: spectating });
     
     // Store room reference globally for sync functions
     window.currentRoom = room;
@@ -529,6 +758,10 @@ const HOVER_THROTTLE_MS = 150;
     if (closeModalBtn) closeModalBtn.addEventListener("click", () => closeUpgradeModal());
 
     room.onLeave(code => {
+      if (gameOver) {
+        returnToLobby();
+        return;
+      }
       if (code === 1000) {
         localStorage.clear();
         alert("Your saved identity is no longer valid. Please register again.");
@@ -538,6 +771,57 @@ const HOVER_THROTTLE_MS = 150;
 
     room.onMessage("assignedColor", ({ color }) => { myColor = color; });
 
+    room.onMessage("gameOver", (result) => showGameOver(result || {}));
+
+    room.onMessage("mapInfo", ({ seed, mapTemplate, starts, startAssignment, rulePreset, upgradeCosts: costs, terrain, board }) => {
+      const label = el("roomIdLabel");
+      if (label) label.title = `${mapTemplate ? `Map: ${mapTemplate}` : `Map seed: ${seed}`} · Rules: ${rulePreset || "classic"}`;
+      if (costs) upgradeCosts = costs;
+      startPositions = new Set((starts || []).map(({ q, r }) => `${q},${r}`));
+      // In balanced games the server places everyone, so there is nothing to pick
+      if (startAssignment === "balanced") startChosen = true;
+      if (board && Array.isArray(board.cells)) {
+        setBoardCells(board.cells);
+        resizeCanvas();
+      }
+      if (terrain) {
+        terrainTypes = terrain;
+        scheduleDraw();
+      }
+    });
+
+    // The server placed our start (balanced mode, or we did not pick one in time)
+    room.onMessage("startAssigned", ({ q, r }) => {
+      startChosen = true;
+      const { x, y } = hexToPixel(q, r);
+      offsetX = canvas.width / 2 - x * scale;
+      offsetY = canvas.height / 2 - y * scale;
+      scheduleDraw();
+    });
+
+    // Watching without a seat: nothing to choose and no actions to send
+    room.onMessage("spectating", () => {
+      isSpectator = true;
+      startChosen = true;
+      actionQueue = [];
+      if (hudStatus) hudStatus.textContent = "👁 Spectating";
+    });
+
+    room.onMessage("spectators", (list) => {
+      if (!hudSpectators) return;
+      hudSpectators.textContent = list.length ? `👁 ${list.length}` : "";
+      hudSpectators.title = list.map(s => s.username).join(", ");
+    });
+
+    room.onMessage("playerEliminated", ({ playerId: pid }) => {
+      if (pid === playerId) {
+        isSpectator = true;
+        actionQueue = [];
+        closeUpgradeModal();
+        if (hudStatus) hudStatus.textContent = "💀 Eliminated — spectating";
+      }
+    });
+
     room.onMessage("history", (cells) => {
       serverState = {};
       (cells || []).forEach(c => {
@@ -549,6 +833,24 @@ const HOVER_THROTTLE_MS = 150;
       scheduleDraw();
     });
 
+    // fog of war: full visible set on (re)sync, then hexes entering and leaving view
+    room.onMessage("visibility", ({ reset, all, visible, reveal, hide }) => {
+      fogEnabled = true;
+      if (reset) {
+        seeAll = !!all;
+        visibleKeys = new Set(visible || []);
+      }
+      (reveal || []).forEach(view => {
+        visibleKeys.add(`${view.q},${view.r}`);
+        applyHexView(view);
+      });
+      (hide || []).forEach(view => {
+        visibleKeys.delete(`${view.q},${view.r}`);
+        applyHexView(view);
+      });
+      scheduleDraw();
+    });
+
     // server authoritative update: paint/upgrade a tile
     room.onMessage("update", ({ q, r, color, crown, upgrade, terrain }) => {
       const key = `${q},${r}`;
@@ -573,12 +875,13 @@ const HOVER_THROTTLE_MS = 150;
       }
     });
 
-    room.onMessage("pointsUpdate", ({ playerId: pid, points, tiles, maxPoints }) => {
+    room.onMessage("pointsUpdate", ({ playerId: pid, points, tiles, maxPoints, income }) => {
       // update local HUD when the message is about this player
       if (pid === playerId) {
         myPoints = points ?? myPoints;
         myTiles = tiles ?? myTiles;
         myMaxPoints = maxPoints ?? myMaxPoints;
+        myIncome = income ?? myIncome;
         scheduleDraw();
       } else {
         // optionally update others if you show them (not used for HUD right now)
@@ -587,6 +890,41 @@ const HOVER_THROTTLE_MS = 150;
 
     room.onMessage("lobbyRoster", (list) => { renderRoster(list); scheduleDraw(); });
 
+    // --- Diplomacy ---
+    sendDiplomacy = (type, targetId) => room.send(type, { playerId: targetId });
+
+    room.onMessage("allianceUpdate", ({ alliances, enabled }) => {
+      if (typeof enabled === "boolean") alliancesEnabled = enabled;
+      myAllies = new Set();
+      (alliances || []).forEach(([a, b]) => {
+        if (a === playerId) myAllies.add(b);
+        else if (b === playerId) myAllies.add(a);
+      });
+      myAllies.forEach(id => {
+        incomingProposals.delete(id);
+        outgoingProposals.delete(id);
+      });
+      renderRoster();
+    });
+
+    room.onMessage("allianceProposed", ({ from }) => {
+      incomingProposals.add(from);
+      renderRoster();
+    });
+
+    room.onMessage("allianceDeclined", ({ by }) => {
+      outgoingProposals.delete(by);
+      renderRoster();
+    });
+
+    room.onMessage("allianceResult", ({ ok, reason, playerId: targetId }) => {
+      if (!ok) {
+        outgoingProposals.delete(targetId);
+        console.warn("Alliance action failed:", reason);
+      }
+      renderRoster();
+    });
+
     room.onMessage("lobbyStartTime", ({ ts, startDelay }) => {
       lobbyStartTime = ts;
       window.gameStartDelay = startDelay || 15000; // Default to 15 seconds if not provided
@@ -681,6 +1019,16 @@ const HOVER_THROTTLE_MS = 150;
               scheduleDraw();
             }
           }, 1000);
+        } else if (reason === "allied") {
+          // allies can't be attacked: show a handshake for 1s
+          previews[key] = { type: "allied" };
+          scheduleDraw();
+          setTimeout(() => {
+            if (previews[key]) {
+              delete previews[key];
+              scheduleDraw();
+            }
+          }, 1000);
         } else if (reason === "impassable") {
           // show a mountain emoji overlay for 1s
           previews[key] = { type: "mountain" };
@@ -736,12 +1084,17 @@ const HOVER_THROTTLE_MS = 150;
       const localX = e.clientX - rect.left;
       const localY = e.clientY - rect.top;
       const { q, r } = pixelToHex(localX, localY);
+      if (!onBoard(q, r)) {
+        hoverHex = null;
+        scheduleDraw();
+        return;
+      }
       hoverHex = { q, r };
 
       // Only send hoverCost occasionally to avoid flooding server.
       // Also don't send hover while dragging (it isn't useful then).
       const now = Date.now();
-      if (!isDragging && room && (now - lastHoverSent) >= HOVER_THROTTLE_MS) {
+      if (!isDragging && !isSpectator && room && (now - lastHoverSent) >= HOVER_THROTTLE_MS) {
         lastHoverSent = now;
         pendingHoverRequest = { q, r };
       }
@@ -771,11 +1124,12 @@ const HOVER_THROTTLE_MS = 150;
     });
 
     canvas.addEventListener("pointermove", (e) => {
-      if (!isDragging) return;
+      if (!isDragging || isSpectator) return;
       const rect = canvas.getBoundingClientRect();
       const localX = e.clientX - rect.left;
       const localY = e.clientY - rect.top;
       const { q, r } = pixelToHex(localX, localY);
+      if (!onBoard(q, r)) return;
 
       // if it's a new hex compared to last sent during this drag, attempt send
       if (!lastSentHex || lastSentHex.q !== q || lastSentHex.r !== r) {
@@ -830,16 +1184,18 @@ const HOVER_THROTTLE_MS = 150;
       const localY = e.clientY - rect.top;
       const { q, r } = pixelToHex(localX, localY);
 
-      if (!hadMoveDuringPointer) {
+      if (!hadMoveDuringPointer && !isSpectator && !gameOver && onBoard(q, r)) {
         // ✅ deliberate click (no drag)
         const nowTs = Date.now();
         const startDelay = window.gameStartDelay || 15000;
         if (lobbyStartTime && nowTs <= lobbyStartTime + startDelay && !startChosen) {
-          // choose starting tile (optimistic for start)
-          applyOptimisticUpdate(q, r, myColor, true);
-          scheduleDraw();
-          actionQueue.push({ type: 'chooseStart', q, r });
-          startChosen = true;
+          // choose starting tile (optimistic for start); templates only allow their own start positions
+          if (!startPositions.size || startPositions.has(`${q},${r}`)) {
+            applyOptimisticUpdate(q, r, myColor, true);
+            scheduleDraw();
+            actionQueue.push({ type: 'chooseStart', q, r });
+            startChosen = true;
+          }
         } else {
           // For deliberate clicks, send individual message to handle modal opening
           if (window.currentRoom) window.currentRoom.send("clickHex", { q, r });
@@ -16,11 +16,30 @@ const usernameInput = el("usernameInput");
 const errorMsg = el("errorMsg");
 const saveUserBtn = el("saveUserBtn");
 const joinBtn = el("joinBtn");
+const rankedBtn = el("rankedBtn");
 const colorPicker = el("colorPicker");
 const colorSaved = el("colorSaved");
+const seedInput = el("seedInput");
+const mapSelect = el("mapSelect");
+const presetSelect = el("presetSelect");
+const teamModeSelect = el("teamModeSelect");
+const teamPick = el("teamPick");
+const teamCounts = el("teamCounts");
+const botDifficulty = el("botDifficulty");
+const addBotBtn = el("addBotBtn");
+const botList = el("botList");
+const activeGamesDiv = el("activeGames");
+const leaderboardSelect = el("leaderboardSelect");
+const seasonSelect = el("seasonSelect");
+const privatePanel = el("privatePanel");
+const hostControls = el("hostControls");
+const maxPlayersInput = el("maxPlayersInput");
+const lobbyPlayersDiv = el("lobbyPlayers");
 
 const replayInput = el("replayInput");
 const replayBtn = el("replayCreateBtn");
+const replayImportBtn = el("replayImportBtn");
+const replayFileInput = el("replayFileInput");
 const lastGamesDiv = el("lastGames");
 
 function showModal(){ modal?.classList.remove("hidden"); }
@@ -97,12 +116,22 @@ async function saveColor(color){
   }
 }
 
+// Recent games from the match history; clicking one opens its replay
 function renderLastGames(games){
   if(!lastGamesDiv) return;
   lastGamesDiv.innerHTML = "";
+  if(!(games || []).length) lastGamesDiv.textContent = "No finished games yet";
   (games || []).forEach(g => {
     const btn = document.createElement("button");
-    btn.textContent = g.gameId;
+    const place = g.won ? "🏆" : `#${g.placement}`;
+    const minutes = Math.round((g.duration || 0) / 60000);
+    const rating = g.ratingDelta != null ? ` · ${g.ratingDelta >= 0 ? "+" : ""}${g.ratingDelta}` : "";
+    btn.textContent = `${place}/${g.players} · ${minutes}m · ${g.tiles} tiles${rating}`;
+    btn.title = [
+      `Game ${g.gameId}${g.ranked ? " (ranked)" : ""}`,
+      `${new Date(g.endedAt).toLocaleString()} · ${g.rulePreset} · ${g.teamMode}`,
+      `Peak ${g.peakTiles} tiles · ${g.captures} captures · ${g.upgrades} upgrades`
+    ].join("\n");
     btn.style.backgroundColor = g.color || "#eee";
     btn.onclick = () => {
       // automatically request replay for that game
@@ -112,8 +141,48 @@ function renderLastGames(games){
   });
 }
 
+// Upload a replay file and watch it in the replay room made for it
+async function importReplay(file){
+  try {
+    const res = await fetch("/api/replays/import", {
+      method: "POST",
+      headers: { "Content-Type": "application/octet-stream", "X-Player-Id": playerId, "X-Player-Token": token },
+      body: file
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data?.error || "import failed");
+    localStorage.setItem("replayRoomId", data.roomId);
+    window.location.href = "replay.html";
+  } catch(e){
+    alert("Could not import replay: " + e.message);
+  }
+}
+
 let lobbyRoom = null;
 
+// ?invite=CODE joins that private lobby, ?private=1 creates a new one
+async function connectLobby() {
+  const params = new URLSearchParams(location.search);
+  const invite = (params.get("invite") || "").trim().toUpperCase();
+
+  if (invite) {
+    const res = await fetch(`/api/lobbies/${encodeURIComponent(invite)}`);
+    if (!res.ok) {
+      alert("No lobby found for invite code " + invite);
+      history.replaceState(null, "", location.pathname);
+      return client.joinOrCreate("redisLobby", { playerId, token });
+    }
+    const { roomId } = await res.json();
+    return client.joinById(roomId, { playerId, token });
+  }
+
+  if (params.get("private") === "1") {
+    return client.create("redisLobby", { playerId, token, private: true });
+  }
+
+  return client.joinOrCreate("redisLobby", { playerId, token });
+}
+
 (async function bootstrap() {
   // Ensure local identity exists (or prompt to create it)
   await ensureIdentity();
@@ -121,7 +190,7 @@ let lobbyRoom = null;
   // Try to join the lobby. If the join fails (server rejects), handle gracefully.
   try {
     console.log('🔄 Attempting to connect to redisLobby...');
-    lobbyRoom = await client.joinOrCreate("redisLobby", { playerId, token });
+    lobbyRoom = await connectLobby();
 
     // If we got here, join succeeded; attach handlers
 
@@ -141,13 +210,29 @@ let lobbyRoom = null;
       if (code === 1004 || (reason && reason.includes("duplicate"))) {
         // duplicate session — ask user to re-register / rejoin
         clearLocalIdentityAndShowModal("duplicate session");
+        return;
+      }
+
+      // Kicked from or turned away by a private lobby: back to the public one
+      if (code === 4001 || code === 1003) {
+        alert(code === 4001 ? "You were removed from the lobby by its host." : "That lobby is full.");
+        window.location.href = "/";
       }
     });
 
-    lobbyRoom.onMessage("lobbyUpdate", ({ total, waiting, ready, players }) => {
+    lobbyRoom.onMessage("lobbyUpdate", (update) => {
+      const { total, waiting, ready, players, seed, mapTemplate, teamMode, rulePreset } = update;
       el("total").textContent = total;
       el("waiting").textContent = waiting;
       el("ready").textContent = ready;
+      // Keep the shared seed in sync unless this player is typing in it
+      if (seedInput && document.activeElement !== seedInput) seedInput.value = seed || "";
+      if (mapSelect) mapSelect.value = mapTemplate || "";
+      if (seedInput) seedInput.disabled = !!mapTemplate; // saved maps ignore the seed
+      if (presetSelect) presetSelect.value = rulePreset || "classic";
+      renderTeams(teamMode || "ffa", players || []);
+      renderBots(players || []);
+      renderPrivateLobby(update);
     });
 
     lobbyRoom.onMessage("countdown", value => {
@@ -160,8 +245,23 @@ let lobbyRoom = null;
 
     lobbyRoom.onMessage("lastGames", renderLastGames);
 
+    lobbyRoom.onMessage("rating", ({ rating, games }) => {
+      el("ratingLabel").textContent = games ? rating : `${rating} (unrated)`;
+    });
+
+    // While queued the server reports how far from our rating it is looking
+    let rankedQueued = false;
+    lobbyRoom.onMessage("rankedStatus", ({ queued, band, waited, queueSize }) => {
+      rankedQueued = queued;
+      rankedBtn.textContent = queued ? "Leave Ranked Queue" : "Play Ranked";
+      el("rankedStatus").textContent = queued
+        ? `Searching ±${band} · ${Math.floor(waited / 1000)}s · ${queueSize} in queue`
+        : "";
+    });
+
     lobbyRoom.onMessage("startGame", ({ roomId }) => {
       localStorage.setItem("currentRoomId", roomId);
+      localStorage.removeItem("spectate");
       window.location.href = "game.html";
     });
 
@@ -172,8 +272,74 @@ let lobbyRoom = null;
     lobbyRoom.onMessage("replayError", ({ error }) => {
       alert("Could not create replay: " + (error || "unknown"));
     });
+    lobbyRoom.onMessage("mapError", ({ error }) => {
+      alert("Could not pick map: " + (error || "unknown"));
+    });
+    lobbyRoom.onMessage("startError", ({ error }) => {
+      alert("Could not start: " + (error || "unknown"));
+    });
 
     joinBtn.onclick = () => lobbyRoom?.send("joinGame");
+    if (rankedBtn) {
+      rankedBtn.onclick = () => lobbyRoom?.send(rankedQueued ? "leaveRanked" : "joinRanked");
+    }
+
+    if (seedInput) {
+      seedInput.addEventListener("change", () => lobbyRoom?.send("setSeed", seedInput.value.trim()));
+    }
+
+    if (mapSelect) {
+      loadMapTemplates();
+    }
+
+    if (mapSelect) {
+      mapSelect.addEventListener("change", () => lobbyRoom?.send("setMapTemplate", mapSelect.value));
+    }
+
+    if (presetSelect) {
+      presetSelect.addEventListener("change", () => lobbyRoom?.send("setRulePreset", presetSelect.value));
+    }
+
+    if (activeGamesDiv) {
+      loadActiveGames();
+      setInterval(loadActiveGames, 10000);
+    }
+
+    if (leaderboardSelect) {
+      loadSeasons().then(loadLeaderboard);
+      leaderboardSelect.addEventListener("change", loadLeaderboard);
+      seasonSelect.addEventListener("change", loadLeaderboard);
+    }
+
+    el("createPrivateBtn")?.addEventListener("click", () => {
+      window.location.href = "/?private=1";
+    });
+    el("joinInviteBtn")?.addEventListener("click", () => {
+      const code = (el("inviteInput").value || "").trim().toUpperCase();
+      if (code) window.location.href = `/?invite=${encodeURIComponent(code)}`;
+    });
+
+    if (hostControls) {
+      maxPlayersInput.addEventListener("change", () => lobbyRoom?.send("setMaxPlayers", parseInt(maxPlayersInput.value)));
+      ["ruleFog", "ruleAlliances", "ruleStart"].forEach(id => el(id).addEventListener("change", sendRules));
+      el("startNowBtn").addEventListener("click", () => lobbyRoom?.send("startNow"));
+      el("copyInviteBtn").addEventListener("click", () => {
+        navigator.clipboard?.writeText(location.href);
+      });
+    }
+
+    if (teamModeSelect) {
+      teamModeSelect.addEventListener("change", () => lobbyRoom?.send("setTeamMode", teamModeSelect.value));
+    }
+    if (teamPick) {
+      teamPick.addEventListener("change", () => {
+        lobbyRoom?.send("pickTeam", teamPick.value === "" ? null : parseInt(teamPick.value));
+      });
+    }
+
+    if (addBotBtn) {
+      addBotBtn.addEventListener("click", () => lobbyRoom?.send("addBot", botDifficulty.value));
+    }
 
     colorPicker.addEventListener("input", (e) => {
       const color = e.target.value;
@@ -191,6 +357,15 @@ let lobbyRoom = null;
       });
     }
 
+    if (replayImportBtn && replayFileInput) {
+      replayImportBtn.addEventListener("click", () => replayFileInput.click());
+      replayFileInput.addEventListener("change", () => {
+        const file = replayFileInput.files[0];
+        replayFileInput.value = "";
+        if (file) importReplay(file);
+      });
+    }
+
     // If we made it here, we successfully connected
     console.log("Connected to lobby as", username, playerId);
   } catch (e) {
@@ -213,3 +388,200 @@ let lobbyRoom = null;
     }
   }
 })();
+
+// Fill the map picker with the saved map templates
+async function loadMapTemplates() {
+  try {
+    const res = await fetch("/api/maps");
+    const data = await res.json();
+    if (!res.ok) throw new Error(data?.error || "maps fetch failed");
+
+    (data.maps || []).forEach(map => {
+      const option = document.createElement("option");
+      option.value = map.name;
+      option.textContent = `${map.name} (${map.starts} starts)`;
+      mapSelect.appendChild(option);
+    });
+  } catch (err) {
+    console.warn("Could not load maps:", err);
+  }
+}
+
+// Team mode picker, this player's team pick and how many players picked each team
+function renderTeams(teamMode, players) {
+  if (!teamModeSelect) return;
+  teamModeSelect.value = teamMode;
+
+  const teamGame = teamMode !== "ffa";
+  teamPick.disabled = !teamGame;
+  const me = players.find(p => p.id === playerId);
+  if (document.activeElement !== teamPick) teamPick.value = teamGame && me?.team != null ? String(me.team) : "";
+
+  if (!teamGame) {
+    teamCounts.textContent = "";
+    return;
+  }
+  const size = parseInt(teamMode);
+  const picked = [0, 1].map(team => players.filter(p => p.team === team).length);
+  teamCounts.textContent = `Team 1: ${picked[0]}/${size} · Team 2: ${picked[1]}/${size}`;
+}
+
+// Bots waiting in the lobby, each with a button to remove it
+function renderBots(players) {
+  if (!botList) return;
+  botList.innerHTML = "";
+  players.filter(p => p.bot).forEach(bot => {
+    const btn = document.createElement("button");
+    btn.textContent = `${bot.username} ✕`;
+    btn.title = "Remove bot";
+    btn.style.border = `2px solid ${bot.color}`;
+    btn.onclick = () => lobbyRoom?.send("removeBot", bot.id);
+    botList.appendChild(btn);
+  });
+}
+
+// Rules picked in the host controls; unchecked boxes fall back to the server defaults
+function sendRules() {
+  const rules = { fogOfWar: el("ruleFog").checked, alliances: el("ruleAlliances").checked };
+  if (el("ruleStart").value) rules.startAssignment = el("ruleStart").value;
+  lobbyRoom?.send("setRules", rules);
+}
+
+// Invite code, host controls and a kick button per player (for the host)
+function renderPrivateLobby({ private: isPrivate, inviteCode, hostId, maxPlayers, rules, players }) {
+  if (!privatePanel) return;
+  privatePanel.classList.toggle("hidden", !isPrivate);
+  if (!isPrivate) return;
+
+  // Keep the invite in the address bar so it can be shared as a link
+  if (inviteCode && new URLSearchParams(location.search).get("invite") !== inviteCode) {
+    history.replaceState(null, "", `?invite=${inviteCode}`);
+  }
+  el("inviteCode").textContent = inviteCode || "—";
+
+  const isHost = hostId === playerId;
+  const host = (players || []).find(p => p.id === hostId);
+  el("hostLabel").textContent = isHost ? "👑 You are the host" : `👑 Host: ${host?.username || "—"}`;
+  hostControls.classList.toggle("hidden", !isHost);
+  if (rankedBtn) rankedBtn.disabled = true; // ranked games are matched in the public lobby
+
+  // Everyone sees the host's settings; only the host can change them
+  [seedInput, mapSelect, presetSelect, teamModeSelect, botDifficulty, addBotBtn].forEach(input => {
+    if (input && !isHost) input.disabled = true;
+  });
+  if (document.activeElement !== maxPlayersInput) maxPlayersInput.value = maxPlayers;
+  el("ruleFog").checked = !!rules?.fogOfWar;
+  el("ruleAlliances").checked = !!rules?.alliances;
+  el("ruleStart").value = rules?.startAssignment || "";
+
+  lobbyPlayersDiv.innerHTML = "";
+  (players || []).forEach(p => {
+    const pill = document.createElement("span");
+    pill.textContent = `${p.id === hostId ? "👑 " : ""}${p.username}${p.started ? " ✔" : ""}`;
+    pill.style.border = `2px solid ${p.color}`;
+    pill.style.borderRadius = "8px";
+    pill.style.padding = "2px 6px";
+    if (isHost && p.id !== playerId) {
+      const kick = document.createElement("button");
+      kick.textContent = "✕";
+      kick.title = "Kick";
+      kick.onclick = () => lobbyRoom?.send("kick", p.id);
+      pill.appendChild(kick);
+    }
+    lobbyPlayersDiv.appendChild(pill);
+  });
+}
+
+// Live games with a button to watch each one as a spectator
+async function loadActiveGames() {
+  try {
+    const res = await fetch("/api/games/active");
+    const data = await res.json();
+    if (!res.ok) throw new Error(data?.error || "active games fetch failed");
+
+    activeGamesDiv.innerHTML = "";
+    if (!(data.games || []).length) activeGamesDiv.textContent = "No games in progress";
+    (data.games || []).forEach(game => {
+      const row = document.createElement("div");
+      row.className = "row";
+      row.style.alignItems = "center";
+      row.style.gap = "8px";
+
+      const label = document.createElement("span");
+      const names = game.players.map(p => p.username).join(", ");
+      const mode = game.teamMode !== "ffa" ? ` · ${game.teamMode}` : "";
+      label.textContent = `${names}${mode}${game.mapTemplate ? ` · ${game.mapTemplate}` : ""}`;
+
+      const watch = document.createElement("button");
+      watch.textContent = "👁 Watch";
+      watch.onclick = () => {
+        localStorage.setItem("currentRoomId", game.gameId);
+        localStorage.setItem("spectate", "1");
+        window.location.href = "game.html";
+      };
+
+      row.append(watch, label);
+      activeGamesDiv.appendChild(row);
+    });
+  } catch (err) {
+    console.warn("Could not load live games:", err);
+  }
+}
+
+// Archived seasons for the leaderboard's season picker
+async function loadSeasons() {
+  try {
+    const res = await fetch("/api/leaderboards/seasons");
+    const data = await res.json();
+    if (!res.ok) throw new Error(data?.error || "seasons fetch failed");
+
+    (data.seasons || []).filter(s => s.season !== data.current).forEach(s => {
+      const option = document.createElement("option");
+      option.value = s.season;
+      option.textContent = `Season ${s.season} (${new Date(s.start).toLocaleDateString()})`;
+      seasonSelect.appendChild(option);
+    });
+  } catch (err) {
+    console.warn("Could not load seasons:", err);
+  }
+}
+
+function formatScore(board, score) {
+  if (board === "fastest") {
+    const seconds = Math.round(score / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+  }
+  return String(Math.round(score));
+}
+
+async function loadLeaderboard() {
+  const body = el("leaderboardBody");
+  try {
+    const board = leaderboardSelect.value;
+    const res = await fetch(`/api/leaderboards?board=${board}&season=${seasonSelect.value}&limit=10`);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data?.error || "leaderboard fetch failed");
+
+    el("seasonLabel").textContent = data.season === "all"
+      ? ""
+      : `Season ${data.season}, ends ${new Date(data.end).toLocaleDateString()}`;
+
+    body.innerHTML = "";
+    if (!data.entries.length) body.innerHTML = "<tr><td>No entries yet</td></tr>";
+    data.entries.forEach(entry => {
+      const row = document.createElement("tr");
+      const rank = document.createElement("td");
+      rank.textContent = entry.rank;
+      const name = document.createElement("td");
+      name.textContent = entry.username;
+      if (entry.color) name.style.color = entry.color;
+      if (entry.playerId === playerId) name.style.fontWeight = "bold";
+      const score = document.createElement("td");
+      score.textContent = formatScore(board, entry.score);
+      row.append(rank, name, score);
+      body.appendChild(row);
+    });
+  } catch (err) {
+    console.warn("Could not load leaderboard:", err);
+  }
+}
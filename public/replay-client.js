@@ -12,6 +12,10 @@ const slider = el("timeSlider");
 const playBtn = el("playBtn");
 const pauseBtn = el("pauseBtn");
 const stepBtn = el("stepBtn");
+const speedSelect = el("speedSelect");
+const downloadLink = el("downloadLink");
+const chartSelect = el("chartSelect");
+const heatmapBtn = el("heatmapBtn");
 
 // --- Hex math (same as game-client.js) ---
 const HEX_SIZE = 15;
@@ -44,16 +48,72 @@ function drawHex(q, r, color = "#0c0f1e") {
   ctx.stroke();
 }
 
+// Board of the replayed game as [{ q, r }]; empty until /api/history answers
+let boardCells = [];
+let boardSet = new Set();
+
+// Outline every hex edge that faces off the board
+function drawBoardBorder() {
+  const cx = canvas.width / 2;
+  const cy = canvas.height / 2;
+  const dirs = [
+    {q: 1, r: 0}, {q: 1, r: -1}, {q: 0, r: -1},
+    {q: -1, r: 0}, {q: -1, r: 1}, {q: 0, r: 1},
+  ];
+
+  ctx.beginPath();
+  for (const { q, r } of boardCells) {
+    const center = hexToPixel(q, r);
+    for (const dir of dirs) {
+      if (boardSet.has(`${q + dir.q},${r + dir.r}`)) continue;
+
+      const neighbor = hexToPixel(q + dir.q, r + dir.r);
+      const angle = Math.atan2(neighbor.y - center.y, neighbor.x - center.x);
+      ctx.moveTo(cx + center.x + HEX_SIZE * Math.cos(angle - Math.PI / 6), cy + center.y + HEX_SIZE * Math.sin(angle - Math.PI / 6));
+      ctx.lineTo(cx + center.x + HEX_SIZE * Math.cos(angle + Math.PI / 6), cy + center.y + HEX_SIZE * Math.sin(angle + Math.PI / 6));
+    }
+  }
+  ctx.strokeStyle = "#e0e6ff";
+  ctx.lineWidth = 2;
+  ctx.stroke();
+}
+
 // --- Replay state ---
-let events = [];   // [{ q, r, color, ts }]
-let filled = {};   // "q,r" -> color
-let idx = 0;
+let events = [];   // replay events, oldest first (see replay-protocol.js)
+let terrainTypes = {};
+let view = new ReplayView();
+let checkpoints = []; // view snapshots every CHECKPOINT_EVERY events, taken as playback passes them
+const CHECKPOINT_EVERY = 250;
+
+// Playback clock. In a replay room the room runs it and these mirror its replayStatus;
+// without a room (REST history only) the viewer runs it here.
+let room = null;
+let playing = false;
+let speed = 1;
+let time = 0; // ms into the game
+let duration = 0;
 let playTimer = null;
-let playIntervalMs = 200;
+const TICK_MS = 100;
+
+// Overlays from game/ReplayAnalytics.js: sent by the replay room, or fetched over REST
+let analytics = null;
+let chartKey = chartSelect ? chartSelect.value : "territory"; // "territory", "income" or "" for none
+let showHeatmap = false;
+let chartRect = null; // where the chart was last drawn, for click-to-seek
+const CHART_HEIGHT = 140;
+const MARKER_ICONS = { crown: "👑", wave: "🌊" };
 
 // draw grid and filled cells
 function drawGrid() {
   ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+  if (boardCells.length) {
+    boardCells.forEach(({ q, r }) => drawHex(q, r, hexColor(q, r)));
+    drawBoardBorder();
+    drawOverlays();
+    return;
+  }
+
   const stepX = SQRT3 * HEX_SIZE;
   const stepY = 1.5 * HEX_SIZE;
   const cols = Math.ceil(canvas.width / stepX) + 2;
@@ -61,59 +121,173 @@ function drawGrid() {
 
   for (let r = -rows; r <= rows; r++) {
     for (let q = -cols; q <= cols; q++) {
-      const key = `${q},${r}`;
-      const color = filled[key] || "#0c0f1e";
-      drawHex(q, r, color);
+      drawHex(q, r, hexColor(q, r));
     }
   }
+  drawOverlays();
+}
+
+function drawOverlays() {
+  if (showHeatmap) drawHeatmap();
+  drawChart();
+}
+
+// Tint every hex by how often it was captured over the whole game
+function drawHeatmap() {
+  if (!analytics?.heatmap.length) return;
+  const most = analytics.heatmap[0][2];
+  analytics.heatmap.forEach(([q, r, count]) => {
+    drawHex(q, r, `rgba(255, 90, 30, ${(0.15 + 0.65 * count / most).toFixed(2)})`);
+  });
+}
+
+// Each player's territory or income over time, with a cursor at the current time
+// and markers for crown losses and big auto-capture waves. Clicking it seeks.
+function drawChart() {
+  chartRect = null;
+  if (!chartKey || !analytics?.samples.length || !analytics.duration) return;
+
+  const rect = { x: 12, y: canvas.height - CHART_HEIGHT - 12, w: canvas.width - 24, h: CHART_HEIGHT };
+  chartRect = rect;
+  ctx.fillStyle = "rgba(17, 20, 40, 0.85)";
+  ctx.fillRect(rect.x, rect.y, rect.w, rect.h);
+  ctx.strokeStyle = "#2b3355";
+  ctx.lineWidth = 1;
+  ctx.strokeRect(rect.x, rect.y, rect.w, rect.h);
+
+  const values = analytics.samples.flatMap(s => Object.values(s.players).map(p => p[chartKey]));
+  const top = Math.max(1, ...values);
+  const bottom = Math.min(0, ...values);
+  const pad = 22; // room for the markers and the legend
+  const toX = ms => rect.x + rect.w * ms / analytics.duration;
+  const toY = v => rect.y + rect.h - 6 - (rect.h - pad - 6) * (v - bottom) / (top - bottom);
+
+  if (bottom < 0) {
+    ctx.strokeStyle = "#2b3355";
+    ctx.beginPath();
+    ctx.moveTo(rect.x, toY(0));
+    ctx.lineTo(rect.x + rect.w, toY(0));
+    ctx.stroke();
+  }
+
+  ctx.lineWidth = 2;
+  analytics.players.forEach(({ playerId, color }) => {
+    ctx.strokeStyle = color || "#fff";
+    ctx.beginPath();
+    analytics.samples.forEach((s, i) => {
+      const y = toY(s.players[playerId]?.[chartKey] ?? 0);
+      if (i === 0) ctx.moveTo(toX(s.time), y);
+      else ctx.lineTo(toX(s.time), y);
+    });
+    ctx.stroke();
+  });
+
+  ctx.font = "12px system-ui, sans-serif";
+  ctx.textBaseline = "top";
+  let legendX = rect.x + 6;
+  analytics.players.forEach(({ username, color }) => {
+    ctx.fillStyle = color || "#fff";
+    ctx.fillText(username, legendX, rect.y + 4);
+    legendX += ctx.measureText(username).width + 12;
+  });
+
+  ctx.textAlign = "center";
+  analytics.markers.forEach(m => ctx.fillText(MARKER_ICONS[m.type] || "•", toX(m.time), rect.y + 4));
+  ctx.textAlign = "start";
+
+  ctx.strokeStyle = "#e0e6ff";
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(toX(time), rect.y);
+  ctx.lineTo(toX(time), rect.y + rect.h);
+  ctx.stroke();
+}
+
+function hexColor(q, r) {
+  return view.hexes[`${q},${r}`]?.color || "#0c0f1e";
 }
 
 function applyEvent(ev) {
   if (!ev) return;
-  const q = ev.q;
-  const r = ev.r;
-  filled[`${q},${r}`] = ev.color;
+  view.apply(ev);
+  if (view.applied % CHECKPOINT_EVERY === 0 && !checkpoints[view.applied / CHECKPOINT_EVERY]) {
+    checkpoints[view.applied / CHECKPOINT_EVERY] = view.snapshot();
+  }
+}
+
+// ms into the game of the nth event
+function eventTime(n) {
+  return events.length ? events[Math.min(n, events.length - 1)].t - events[0].t : 0;
 }
 
-function goToFrame(n) {
-  idx = Math.max(0, Math.min(n, events.length));
-  filled = {};
-  for (let i = 0; i < idx; i++) applyEvent(events[i]);
+function formatTime(ms) {
+  const s = Math.floor(ms / 1000);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+function updateControls() {
+  slider.max = duration;
+  slider.value = time;
+  replayInfo.textContent = `${formatTime(time)} / ${formatTime(duration)} · ${view.applied}/${events.length}`;
+  if (speedSelect) speedSelect.value = String(speed);
+  if (playBtn) playBtn.disabled = playing;
+  if (pauseBtn) pauseBtn.disabled = !playing;
+}
+
+// Rebuild the view after n events from the closest snapshot: the room's, or one taken here
+function goToFrame(n, snapshot = null) {
+  n = Math.max(0, Math.min(n, events.length));
+  const local = checkpoints[Math.floor(n / CHECKPOINT_EVERY)];
+  const from = [snapshot, local].filter(c => c && c.applied <= n).sort((a, b) => b.applied - a.applied)[0];
+
+  view = from ? ReplayView.fromSnapshot(from, terrainTypes) : new ReplayView(terrainTypes);
+  while (view.applied < n) applyEvent(events[view.applied]);
   drawGrid();
-  slider.value = idx;
-  replayInfo.textContent = `${idx}/${events.length}`;
+  updateControls();
 }
 
 function stepForward() {
-  if (idx < events.length) {
-    applyEvent(events[idx]);
-    idx++;
+  if (view.applied < events.length) {
+    time = eventTime(view.applied);
+    applyEvent(events[view.applied]);
     drawGrid();
-    slider.value = idx;
-    replayInfo.textContent = `${idx}/${events.length}`;
+    updateControls();
   }
 }
 
+// --- Local playback (no replay room) ---
 function play() {
-  if (playTimer) return;
+  if (playTimer || events.length === 0) return;
+  if (view.applied >= events.length) seek(0);
+
+  playing = true;
+  let last = Date.now();
   playTimer = setInterval(() => {
-    if (idx >= events.length) {
-      pause();
-      return;
-    }
-    applyEvent(events[idx]);
-    idx++;
+    const now = Date.now();
+    time = Math.min(duration, time + (now - last) * speed);
+    last = now;
+
+    const target = eventIndexAt(events, time);
+    while (view.applied < target) applyEvent(events[view.applied]);
     drawGrid();
-    slider.value = idx;
-    replayInfo.textContent = `${idx}/${events.length}`;
-  }, playIntervalMs);
+    if (view.applied >= events.length) pause();
+    updateControls();
+  }, TICK_MS);
+  updateControls();
 }
 
 function pause() {
+  playing = false;
   if (playTimer) {
     clearInterval(playTimer);
     playTimer = null;
   }
+  updateControls();
+}
+
+function seek(ms) {
+  time = Math.max(0, Math.min(duration, ms));
+  goToFrame(eventIndexAt(events, time));
 }
 
 // resize canvas to full height minus header
@@ -125,7 +299,8 @@ function resizeCanvas() {
 }
 window.addEventListener("resize", resizeCanvas);
 
-// Join replay room, obtain gameId from server, fetch history and autostart
+// Join the replay room, which sends the game's history and then drives playback for
+// every viewer, or fetch the same history over REST and play it back here
 (async function init() {
   // prefer replayRoomId (the Colyseus replay room id created by lobby)
   const replayRoomId = localStorage.getItem("replayRoomId");
@@ -136,56 +311,77 @@ window.addEventListener("resize", resizeCanvas);
     return;
   }
 
-  // If we have replayRoomId, join it to receive the server-sent gameId.
-  // If not, we'll use fallbackGameId directly and not join a replay room.
-  let joinedRoom = null;
-  let gameId = fallbackGameId || null;
-
   try {
     if (replayRoomId) {
-      joinedRoom = await client.joinById(replayRoomId, {}); // anonymous viewer
-      // listen for replayInfo which contains the original gameId
-      joinedRoom.onMessage("replayInfo", d => {
-        if (d && d.gameId) {
-          gameId = d.gameId;
-          label.textContent = gameId;
-          // fetch history after we know gameId
-          fetchHistoryAndStart(gameId);
-        } else if (typeof d.totalEvents === "number") {
-          // if server only sent count, show it
-          replayInfo.textContent = `0/${d.totalEvents}`;
-        }
+      room = await client.joinById(replayRoomId, {}); // anonymous viewer
+
+      room.onMessage("replayInfo", history => loadHistory(history));
+
+      room.onMessage("replayAnalytics", data => {
+        analytics = data;
+        drawGrid();
+      });
+
+      // After a seek, or when joining mid-playback
+      room.onMessage("replayPosition", ({ index, time: at, snapshot }) => {
+        time = at;
+        goToFrame(index, snapshot);
       });
 
-      // register for replayEvent to avoid Colyseus warnings; do not auto-apply (we use REST playback)
-      joinedRoom.onMessage("replayEvent", ev => {
-        // ignore for now (we rely on REST snapshot for scrubbing)
+      // Events arrive in order with their index in the history
+      room.onMessage("replayEvent", ({ index }) => {
+        time = eventTime(index);
+        if (index === view.applied) stepForward();
+        else goToFrame(index + 1);
       });
 
-      joinedRoom.onMessage("replayEnd", () => {
-        // optional: show finished
+      room.onMessage("replayStatus", status => {
+        playing = status.playing;
+        speed = status.speed;
+        time = status.time;
+        duration = status.duration;
+        updateControls();
       });
-    } else if (gameId) {
-      // no replay room, we have direct gameId
-      label.textContent = gameId;
-      await fetchHistoryAndStart(gameId);
+
+      room.onMessage("replayEnd", () => {
+        playing = false;
+        updateControls();
+      });
+    } else {
+      await fetchHistoryAndStart(fallbackGameId);
     }
   } catch (err) {
     console.error("Failed to join replay room:", err);
-    // fallback: if we had a fallbackGameId, try to fetch history
-    if (fallbackGameId) {
-      gameId = fallbackGameId;
-      label.textContent = gameId;
-      await fetchHistoryAndStart(gameId);
-    }
+    room = null;
+    if (fallbackGameId) await fetchHistoryAndStart(fallbackGameId);
   }
 
   // ensure canvas sized correctly
   resizeCanvas();
-
-  // auto-play once we have events loaded (handled by fetchHistoryAndStart)
 })().catch(e => console.error(e));
 
+function loadHistory(data) {
+  try {
+    const history = readHistory(data);
+    events = history.events;
+    terrainTypes = history.terrain;
+    boardCells = history.cells;
+    boardSet = new Set(boardCells.map(({ q, r }) => `${q},${r}`));
+    if (history.gameId) label.textContent = history.gameId;
+    if (downloadLink && history.gameId && !history.imported) {
+      downloadLink.href = `/api/replays/${encodeURIComponent(history.gameId)}/export`;
+      downloadLink.classList.remove("hidden");
+    }
+  } catch (err) {
+    console.error("Could not read history:", err);
+    events = [];
+  }
+  checkpoints = [];
+  time = 0;
+  duration = eventTime(events.length);
+  goToFrame(0);
+}
+
 async function fetchHistoryAndStart(gameId) {
   if (!gameId) return;
   label.textContent = gameId;
@@ -193,10 +389,8 @@ async function fetchHistoryAndStart(gameId) {
     const res = await fetch(`/api/history?lobbyId=${encodeURIComponent(gameId)}`);
     const data = await res.json();
     if (!res.ok) throw new Error(data?.error || "history fetch failed");
-    // map server clicks -> { q, r, color, ts } (server uses x->q, y->r)
-    events = (data.clicks || []).map(c => ({ q: c.x, r: c.y, color: c.color, ts: c.ts }));
-    slider.max = events.length;
-    goToFrame(0);
+    loadHistory(data);
+    fetchAnalytics(gameId);
 
     // if events available, auto-play
     if (events.length > 0) {
@@ -205,14 +399,65 @@ async function fetchHistoryAndStart(gameId) {
     }
   } catch (err) {
     console.error("Could not fetch history:", err);
-    events = [];
-    slider.max = 0;
-    goToFrame(0);
+    loadHistory({ events: [] });
   }
 }
 
-// controls wiring
-if (slider) slider.addEventListener("input", e => goToFrame(parseInt(e.target.value, 10)));
-if (playBtn) playBtn.addEventListener("click", play);
-if (pauseBtn) pauseBtn.addEventListener("click", pause);
-if (stepBtn) stepBtn.addEventListener("click", () => { pause(); stepForward(); });
+async function fetchAnalytics(gameId) {
+  try {
+    const res = await fetch(`/api/replays/${encodeURIComponent(gameId)}/analytics`);
+    if (!res.ok) return;
+    analytics = await res.json();
+    drawGrid();
+  } catch (err) {
+    console.error("Could not fetch replay analytics:", err);
+  }
+}
+
+// controls wiring: in a replay room they go to the room, which syncs every viewer
+if (slider) slider.addEventListener("input", e => {
+  const ms = parseInt(e.target.value, 10);
+  if (room) room.send("seek", { time: ms });
+  else seek(ms);
+});
+if (playBtn) playBtn.addEventListener("click", () => room ? room.send("play") : play());
+if (pauseBtn) pauseBtn.addEventListener("click", () => room ? room.send("pause") : pause());
+if (stepBtn) stepBtn.addEventListener("click", () => {
+  if (room) {
+    room.send("pause");
+    room.send("seek", { time: eventTime(view.applied) });
+  } else {
+    pause();
+    stepForward();
+  }
+});
+if (speedSelect) {
+  speedSelect.innerHTML = REPLAY_SPEEDS.map(s => `<option value="${s}">${s}x</option>`).join("");
+  speedSelect.value = String(speed);
+  speedSelect.addEventListener("change", () => {
+    const value = parseFloat(speedSelect.value);
+    if (room) room.send("setSpeed", { speed: value });
+    else {
+      speed = value;
+      updateControls();
+    }
+  });
+}
+if (chartSelect) chartSelect.addEventListener("change", () => {
+  chartKey = chartSelect.value;
+  drawGrid();
+});
+if (heatmapBtn) heatmapBtn.addEventListener("click", () => {
+  showHeatmap = !showHeatmap;
+  heatmapBtn.classList.toggle("active", showHeatmap);
+  drawGrid();
+});
+canvas.addEventListener("click", e => {
+  if (!chartRect || !analytics) return;
+  const { x, y, w, h } = chartRect;
+  if (e.offsetX < x || e.offsetX > x + w || e.offsetY < y || e.offsetY > y + h) return;
+
+  const ms = Math.round(analytics.duration * (e.offsetX - x) / w);
+  if (room) room.send("seek", { time: ms });
+  else seek(ms);
+});
@@ -0,0 +1,126 @@
+// public/replay-protocol.js
+// The viewer's side of the replay protocol described in game/ReplayLog.js.
+// GET /api/history and the replay room's "replayInfo" message carry the same
+// history: { version, gameId, board: { shape, cells }, terrain, events }, with
+// events oldest first. ReplayView applies them the way ReplayBoard does on
+// the server, so a frame drawn here is the board the server had. Snapshots
+// (from the room's "replayPosition" or taken here) restore a view at any point.
+const REPLAY_PROTOCOL_VERSION = 2;
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4, 8, 16];
+
+// Check a history from the server and pull out what the viewer uses
+function readHistory(data) {
+  if (!data || !Array.isArray(data.events)) throw new Error("history has no events");
+  if (data.version > REPLAY_PROTOCOL_VERSION) throw new Error(`unsupported replay version ${data.version}`);
+
+  return {
+    gameId: data.gameId || null,
+    imported: !!data.imported, // played from an uploaded file, so the server has no copy to export
+    events: data.events,
+    cells: (data.board?.cells || []).map(([q, r]) => ({ q, r })),
+    terrain: data.terrain || {}
+  };
+}
+
+class ReplayView {
+  constructor(terrain = {}) {
+    this.terrain = terrain; // type -> { color, emoji }
+    this.hexes = {}; // "q,r" -> { q, r, playerId, color, upgrade, terrain, isStart }
+    this.players = {}; // playerId -> { playerId, username, color, connected, eliminatedBy }
+    this.applied = 0;
+  }
+
+  static fromSnapshot(snapshot, terrain = {}) {
+    const view = new ReplayView(terrain);
+    snapshot.hexes.forEach(hex => { view.hexes[`${hex.q},${hex.r}`] = { ...hex }; });
+    snapshot.players.forEach(p => { view.players[p.playerId] = { ...p }; });
+    view.applied = snapshot.applied;
+    return view;
+  }
+
+  snapshot() {
+    return {
+      applied: this.applied,
+      hexes: Object.values(this.hexes).map(hex => ({ ...hex })),
+      players: Object.values(this.players).map(p => ({ ...p }))
+    };
+  }
+
+  terrainColor(name) {
+    return (name && this.terrain[name]?.color) || "";
+  }
+
+  player(playerId) {
+    if (!this.players[playerId]) {
+      this.players[playerId] = { playerId, username: "", color: null, connected: false, eliminatedBy: null };
+    }
+    return this.players[playerId];
+  }
+
+  setHex(q, r, fields) {
+    const key = `${q},${r}`;
+    const hex = this.hexes[key] || { q, r, playerId: null, color: null, upgrade: "", terrain: "", isStart: false };
+    this.hexes[key] = { ...hex, ...fields };
+  }
+
+  apply(ev) {
+    switch (ev.type) {
+      case "game-start":
+        (ev.map || []).forEach(([q, r, terrain, upgrade]) => {
+          this.setHex(q, r, { terrain: terrain || "", upgrade: upgrade || "", color: this.terrainColor(terrain) });
+        });
+        (ev.players || []).forEach(p => Object.assign(this.player(p.playerId), p));
+        break;
+      case "join":
+        Object.assign(this.player(ev.playerId), { username: ev.username || "", color: ev.color || null, connected: true });
+        break;
+      case "leave":
+        this.player(ev.playerId).connected = false;
+        break;
+      case "start":
+        this.setHex(ev.q, ev.r, { playerId: ev.playerId, color: ev.color, upgrade: "", isStart: true });
+        break;
+      case "capture":
+        this.setHex(ev.q, ev.r, { playerId: ev.playerId, color: ev.color, isStart: false });
+        break;
+      case "upgrade":
+        if (ev.upgrade) this.setHex(ev.q, ev.r, { upgrade: ev.upgrade });
+        break;
+      case "eliminate":
+        this.player(ev.playerId).eliminatedBy = ev.by || null;
+        Object.keys(this.hexes).forEach(key => {
+          const hex = this.hexes[key];
+          if (hex.playerId !== ev.playerId) return;
+          if (ev.hexRule === "transfer") {
+            this.hexes[key] = { ...hex, playerId: ev.by, color: ev.color, isStart: false };
+          } else if (hex.terrain) {
+            this.hexes[key] = { ...hex, playerId: null, color: this.terrainColor(hex.terrain), upgrade: "", isStart: false };
+          } else {
+            delete this.hexes[key];
+          }
+        });
+        break;
+    }
+    this.applied++;
+    return this;
+  }
+}
+
+// How many events happened within the first time ms (events oldest first)
+function eventIndexAt(events, time) {
+  if (events.length === 0) return 0;
+  const limit = events[0].t + time;
+  let lo = 0;
+  let hi = events.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (events[mid].t <= limit) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// The browser loads this as a plain script; the contract test requires it
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { REPLAY_PROTOCOL_VERSION, REPLAY_SPEEDS, readHistory, ReplayView, eventIndexAt };
+}
@@ -6,7 +6,7 @@ const bodyParser = require("body-parser");
 const crypto = require("crypto");
 
 // Colyseus
-const { Server } = require("colyseus");
+const { Server, matchMaker } = require("colyseus");
 const { WebSocketTransport } = require("@colyseus/ws-transport");
 const { RedisDriver } = require("@colyseus/redis-driver");
 
@@ -19,10 +19,16 @@ const { RedisReplayRoom } = require("./rooms/RedisReplayRoom");
 const GameData = require("./redis/GameData");
 const RedisManager = require("./redis/RedisManager");
 const config = require("./config");
+const { validateMapTemplate, STRUCTURE_TYPES } = require("./game/MapTemplate");
+const { describeTerrainTypes } = require("./game/Terrain");
+const { LEADERBOARDS, isLeaderboard, seasonAt, seasonBounds } = require("./game/Leaderboards");
+const { replayHistory } = require("./game/ReplayLog");
+const { encodeReplayFile, readReplayFile } = require("./game/ReplayFile");
+const { analyticsRules, analyzeReplay } = require("./game/ReplayAnalytics");
 
 // --- Express ---
 const app = express();
-app.use(bodyParser.json());
+app.use(bodyParser.json({ limit: "1mb" })); // map templates can be large
 app.use(express.static(path.join(__dirname, "public")));
 
 // Cloudflare compatibility middleware
@@ -113,6 +119,53 @@ app.post("/api/register", async (req, res) => {
   }
 });
 
+// Leaderboards: ?board=wins|rating|tiles|fastest&season=current|all|<n>&limit=20
+app.get("/api/leaderboards", async (req, res) => {
+  try {
+    const board = req.query.board || "wins";
+    if (!isLeaderboard(board)) return res.status(400).json({ error: "unknown leaderboard" });
+
+    const current = seasonAt(Date.now(), config.game);
+    const season = req.query.season === "all" ? "all"
+      : req.query.season && req.query.season !== "current" ? parseInt(req.query.season) : current;
+    if (season !== "all" && !(season >= 1 && season <= current)) {
+      return res.status(400).json({ error: "invalid season" });
+    }
+    const limit = Math.max(1, Math.min(100, parseInt(req.query.limit) || 20));
+
+    const gameData = new GameData();
+    const entries = await gameData.getLeaderboard(board, season, limit, LEADERBOARDS[board].lowestFirst);
+    await gameData.disconnect();
+
+    return res.json({
+      board,
+      label: LEADERBOARDS[board].label,
+      season,
+      ...(season === "all" ? {} : seasonBounds(season, config.game)),
+      entries
+    });
+  } catch (e) {
+    console.error("leaderboard error:", e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
+// The current season and the archived ones that have scores
+app.get("/api/leaderboards/seasons", async (req, res) => {
+  try {
+    const gameData = new GameData();
+    const seasons = await gameData.getLeaderboardSeasons();
+    await gameData.disconnect();
+
+    const current = seasonAt(Date.now(), config.game);
+    const all = Array.from(new Set([current, ...seasons])).sort((a, b) => b - a);
+    return res.json({ current, seasons: all.map(n => seasonBounds(n, config.game)) });
+  } catch (e) {
+    console.error("leaderboard seasons error:", e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
 app.post("/api/player/color", async (req, res) => {
   try {
     const { playerId, token, color } = req.body || {};
@@ -144,16 +197,162 @@ app.get("/api/history", async (req, res) => {
     if (!lobbyId) return res.status(400).json({ error: "lobbyId required" });
 
     const gameData = new GameData();
-    const events = await gameData.getGameEvents(lobbyId);
+    if (!(await gameData.isGameOver(lobbyId))) {
+      await gameData.disconnect();
+      return res.status(404).json({ error: "no finished game with that id" });
+    }
+    const events = await gameData.getReplayLog(lobbyId);
+    const board = await gameData.getBoardShape(lobbyId);
     await gameData.disconnect();
-    
-    return res.json({ clicks: events });
+
+    return res.json(replayHistory(lobbyId, events, board));
   } catch (e) {
     console.error("history error:", e);
     return res.status(500).json({ error: "Internal error" });
   }
 });
 
+// Territory and income charts, capture heatmap and key-moment markers for a game's replay
+app.get("/api/replays/:gameId/analytics", async (req, res) => {
+  try {
+    const gameData = new GameData();
+    if (!(await gameData.isGameOver(req.params.gameId))) {
+      await gameData.disconnect();
+      return res.status(404).json({ error: "no finished game with that id" });
+    }
+    const events = await gameData.getReplayLog(req.params.gameId);
+    const rules = await gameData.getGameRules(req.params.gameId);
+    await gameData.disconnect();
+    if (events.length === 0) return res.status(404).json({ error: "no replay for that game" });
+
+    return res.json(analyzeReplay(events, analyticsRules(rules, config.game)));
+  } catch (e) {
+    console.error("replay analytics error:", e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
+// A finished game as a self-contained replay file (gzipped JSON)
+app.get("/api/replays/:gameId/export", async (req, res) => {
+  try {
+    const gameData = new GameData();
+    const file = await gameData.getReplayFile(req.params.gameId);
+    await gameData.disconnect();
+    if (!file) return res.status(404).json({ error: "no finished game with that id" });
+
+    res.set("Content-Type", "application/gzip");
+    res.set("Content-Disposition", `attachment; filename="hexgame-${file.gameId}.replay.json.gz"`);
+    return res.send(encodeReplayFile(file));
+  } catch (e) {
+    console.error("replay export error:", e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
+// Upload a replay file (raw body, credentials in x-player-id / x-player-token) and get a replay room for it
+app.post("/api/replays/import", bodyParser.raw({ type: () => true, limit: config.game.replayFileMaxBytes }), async (req, res) => {
+  try {
+    if (!verifyPlayerId(req.get("x-player-id"), req.get("x-player-token"))) {
+      return res.status(401).json({ error: "invalid credentials" });
+    }
+
+    const { replay, error } = readReplayFile(req.body, config.game.replayFileMaxBytes);
+    if (error) return res.status(400).json({ error });
+
+    const room = await matchMaker.createRoom("redisReplay", { replay });
+    console.log("📦 RedisReplayRoom created from an imported replay of", replay.gameId, "->", room.roomId);
+    return res.json({ roomId: room.roomId, gameId: replay.gameId });
+  } catch (e) {
+    console.error("replay import error:", e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
+// Live games anyone can watch as a spectator
+app.get("/api/games/active", async (req, res) => {
+  try {
+    const gameData = new GameData();
+    const games = await gameData.getActiveGames();
+    await gameData.disconnect();
+    return res.json({ games });
+  } catch (e) {
+    console.error("active games error:", e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
+// Private lobbies are joined by invite code
+app.get("/api/lobbies/:code", async (req, res) => {
+  try {
+    const gameData = new GameData();
+    const roomId = await gameData.resolveInviteCode(req.params.code);
+    await gameData.disconnect();
+
+    if (!roomId) return res.status(404).json({ error: "invite code not found" });
+    return res.json({ roomId });
+  } catch (e) {
+    console.error("invite code error:", e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
+// --- Map templates ---
+app.get("/api/terrain", (req, res) => {
+  return res.json({ terrain: describeTerrainTypes(), structures: STRUCTURE_TYPES });
+});
+
+app.get("/api/maps", async (req, res) => {
+  try {
+    const gameData = new GameData();
+    const maps = await gameData.listMapTemplates();
+    await gameData.disconnect();
+    return res.json({ maps });
+  } catch (e) {
+    console.error("list maps error:", e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
+app.get("/api/maps/:name", async (req, res) => {
+  try {
+    const gameData = new GameData();
+    const template = await gameData.getMapTemplate(req.params.name);
+    await gameData.disconnect();
+
+    if (!template) return res.status(404).json({ error: "map not found" });
+    return res.json(template);
+  } catch (e) {
+    console.error("get map error:", e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
+app.post("/api/maps", async (req, res) => {
+  try {
+    const { playerId, token, template: raw } = req.body || {};
+    if (!verifyPlayerId(playerId, token)) {
+      return res.status(401).json({ error: "invalid credentials" });
+    }
+
+    const { template, error } = validateMapTemplate(raw);
+    if (error) return res.status(400).json({ error });
+
+    const gameData = new GameData();
+    const existing = await gameData.getMapTemplate(template.name);
+    if (existing && existing.author && existing.author !== playerId) {
+      await gameData.disconnect();
+      return res.status(403).json({ error: "map belongs to another player" });
+    }
+
+    const saved = await gameData.saveMapTemplate(template, playerId);
+    await gameData.disconnect();
+    return res.json({ ok: true, name: saved.name });
+  } catch (e) {
+    console.error("save map error:", e);
+    return res.status(500).json({ error: "Internal error" });
+  }
+});
+
 // Health check endpoint for Cloudflare
 app.get("/health", (req, res) => {
   res.status(200).json({ 
@@ -214,8 +413,7 @@ gameServer.define("redisLobby", RedisLobbyRoom, {
 });
 gameServer.define("redisGame", RedisGameRoom, { 
   verifyPlayer: verifyPlayerId,
-  allowReconnection: true,
-  maxClients: 2 // Allow unlimited clients to prevent auto-disposal
+  allowReconnection: true // the room sizes maxClients itself: its players plus config.game.maxSpectators
 });
 gameServer.define("redisReplay", RedisReplayRoom, { 
   verifyPlayer: verifyPlayerId,
@@ -1,7 +1,17 @@
 // redis/GameData.js
 const RedisManager = require("./RedisManager");
+const { computeMaxPoints } = require("../game/Economy");
+const { generateMap, generateMountainHexes, generateRiverHexes } = require("../game/MapGenerator");
+const { SeededRandom } = require("../game/SeededRandom");
+const Terrain = require("../game/Terrain");
+const { BoardShape } = require("../game/BoardShape");
+const { templateHexes } = require("../game/MapTemplate");
+const { replayEvent, fromLegacyEvents } = require("../game/ReplayLog");
+const { buildReplayFile } = require("../game/ReplayFile");
 const config = require("../config");
 
+const REPLAY_CHUNK = 1000; // replay events read per XRANGE
+
 class GameData {
   constructor() {
     this.redisManager = RedisManager;
@@ -9,6 +19,7 @@ class GameData {
       {q: 1, r: 0}, {q: 1, r: -1}, {q: 0, r: -1},
       {q: -1, r: 0}, {q: -1, r: 1}, {q: 0, r: 1},
     ];
+    this.gameRules = new Map(); // gameId -> rules, which never change during a game
   }
 
   // Get Redis connection for this instance
@@ -121,6 +132,48 @@ class GameData {
     }
   }
 
+  // Ratings
+  // players:{id}:rating holds rating, games, wins and updatedAt; players who
+  // never finished a rated game start at ratingInitial
+
+  async getRatings(playerIds) {
+    const redis = await this.getRedis();
+    try {
+      const ratings = {};
+      for (const playerId of playerIds) {
+        const data = await redis.hgetall(`players:${playerId}:rating`);
+        ratings[playerId] = {
+          rating: data.rating ? parseInt(data.rating) : config.game.ratingInitial,
+          games: parseInt(data.games) || 0,
+          wins: parseInt(data.wins) || 0
+        };
+      }
+      return ratings;
+    } finally {
+      this.returnRedis(redis);
+    }
+  }
+
+  async getRating(playerId) {
+    return (await this.getRatings([playerId]))[playerId];
+  }
+
+  // changes: { playerId: { after } } from rateGame
+  async saveRatings(changes, winnerIds = []) {
+    const redis = await this.getRedis();
+    try {
+      for (const [playerId, change] of Object.entries(changes)) {
+        await redis.hset(`players:${playerId}:rating`, 'rating', change.after, 'updatedAt', Date.now());
+        await redis.hincrby(`players:${playerId}:rating`, 'games', 1);
+        if (winnerIds.includes(playerId)) await redis.hincrby(`players:${playerId}:rating`, 'wins', 1);
+      }
+    } catch (error) {
+      console.warn("Error saving ratings:", error.message);
+    } finally {
+      this.returnRedis(redis);
+    }
+  }
+
   // Lobby Management
   async createLobby(lobbyId) {
     const redis = await this.getRedis();
@@ -181,13 +234,50 @@ class GameData {
     try {
       await redis.zrem('lobbies:active', lobbyId);
       await redis.hset(`lobbies:${lobbyId}:data`, 'status', 'closed', 'closedAt', Date.now());
+
+      // A closed private lobby frees its invite code
+      const inviteCode = await redis.hget(`lobbies:${lobbyId}:data`, 'inviteCode');
+      if (inviteCode) await redis.hdel('lobbies:invites', inviteCode);
+    } finally {
+      this.returnRedis(redis);
+    }
+  }
+
+  // Private lobbies
+  // lobbies:invites maps a short invite code to the lobby's room id
+
+  async createInviteCode(lobbyId) {
+    const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // no 0/O or 1/I look-alikes
+    const redis = await this.getRedis();
+    try {
+      for (let attempt = 0; attempt < 10; attempt++) {
+        let code = "";
+        for (let i = 0; i < 6; i++) code += alphabet[Math.floor(Math.random() * alphabet.length)];
+        if (await redis.hsetnx('lobbies:invites', code, lobbyId)) {
+          await redis.hset(`lobbies:${lobbyId}:data`, 'inviteCode', code, 'private', 'true');
+          return code;
+        }
+      }
+      throw new Error("could not find a free invite code");
+    } finally {
+      this.returnRedis(redis);
+    }
+  }
+
+  async resolveInviteCode(code) {
+    const redis = await this.getRedis();
+    try {
+      return await redis.hget('lobbies:invites', String(code).trim().toUpperCase());
     } finally {
       this.returnRedis(redis);
     }
   }
 
   // Game Management
-  async createGame(gameId, startPlayers = []) {
+  async createGame(gameId, startPlayers = [], settings = {}) {
+    const rules = settings.rules || config.game;
+    this.gameRules.set(gameId, rules);
+
     const redis = await this.getRedis();
     try {
       const game = {
@@ -195,7 +285,15 @@ class GameData {
         createdAt: Date.now(),
         status: 'active',
         startPlayers: JSON.stringify(startPlayers),
-        lobbyStartTime: Date.now()
+        lobbyStartTime: Date.now(),
+        seed: settings.seed || '',
+        mapTemplate: settings.mapTemplate || '',
+        board: JSON.stringify(BoardShape.from(settings.board || config.game.boardShape).toJSON()),
+        teamMode: settings.teamMode || 'ffa',
+        teams: JSON.stringify(settings.teams || {}), // playerId -> team number
+        rulePreset: settings.rulePreset || 'classic',
+        ranked: settings.ranked ? 'true' : 'false',
+        rules: JSON.stringify(rules)
       };
 
       await redis.hset(`games:${gameId}:data`, game);
@@ -205,13 +303,39 @@ class GameData {
       for (const player of startPlayers) {
         await redis.sadd(`games:${gameId}:players`, player.playerId);
         // Initialize player points
-        await this.setPlayerPoints(gameId, player.playerId, config.game.startingPoints, config.game.startingMaxPoints);
+        await this.setPlayerPoints(gameId, player.playerId, rules.startingPoints, rules.startingMaxPoints);
       }
     } finally {
       this.returnRedis(redis);
     }
   }
 
+  // Board of a game; games created before boards existed get the default one
+  async getBoardShape(gameId) {
+    const redis = await this.getRedis();
+    try {
+      const board = await redis.hget(`games:${gameId}:data`, 'board');
+      return BoardShape.from(board || config.game.boardShape);
+    } finally {
+      this.returnRedis(redis);
+    }
+  }
+
+  // Rules a game was created with; games from before rule presets play by config.game
+  async getGameRules(gameId) {
+    if (this.gameRules.has(gameId)) return this.gameRules.get(gameId);
+
+    const redis = await this.getRedis();
+    try {
+      const stored = await redis.hget(`games:${gameId}:data`, 'rules');
+      const rules = stored ? JSON.parse(stored) : config.game;
+      this.gameRules.set(gameId, rules);
+      return rules;
+    } finally {
+      this.returnRedis(redis);
+    }
+  }
+
   async getGame(gameId) {
     const redis = await this.getRedis();
     try {
@@ -225,6 +349,29 @@ class GameData {
     }
   }
 
+  // Games still being played, newest first (the lobby's watch list)
+  async getActiveGames(limit = 20) {
+    const redis = await this.getRedis();
+    try {
+      const gameIds = await redis.zrevrange('games:active', 0, limit - 1);
+      const games = [];
+      for (const gameId of gameIds) {
+        const game = await this.getGame(gameId);
+        if (!game || game.status !== 'active') continue;
+        games.push({
+          gameId,
+          createdAt: parseInt(game.createdAt),
+          mapTemplate: game.mapTemplate || null,
+          teamMode: game.teamMode || 'ffa',
+          players: game.startPlayers.map(p => ({ username: p.username, color: p.color, bot: !!p.bot }))
+        });
+      }
+      return games;
+    } finally {
+      this.returnRedis(redis);
+    }
+  }
+
   async updateGameStatus(gameId, status) {
     const redis = await this.getRedis();
     try {
@@ -270,6 +417,7 @@ class GameData {
       playerId,
       color,
       upgrade: upgrade || '',
+      upgradeTime: upgrade ? Date.now() : null, // a captured upgrade starts over, so a city regrows
       terrain: terrain || '',
       captureTime: Date.now(),
       isStart: isStart
@@ -308,6 +456,11 @@ class GameData {
     return await this.getHex(gameId, q, r);
   }
 
+  async getPlayerHexes(gameId, playerId) {
+    const hexes = await this.getAllHexes(gameId);
+    return hexes.filter(h => h.playerId === playerId);
+  }
+
   async setHexUpgrade(gameId, q, r, upgrade) {
     const redis = await this.getRedis();
     try {
@@ -322,6 +475,82 @@ class GameData {
     }
   }
 
+  /**
+   * Hand every hex owned by fromId over to toId (upgrades and terrain are kept)
+   * Returns the updated hexes
+   */
+  async transferPlayerHexes(gameId, fromId, toId, color) {
+    const redis = await this.getRedis();
+    try {
+      const hexes = await redis.hgetall(`games:${gameId}:hexes`);
+      const transferred = [];
+
+      for (const [hexKey, value] of Object.entries(hexes)) {
+        const hex = JSON.parse(value);
+        if (hex.playerId !== fromId) continue;
+
+        hex.playerId = toId;
+        hex.color = color;
+        hex.isStart = false;
+        hex.captureTime = Date.now();
+        await redis.hset(`games:${gameId}:hexes`, hexKey, JSON.stringify(hex));
+        transferred.push(hex);
+      }
+
+      return transferred;
+    } finally {
+      this.returnRedis(redis);
+    }
+  }
+
+  /**
+   * Release every hex owned by playerId. Plain hexes are removed, terrain hexes
+   * go back to their terrain color. Upgrades are destroyed.
+   * Returns the released hexes in their new (neutral) form
+   */
+  async neutralizePlayerHexes(gameId, playerId) {
+    const redis = await this.getRedis();
+    try {
+      const hexes = await redis.hgetall(`games:${gameId}:hexes`);
+      const released = [];
+
+      for (const [hexKey, value] of Object.entries(hexes)) {
+        const hex = JSON.parse(value);
+        if (hex.playerId !== playerId) continue;
+
+        hex.playerId = null;
+        hex.color = Terrain.terrainColor(hex.terrain);
+        hex.upgrade = '';
+        hex.isStart = false;
+
+        if (hex.terrain) {
+          await redis.hset(`games:${gameId}:hexes`, hexKey, JSON.stringify(hex));
+        } else {
+          await redis.hdel(`games:${gameId}:hexes`, hexKey);
+        }
+        released.push(hex);
+      }
+
+      return released;
+    } finally {
+      this.returnRedis(redis);
+    }
+  }
+
+  // Elimination
+  async setPlayerEliminated(gameId, playerId, eliminatedBy) {
+    const redis = await this.getRedis();
+    try {
+      await redis.hset(`games:${gameId}:eliminated`, playerId, JSON.stringify({
+        playerId,
+        eliminatedBy,
+        eliminatedAt: Date.now()
+      }));
+    } finally {
+      this.returnRedis(redis);
+    }
+  }
+
   // ===== CENTRALIZED POINTS MANAGEMENT =====
   
   /**
@@ -329,6 +558,7 @@ class GameData {
    * This is the AUTHORITATIVE source for max points calculation
    */
   async calculateMaxPoints(gameId, playerId) {
+    const rules = await this.getGameRules(gameId);
     const redis = await this.getRedis();
     try {
       // Get all hexes for this player
@@ -337,14 +567,8 @@ class GameData {
         .map(hex => JSON.parse(hex))
         .filter(hex => hex.playerId === playerId);
       
-      // Count banks and total tiles
-      const bankCount = playerHexes.filter(h => h.upgrade === 'bank').length;
-      const tileCount = playerHexes.length;
-      
-      // Calculate max points: base + banks (50 each) + tiles (5 each)
-      const maxPoints = config.game.startingMaxPoints + (bankCount * 50) + (tileCount * 5);
-      
-      return maxPoints;
+      // Calculate max points: base + banks + tiles + cities
+      return computeMaxPoints(playerHexes, rules);
     } finally {
       this.returnRedis(redis);
     }
@@ -355,13 +579,14 @@ class GameData {
    * This is the AUTHORITATIVE source for getting player points
    */
   async getPlayerPoints(gameId, playerId) {
+    const rules = await this.getGameRules(gameId);
     const redis = await this.getRedis();
     try {
       const pointsData = await redis.hget(`games:${gameId}:points`, playerId);
       if (!pointsData) {
         // Initialize with default values
-        const defaultPoints = config.game.startingPoints;
-        const defaultMaxPoints = config.game.startingMaxPoints;
+        const defaultPoints = rules.startingPoints;
+        const defaultMaxPoints = rules.startingMaxPoints;
         await this.setPlayerPoints(gameId, playerId, defaultPoints, defaultMaxPoints);
         return { 
           playerId, 
@@ -512,11 +737,10 @@ class GameData {
 
   async recalcMaxPoints(gameId, playerId) {
     const hexes = await this.getAllHexes(gameId);
-    const bankCount = hexes.filter(h => h.playerId === playerId && h.upgrade === 'bank').length;
-    const tileCount = hexes.filter(h => h.playerId === playerId).length;
+    const playerHexes = hexes.filter(h => h.playerId === playerId);
     
-    // Base max points from starting value, plus banks (50 each), plus tiles (5 each)
-    const maxPoints = config.game.startingMaxPoints + (bankCount * 50) + (tileCount * 5);
+    // Base max points from starting value, plus banks, tiles and cities
+    const maxPoints = computeMaxPoints(playerHexes, await this.getGameRules(gameId));
     
     const current = await this.getPlayerPoints(gameId, playerId);
     const currentPoints = parseInt(current.points);
@@ -535,204 +759,151 @@ class GameData {
   }
 
   // Game History/Replay
-  async saveGameEvent(gameId, playerId, color, q, r, eventType = 'capture') {
+  // games:{id}:log is a stream of versioned replay events (game/ReplayLog.js),
+  // never trimmed, so a replay can rebuild the whole game
+  async appendReplayEvent(gameId, event) {
     const redis = await this.getRedis();
     try {
-      const event = {
-        gameId,
-        playerId,
-        color,
-        q: q.toString(),
-        r: r.toString(),
-        eventType,
-        timestamp: Date.now()
-      };
+      await redis.xadd(`games:${gameId}:log`, '*', 'e', JSON.stringify(event));
+    } finally {
+      this.returnRedis(redis);
+    }
+  }
+
+  // The whole log, oldest first, read in chunks. Games recorded before the
+  // stream existed fall back to the old games:{id}:events list.
+  async getReplayLog(gameId) {
+    const redis = await this.getRedis();
+    try {
+      const events = [];
+      let start = '-';
+      for (;;) {
+        const chunk = await redis.xrange(`games:${gameId}:log`, start, '+', 'COUNT', REPLAY_CHUNK);
+        chunk.forEach(([, fields]) => events.push(JSON.parse(fields[1])));
+        if (chunk.length < REPLAY_CHUNK) break;
 
-      await redis.lpush(`games:${gameId}:events`, JSON.stringify(event));
-      await redis.ltrim(`games:${gameId}:events`, 0, 9999); // Keep last 10k events
+        const [ms, seq] = chunk[chunk.length - 1][0].split('-');
+        start = `${ms}-${parseInt(seq) + 1}`;
+      }
+      if (events.length > 0) return events;
+
+      const legacy = await redis.lrange(`games:${gameId}:events`, 0, -1);
+      return fromLegacyEvents(legacy.map(event => JSON.parse(event)));
     } finally {
       this.returnRedis(redis);
     }
   }
 
-  async getGameEvents(gameId) {
+  // games:{id}:snapshots holds board snapshots scored by the number of events they cover
+  async saveReplaySnapshot(gameId, snapshot) {
     const redis = await this.getRedis();
     try {
-      const events = await redis.lrange(`games:${gameId}:events`, 0, -1);
-      return events.map(event => JSON.parse(event));
+      await redis.zadd(`games:${gameId}:snapshots`, snapshot.applied, JSON.stringify(snapshot));
     } finally {
       this.returnRedis(redis);
     }
   }
 
-  // Mountain Generation
-  async generateMountains(gameId) {
-    const { mountainChains, mountainChainLength, mountainDensity, mountainAreaSize, mountainChainSpacing, mountainZigzagChance } = config.game;
-    
-    // Track used areas to avoid overlapping chains
-    const usedAreas = new Set();
-    const chainStartPoints = [];
-    
-    // Generate well-spaced starting points for chains
-    for (let chain = 0; chain < mountainChains; chain++) {
-      let startQ, startR;
-      let attempts = 0;
-      
-      do {
-        startQ = Math.floor(Math.random() * mountainAreaSize) - Math.floor(mountainAreaSize / 2);
-        startR = Math.floor(Math.random() * mountainAreaSize) - Math.floor(mountainAreaSize / 2);
-        attempts++;
-        
-        // Check if this point is far enough from existing chain starts
-        let tooClose = false;
-        for (const existing of chainStartPoints) {
-          const distance = Math.sqrt((startQ - existing.q) ** 2 + (startR - existing.r) ** 2);
-          if (distance < mountainChainSpacing) {
-            tooClose = true;
-            break;
-          }
-        }
-        
-        if (tooClose) continue;
-      } while (attempts < 200);
-      
-      chainStartPoints.push({ q: startQ, r: startR });
+  async getReplaySnapshots(gameId) {
+    const redis = await this.getRedis();
+    try {
+      const snapshots = await redis.zrange(`games:${gameId}:snapshots`, 0, -1);
+      return snapshots.map(snapshot => JSON.parse(snapshot));
+    } finally {
+      this.returnRedis(redis);
     }
-    
-    // Generate each mountain chain as a solid line
-    for (let chain = 0; chain < chainStartPoints.length; chain++) {
-      const { q: startQ, r: startR } = chainStartPoints[chain];
-      
-      // Choose a primary direction for this chain
-      const primaryDirection = this.HEX_DIRS[Math.floor(Math.random() * this.HEX_DIRS.length)];
-      
-      let currentQ = startQ;
-      let currentR = startR;
-      
-      // Generate solid line with light zigzags
-      for (let i = 0; i < mountainChainLength; i++) {
-        // Set mountain hex
-        await this.setHex(gameId, currentQ, currentR, null, '#8B4513', null, 'mountain');
-        
-        // Very occasional small branching (for natural variation)
-        if (Math.random() < mountainDensity) {
-          const branchQ = currentQ + (Math.random() > 0.5 ? 1 : -1);
-          const branchR = currentR + (Math.random() > 0.5 ? 1 : -1);
-          await this.setHex(gameId, branchQ, branchR, null, '#8B4513', null, 'mountain');
-        }
-        
-        // Move primarily in the chosen direction with light zigzags
-        if (Math.random() < mountainZigzagChance) {
-          // Light zigzag - choose a slightly different direction
-          const zigzagDirections = this.HEX_DIRS.filter(dir => 
-            dir.q !== -primaryDirection.q || dir.r !== -primaryDirection.r
-          );
-          const zigzagDir = zigzagDirections[Math.floor(Math.random() * zigzagDirections.length)];
-          currentQ += zigzagDir.q;
-          currentR += zigzagDir.r;
-        } else {
-          // Continue in primary direction
-          currentQ += primaryDirection.q;
-          currentR += primaryDirection.r;
-        }
-      }
+  }
+
+  // A finished game as a self-contained replay file (game/ReplayFile.js), or null
+  async getReplayFile(gameId) {
+    const game = await this.getGame(gameId);
+    const result = await this.getGameResult(gameId);
+    if (!game || !result) return null;
+
+    return buildReplayFile({
+      gameId,
+      game,
+      result,
+      rules: await this.getGameRules(gameId),
+      board: await this.getBoardShape(gameId),
+      events: await this.getReplayLog(gameId),
+      snapshots: await this.getReplaySnapshots(gameId)
+    });
+  }
+
+  // Older call shape for single-hex events; details are merged into the event
+  async saveGameEvent(gameId, playerId, color, q, r, eventType = 'capture', details = null) {
+    await this.appendReplayEvent(gameId, replayEvent(eventType, { playerId, color, q, r, ...(details || {}) }));
+  }
+
+  async getGameEvents(gameId) {
+    return this.getReplayLog(gameId);
+  }
+
+  // Alliances
+  // games:{id}:alliances holds "a|b" pair keys (player ids sorted)
+
+  async setAlliance(gameId, pairKey, allied) {
+    const redis = await this.getRedis();
+    try {
+      if (allied) await redis.sadd(`games:${gameId}:alliances`, pairKey);
+      else await redis.srem(`games:${gameId}:alliances`, pairKey);
+    } finally {
+      this.returnRedis(redis);
     }
   }
 
-  // River Generation
-  async generateRivers(gameId) {
-    const { riverCount, riverLength, riverForkChance, riverForkLength, riverAreaSize, riverZigzagChance } = config.game;
-    
-    // Track used areas to avoid overlapping rivers
-    const usedAreas = new Set();
-    const riverStartPoints = [];
-    
-    // Generate well-spaced starting points for rivers
-    for (let river = 0; river < riverCount; river++) {
-      let startQ, startR;
-      let attempts = 0;
-      
-      do {
-        startQ = Math.floor(Math.random() * riverAreaSize) - Math.floor(riverAreaSize / 2);
-        startR = Math.floor(Math.random() * riverAreaSize) - Math.floor(riverAreaSize / 2);
-        attempts++;
-        
-        // Check if this point is far enough from existing river starts
-        let tooClose = false;
-        for (const existing of riverStartPoints) {
-          const distance = Math.sqrt((startQ - existing.q) ** 2 + (startR - existing.r) ** 2);
-          if (distance < 15) { // Minimum spacing between rivers
-            tooClose = true;
-            break;
-          }
-        }
-        
-        if (tooClose) continue;
-      } while (attempts < 200);
-      
-      riverStartPoints.push({ q: startQ, r: startR });
+  // Map Generation
+  // All generators are driven by a seeded PRNG so a map can be rebuilt from games:{id}:data.seed
+
+  // Write many neutral hexes (terrain and/or structures) in one round trip
+  async setTerrainHexes(gameId, terrainHexes) {
+    if (terrainHexes.length === 0) return;
+
+    const fields = {};
+    for (const { q, r, terrain, upgrade = '' } of terrainHexes) {
+      fields[`${q}:${r}`] = JSON.stringify({
+        q: q.toString(),
+        r: r.toString(),
+        playerId: null,
+        color: Terrain.terrainColor(terrain),
+        upgrade: upgrade || '',
+        upgradeTime: upgrade ? Date.now() : null,
+        terrain: terrain || '',
+        captureTime: Date.now(),
+        isStart: false
+      });
     }
-    
-    // Generate each river as a straight line with branches
-    for (let river = 0; river < riverStartPoints.length; river++) {
-      const { q: startQ, r: startR } = riverStartPoints[river];
-      
-      // Choose a primary direction for this river
-      const primaryDirection = this.HEX_DIRS[Math.floor(Math.random() * this.HEX_DIRS.length)];
-      
-      let currentQ = startQ;
-      let currentR = startR;
-      
-      // Generate main river as a straight line with light zigzags
-      for (let i = 0; i < riverLength; i++) {
-        // Set river hex
-        await this.setHex(gameId, currentQ, currentR, null, '#87CEEB', null, 'river');
-        
-        // Check if we should create a fork (branch)
-        if (Math.random() < riverForkChance && i > riverLength / 3) {
-          // Create a fork that goes in a different direction
-          const forkDirections = this.HEX_DIRS.filter(dir => 
-            dir.q !== -primaryDirection.q || dir.r !== -primaryDirection.r
-          );
-          const forkDir = forkDirections[Math.floor(Math.random() * forkDirections.length)];
-          
-          let forkQ = currentQ;
-          let forkR = currentR;
-          
-          // Generate fork branch as a straight line
-          for (let j = 0; j < riverForkLength; j++) {
-            forkQ += forkDir.q;
-            forkR += forkDir.r;
-            
-            // Light zigzag for the fork
-            if (Math.random() < riverZigzagChance) {
-              const zigzagDir = this.HEX_DIRS[Math.floor(Math.random() * this.HEX_DIRS.length)];
-              forkQ += zigzagDir.q;
-              forkR += zigzagDir.r;
-            }
-            
-            await this.setHex(gameId, forkQ, forkR, null, '#87CEEB', null, 'river');
-          }
-        }
-        
-        // Move primarily in the chosen direction with light zigzags
-        if (Math.random() < riverZigzagChance) {
-          // Light zigzag - choose a slightly different direction
-          const zigzagDirections = this.HEX_DIRS.filter(dir => 
-            dir.q !== -primaryDirection.q || dir.r !== -primaryDirection.r
-          );
-          const zigzagDir = zigzagDirections[Math.floor(Math.random() * zigzagDirections.length)];
-          currentQ += zigzagDir.q;
-          currentR += zigzagDir.r;
-        } else {
-          // Continue in primary direction
-          currentQ += primaryDirection.q;
-          currentR += primaryDirection.r;
-        }
-      }
+
+    const redis = await this.getRedis();
+    try {
+      await redis.hset(`games:${gameId}:hexes`, fields);
+    } finally {
+      this.returnRedis(redis);
     }
   }
 
+  async generateMap(gameId, seed, boardShape = null) {
+    const terrainHexes = generateMap(seed, await this.getGameRules(gameId), boardShape);
+    await this.setTerrainHexes(gameId, terrainHexes);
+    return terrainHexes;
+  }
+
+  // Lay out a hand-authored map instead of running the generators
+  async applyMapTemplate(gameId, template) {
+    const hexes = templateHexes(template);
+    await this.setTerrainHexes(gameId, hexes);
+    return hexes;
+  }
+
+  async generateMountains(gameId, rng = new SeededRandom(SeededRandom.generateSeed())) {
+    await this.setTerrainHexes(gameId, generateMountainHexes(rng, await this.getGameRules(gameId)));
+  }
+
+  async generateRivers(gameId, rng = new SeededRandom(SeededRandom.generateSeed())) {
+    await this.setTerrainHexes(gameId, generateRiverHexes(rng, await this.getGameRules(gameId)));
+  }
+
   async getHexTerrain(gameId, q, r) {
     const hex = await this.getHex(gameId, q, r);
     return hex?.terrain || null;
@@ -740,7 +911,7 @@ class GameData {
 
   async isHexPassable(gameId, q, r) {
     const hex = await this.getHex(gameId, q, r);
-    return !hex || hex.terrain !== 'mountain'; // Rivers are passable
+    return !hex || Terrain.isPassable(hex.terrain);
   }
 
   // Auto-expansion helpers
@@ -759,13 +930,13 @@ class GameData {
     return neighbors;
   }
 
-  // Check if a hex is adjacent to a river
+  // Check if a hex is adjacent to a river (any waterway terrain)
   async isAdjacentToRiver(gameId, q, r) {
     for (const dir of this.HEX_DIRS) {
       const nq = q + dir.q;
       const nr = r + dir.r;
       const hex = await this.getHex(gameId, nq, nr);
-      if (hex && hex.terrain === 'river') {
+      if (hex && Terrain.isWaterway(hex.terrain)) {
         return true;
       }
     }
@@ -785,30 +956,192 @@ class GameData {
     return false;
   }
 
+  // Map Templates
+  // Saved from the editor as JSON in maps:{name}, indexed by last update in maps:index
+
+  async saveMapTemplate(template, authorId = null) {
+    const redis = await this.getRedis();
+    try {
+      const stored = { ...template, author: authorId, updatedAt: Date.now() };
+      await redis.set(`maps:${template.name}`, JSON.stringify(stored));
+      await redis.zadd('maps:index', stored.updatedAt, template.name);
+      return stored;
+    } finally {
+      this.returnRedis(redis);
+    }
+  }
+
+  async getMapTemplate(name) {
+    const redis = await this.getRedis();
+    try {
+      const data = await redis.get(`maps:${name}`);
+      return data ? JSON.parse(data) : null;
+    } finally {
+      this.returnRedis(redis);
+    }
+  }
+
+  // Summaries of saved templates, most recently updated first
+  async listMapTemplates(limit = 100) {
+    const redis = await this.getRedis();
+    try {
+      const names = await redis.zrevrange('maps:index', 0, limit - 1);
+      const maps = [];
+      for (const name of names) {
+        const data = await redis.get(`maps:${name}`);
+        if (!data) continue;
+        const template = JSON.parse(data);
+        maps.push({
+          name: template.name,
+          board: template.board,
+          starts: template.starts.length,
+          author: template.author,
+          updatedAt: template.updatedAt
+        });
+      }
+      return maps;
+    } finally {
+      this.returnRedis(redis);
+    }
+  }
+
+  // Match history
+  // games:{id}:summaries holds one summary per human player (see game/MatchStats.js)
+  // and players:{id}:games indexes a player's finished games by end time
+
+  async saveMatchSummaries(gameId, summaries) {
+    const redis = await this.getRedis();
+    try {
+      for (const summary of summaries) {
+        const playerId = summary.playerId;
+        await redis.hset(`games:${gameId}:summaries`, playerId, JSON.stringify(summary));
+        await redis.zadd(`players:${playerId}:games`, summary.endedAt, gameId);
+        // Only the newest playerHistoryLength games stay indexed
+        await redis.zremrangebyrank(`players:${playerId}:games`, 0, -(config.game.playerHistoryLength + 1));
+      }
+    } catch (error) {
+      console.warn("Error saving match summaries:", error.message);
+    } finally {
+      this.returnRedis(redis);
+    }
+  }
+
+  // A player's most recent finished games, newest first
   async getLastGames(playerId, limit = 10) {
-    // This is a simplified implementation - in production you'd want a proper index
     const redis = await this.getRedis();
     try {
-      const gameIds = await redis.zrange('games:active', 0, -1);
+      const gameIds = await redis.zrevrange(`players:${playerId}:games`, 0, limit - 1);
       const games = [];
-      
-      for (const gameId of gameIds.slice(-limit)) {
-        const game = await this.getGame(gameId);
-        if (game) {
-          const events = await this.getGameEvents(gameId);
-          const playerEvents = events.filter(e => e.playerId === playerId);
-          if (playerEvents.length > 0) {
-            games.push({
-              gameId,
-              createdAt: game.createdAt,
-              eventCount: events.length,
-              playerEvents: playerEvents.length
-            });
+      for (const gameId of gameIds) {
+        const summary = await redis.hget(`games:${gameId}:summaries`, playerId);
+        if (summary) games.push(JSON.parse(summary));
+      }
+      return games;
+    } finally {
+      this.returnRedis(redis);
+    }
+  }
+
+  // Leaderboards
+  // leaderboards:all:{board} and leaderboards:season:{n}:{board} are sorted sets
+  // of playerId by score; leaderboards:seasons lists the seasons with any scores
+
+  async updateLeaderboards(updates, season) {
+    const redis = await this.getRedis();
+    try {
+      for (const key of ['leaderboards:all', `leaderboards:season:${season}`]) {
+        for (const { board, playerId, op, value } of updates) {
+          const boardKey = `${key}:${board}`;
+          if (op === 'incr') {
+            await redis.zincrby(boardKey, value, playerId);
+          } else if (op === 'set') {
+            await redis.zadd(boardKey, value, playerId);
+          } else if (op === 'min') {
+            const best = await redis.zscore(boardKey, playerId);
+            if (best === null || value < parseFloat(best)) await redis.zadd(boardKey, value, playerId);
           }
         }
       }
-      
-      return games.reverse();
+      if (updates.length) await redis.sadd('leaderboards:seasons', season);
+    } catch (error) {
+      console.warn("Error updating leaderboards:", error.message);
+    } finally {
+      this.returnRedis(redis);
+    }
+  }
+
+  // scope: "all" or a season number. Returns [{ rank, playerId, username, color, score }]
+  async getLeaderboard(board, scope, limit = 20, lowestFirst = false) {
+    const key = scope === 'all' ? `leaderboards:all:${board}` : `leaderboards:season:${scope}:${board}`;
+    const redis = await this.getRedis();
+    try {
+      const flat = lowestFirst
+        ? await redis.zrange(key, 0, limit - 1, 'WITHSCORES')
+        : await redis.zrevrange(key, 0, limit - 1, 'WITHSCORES');
+
+      const entries = [];
+      for (let i = 0; i < flat.length; i += 2) {
+        const player = await redis.hgetall(`players:${flat[i]}:data`);
+        entries.push({
+          rank: entries.length + 1,
+          playerId: flat[i],
+          username: player.username || flat[i],
+          color: player.color || null,
+          score: parseFloat(flat[i + 1])
+        });
+      }
+      return entries;
+    } finally {
+      this.returnRedis(redis);
+    }
+  }
+
+  async getLeaderboardSeasons() {
+    const redis = await this.getRedis();
+    try {
+      const seasons = await redis.smembers('leaderboards:seasons');
+      return seasons.map(Number).sort((a, b) => b - a);
+    } finally {
+      this.returnRedis(redis);
+    }
+  }
+
+  // Game Results
+  async finishGame(gameId, result) {
+    const redis = await this.getRedis();
+    try {
+      await redis.zrem('games:active', gameId);
+      await redis.hset(`games:${gameId}:data`,
+        'status', 'finished',
+        'finishedAt', result.endedAt,
+        'endReason', result.reason,
+        'winners', JSON.stringify(result.winners)
+      );
+      await redis.set(`games:${gameId}:result`, JSON.stringify(result));
+    } catch (error) {
+      console.warn("Error finishing game:", error.message);
+    } finally {
+      this.returnRedis(redis);
+    }
+  }
+
+  // Only a game with a recorded result can be replayed; a running game's log
+  // would show its whole board through the fog of war
+  async isGameOver(gameId) {
+    const redis = await this.getRedis();
+    try {
+      if ((await redis.hget(`games:${gameId}:data`, 'status')) === 'finished') return true;
+      return (await redis.exists(`games:${gameId}:result`)) === 1;
+    } finally {
+      this.returnRedis(redis);
+    }
+  }
+
+  async getGameResult(gameId) {
+    const redis = await this.getRedis();
+    try {
+      const result = await redis.get(`games:${gameId}:result`);
+      return result ? JSON.parse(result) : null;
     } finally {
       this.returnRedis(redis);
     }
@@ -2,15 +2,49 @@
 const { Room } = require("colyseus");
 const { GameState, Player, Hex } = require("../schemas/GameState");
 const GameData = require("../redis/GameData");
+const { buildStandings, checkVictory } = require("../game/VictoryRules");
+const { computeMaxPoints, computeIncome, cityCostMultiplier } = require("../game/Economy");
+const { CaptureRules } = require("../game/CaptureRules");
+const { SeededRandom } = require("../game/SeededRandom");
+const { getTerrain, describeTerrainTypes, isPassable } = require("../game/Terrain");
+const { BoardShape } = require("../game/BoardShape");
+const { START_MODES, startCandidates, pickSpreadStarts } = require("../game/StartPlacement");
+const { visibleKeys, hexView, fogHexes } = require("../game/Visibility");
+const { AllianceBook, pairKey } = require("../game/Diplomacy");
+const { isTeamMode } = require("../game/Teams");
+const { isRulePreset, resolveRules } = require("../game/RulePresets");
+const { rateGame } = require("../game/Rating");
+const { MatchStats, summarizeMatch } = require("../game/MatchStats");
+const { leaderboardUpdates, seasonAt } = require("../game/Leaderboards");
+const { replayEvent, ReplayBoard, snapshotDue } = require("../game/ReplayLog");
+const { BOT_DIFFICULTIES, isBotId, frontierHexes, sampleFrontier, planCaptures, planUpgrade } = require("../game/BotPlanner");
 const config = require("../config");
 
 class RedisGameRoom extends Room {
-  onCreate(options) {
+  async onCreate(options) {
     this.gameData = new GameData();
     this.verifyPlayer = options.verifyPlayer;
     this.allowedPlayerIds = new Set(options.allowedPlayerIds || []);
     this.gameId = this.roomId;
     this.autoDispose = false;
+    this.eliminatedPlayerIds = new Set();
+
+    // Spectators watch live without a seat, so they are kept out of GameState.players
+    // (eliminated players watching on are still players, flagged with player.spectator)
+    this.spectators = new Map(); // sessionId -> { playerId, username }
+    const seats = (options.startPlayers || []).filter(p => !p.bot).length;
+    this.maxClients = Math.max(2, seats) + config.game.maxSpectators;
+
+    // Timing, costs, income and map generation come from the lobby's rule preset
+    this.rulePreset = isRulePreset(options.rulePreset) ? options.rulePreset : config.game.rulePreset;
+    this.rules = resolveRules(config.game, this.rulePreset);
+    this.ranked = !!options.ranked; // matched from the lobby's ranked queue
+    this.matchStats = new MatchStats(); // captures, upgrades and peak tiles for the match summaries
+
+    // The replay log as recorded so far, snapshotted every so often for seeking
+    this.replayBoard = new ReplayBoard();
+    this.lastSnapshot = null;
+    this.replayQueue = Promise.resolve();
 
     // Initialize state
     this.setState(new GameState());
@@ -19,27 +53,150 @@ class RedisGameRoom extends Room {
     this.state.gameStarted = true;
     this.state.lastUpdateTime = Date.now();
 
-    // Generate mountains for this game
-    this.gameData.generateMountains(this.gameId);
+    // A named map template replaces the random generators
+    this.mapTemplate = null;
+    if (typeof options.mapTemplate === "string" && options.mapTemplate) {
+      this.mapTemplate = await this.gameData.getMapTemplate(options.mapTemplate);
+      if (!this.mapTemplate) {
+        console.warn(`⚠️ Map template "${options.mapTemplate}" not found, generating a random map`);
+      }
+    }
+    this.startPositions = this.mapTemplate ? this.mapTemplate.starts : [];
+
+    // Register the game and generate its terrain from a seed so the map can be reproduced
+    this.seed = typeof options.seed === "string" && options.seed.trim()
+      ? options.seed.trim().slice(0, 32)
+      : SeededRandom.generateSeed();
+    this.board = BoardShape.from(this.mapTemplate?.board || options.board || this.rules.boardShape);
+
+    // Teams come from the lobby: teammates keep their palette color, share vision and win together
+    this.teamMode = isTeamMode(options.teamMode) ? options.teamMode : "ffa";
+    this.teams = new Map(); // playerId -> team
+    this.teamColors = new Map(); // playerId -> palette color
+    if (this.teamMode !== "ffa") {
+      (options.startPlayers || []).forEach(p => {
+        if (!Number.isInteger(p.team)) return;
+        this.teams.set(p.playerId, p.team);
+        this.teamColors.set(p.playerId, p.color);
+      });
+    }
+
+    await this.gameData.createGame(this.gameId, options.startPlayers || [], {
+      seed: this.seed,
+      board: this.board.toJSON(),
+      mapTemplate: this.mapTemplate?.name,
+      teamMode: this.teamMode,
+      teams: Object.fromEntries(this.teams),
+      rulePreset: this.rulePreset,
+      rules: this.rules,
+      ranked: this.ranked
+    });
+    const terrainHexes = this.mapTemplate
+      ? await this.gameData.applyMapTemplate(this.gameId, this.mapTemplate)
+      : await this.gameData.generateMap(this.gameId, this.seed, this.board);
+
+    // The replay log opens with everything needed to lay the board out again
+    await this.logEvent("game-start", {
+      seed: this.seed,
+      mapTemplate: this.mapTemplate?.name || null,
+      board: this.board.toJSON(),
+      rulePreset: this.rulePreset,
+      teamMode: this.teamMode,
+      map: terrainHexes.map(h => [h.q, h.r, h.terrain || "", h.upgrade || ""]),
+      players: (options.startPlayers || []).map(p => ({
+        playerId: p.playerId,
+        username: p.username || "",
+        color: p.color || null,
+        team: Number.isInteger(p.team) ? p.team : null,
+        bot: !!p.bot
+      }))
+    });
+
+    // Capturable hexes on the board, used as the map control denominator
+    this.playableTiles = this.board.size - terrainHexes.filter(h => !isPassable(h.terrain)).length;
+
+    // Start placement: in balanced mode every expected player gets a reserved, spread out slot.
+    // In both modes anyone still without a start when the window closes is placed automatically.
+    this.startAssignment = START_MODES.includes(options.startAssignment)
+      ? options.startAssignment
+      : this.rules.startAssignment;
+    this.startRng = new SeededRandom(`${this.seed}:starts`);
+    this.startSlots = [];
+    if (this.startAssignment === "balanced" && options.startPlayers?.length) {
+      const candidates = startCandidates(this.board, terrainHexes, this.rules, this.startPositions);
+      this.startSlots = pickSpreadStarts(candidates, [], options.startPlayers.length, this.startRng);
+    }
+    this.startAssignQueue = Promise.resolve();
+
+    // Fog of war: GameState.hexes stays empty and hexes are only sent to players who can see them
+    this.fogOfWar = typeof options.fogOfWar === "boolean" ? options.fogOfWar : !!this.rules.fogOfWar;
+    this.visibleHexes = new Map(); // playerId -> Set of "q,r"
 
-    // Generate rivers for this game
-    this.gameData.generateRivers(this.gameId);
+    // Diplomacy (team games have fixed sides)
+    this.alliancesEnabled = !this.teams.size &&
+      (typeof options.alliances === "boolean" ? options.alliances : !!this.rules.alliances);
+    this.alliances = new AllianceBook();
+    this.startWindowTimeout = setTimeout(() => this.assignMissingStarts(), this.rules.startDelay);
 
     // Auto-expansion interval
     this.autoExpandInterval = null;
     this.startAutoExpand();
 
-    // Message handlers
-    this.onMessage("fillHex", (client, data) => this.handleFillHex(client, data));
-    this.onMessage("chooseStart", (client, data) => this.handleChooseStart(client, data));
+    // Victory check interval
+    this.victoryCheckInterval = null;
+    this.gameOverTimeout = null;
+    this.startVictoryCheck();
+
+    // Message handlers (actions are frozen once the game is over)
+    this.onMessage("fillHex", this.guardAction((client, data) => this.handleFillHex(client, data)));
+    this.onMessage("chooseStart", this.guardAction((client, data) => this.handleChooseStart(client, data)));
     this.onMessage("requestHoverCost", (client, data) => this.handleRequestHoverCost(client, data));
-    this.onMessage("upgradeHex", (client, data) => this.handleUpgradeHex(client, data));
-    this.onMessage("batchFillHex", (client, data) => this.handleBatchFillHex(client, data));
-    this.onMessage("batchUpgradeHex", (client, data) => this.handleBatchUpgradeHex(client, data));
+    this.onMessage("upgradeHex", this.guardAction((client, data) => this.handleUpgradeHex(client, data)));
+    this.onMessage("batchFillHex", this.guardAction((client, data) => this.handleBatchFillHex(client, data)));
+    this.onMessage("batchUpgradeHex", this.guardAction((client, data) => this.handleBatchUpgradeHex(client, data)));
     this.onMessage("requestPointsUpdate", (client, data) => this.handleRequestPointsUpdate(client, data));
-    this.onMessage("clickHex", (client, data) => this.handleClickHex(client, data));
+    this.onMessage("clickHex", this.guardAction((client, data) => this.handleClickHex(client, data)));
+    this.onMessage("proposeAlliance", this.guardAction((client, data) => this.handleProposeAlliance(client, data)));
+    this.onMessage("acceptAlliance", this.guardAction((client, data) => this.handleAcceptAlliance(client, data)));
+    this.onMessage("declineAlliance", this.guardAction((client, data) => this.handleDeclineAlliance(client, data)));
+    this.onMessage("breakAlliance", this.guardAction((client, data) => this.handleBreakAlliance(client, data)));
+
+    // Bots picked in the lobby join straight away
+    this.bots = new Map(); // playerId -> { client, player, difficulty, rng, timer, busy }
+    for (const profile of (options.startPlayers || []).filter(p => p.bot)) {
+      await this.addBot(profile);
+    }
+
+    console.log(`🎮 RedisGameRoom created: ${this.gameId} (${this.mapTemplate ? `map ${this.mapTemplate.name}` : `seed ${this.seed}`})`);
+  }
+
+  // Append to the game's replay log (game/ReplayLog.js). Events are applied and
+  // written in call order, so the stored log and its snapshots always agree.
+  logEvent(type, data) {
+    const event = replayEvent(type, data);
+    this.replayBoard.apply(event);
+
+    let snapshot = null;
+    if (snapshotDue(this.replayBoard, this.lastSnapshot, this.rules, this.replayBoard.info?.t ?? event.t)) {
+      snapshot = this.lastSnapshot = this.replayBoard.snapshot();
+    }
+
+    this.replayQueue = this.replayQueue.then(async () => {
+      await this.gameData.appendReplayEvent(this.gameId, event);
+      if (snapshot) await this.gameData.saveReplaySnapshot(this.gameId, snapshot);
+    }).catch(e => console.error("Failed to record replay event:", e));
+    return this.replayQueue;
+  }
 
-    console.log(`🎮 RedisGameRoom created: ${this.gameId}`);
+  // Wrap an action handler so it is ignored after the game has ended
+  // or when sent by an eliminated player or a spectator
+  guardAction(handler) {
+    return (client, data) => {
+      if (this.state.gameOver || this.spectators.has(client.sessionId)) return;
+      const player = this.state.players.get(client.sessionId);
+      if (player && player.spectator) return;
+      return handler(client, data);
+    };
   }
 
   getNeighborCoords(q, r) {
@@ -62,6 +219,7 @@ class RedisGameRoom extends Room {
         }
 
         const allHexes = await this.gameData.getAllHexes(this.gameId);
+        const rules = new CaptureRules(allHexes, this.board, this.areAllied, this.sameTeam);
         
         // Build candidate set
         const candidateSet = new Set();
@@ -71,112 +229,43 @@ class RedisGameRoom extends Room {
           });
         });
 
+        // Every candidate is judged against the board as it was at the start of the round
         const toCapture = [];
-        
         for (const key of candidateSet) {
-          const [qStr, rStr] = key.split(",");
-          const q = parseInt(qStr);
-          const r = parseInt(rStr);
-
-          const neighborOwners = await this.gameData.getNeighborOwners(this.gameId, q, r);
-          
-          // Find player with max neighbors
-          let maxPlayer = null;
-          let maxCount = 0;
-          let tie = false;
-          
-          Object.entries(neighborOwners).forEach(([pid, cnt]) => {
-            if (cnt > maxCount) {
-              maxCount = cnt;
-              maxPlayer = pid;
-              tie = false;
-            } else if (cnt === maxCount && cnt > 0) {
-              tie = true;
-            }
-          });
-
-          if (maxPlayer && !tie && maxCount >= config.game.autoCaptureThreshold) {
-            const occupied = await this.gameData.getHexOwner(this.gameId, q, r);
-            const currentOwner = occupied?.playerId || null;
-
-            if (currentOwner === maxPlayer) continue;
-
-            let allowCapture = !currentOwner;
-
-            if (currentOwner && currentOwner !== maxPlayer) {
-              const neighborsHexes = await Promise.all(
-                this.getNeighborCoords(q, r).map(n => this.gameData.getHexOwner(this.gameId, n.q, n.r))
-              );
-              const fullyEnclosed = neighborsHexes.every(n => n && n.playerId === maxPlayer);
-              
-              // Check for river exception: if hex is adjacent to river and player has river access
-              const isAdjacentToRiver = await this.gameData.isAdjacentToRiver(this.gameId, q, r);
-              const playerHasRiverAccess = await this.gameData.playerHasRiverAccess(this.gameId, maxPlayer);
-              const riverException = isAdjacentToRiver && playerHasRiverAccess;
-              
-              allowCapture = fullyEnclosed || riverException;
-            }
-
-            if (!allowCapture) continue;
-
-            // Fort protection check
-            const neighborsHexes = await Promise.all(
-              this.getNeighborCoords(q, r).map(n => this.gameData.getHexOwner(this.gameId, n.q, n.r))
-            );
-
-            const fortProtected =
-              (occupied && occupied.upgrade === "fort" && currentOwner !== maxPlayer) ||
-              neighborsHexes.some(n => n && n.upgrade === "fort" && n.playerId !== maxPlayer);
-
-            if (fortProtected) continue;
-
-            // Mountain check
-            if (!(await this.gameData.isHexPassable(this.gameId, q, r))) continue;
-
-            toCapture.push({ q, r, attackerId: maxPlayer, prevOwnerId: currentOwner });
-          }
+          const [q, r] = key.split(",").map(Number);
+          const capture = rules.evaluateAutoCapture(q, r, this.rules.autoCaptureThreshold);
+          if (capture) toCapture.push({ q, r, ...capture });
         }
 
-        // Apply captures
+        // Apply captures, dropping any the round has overtaken: the game ended, the
+        // attacker was eliminated or the hex changed hands since the snapshot
         for (const cap of toCapture) {
+          if (this.state.gameOver) break;
           const { q, r, attackerId, prevOwnerId } = cap;
+          if (this.eliminatedPlayerIds.has(attackerId)) continue;
+          const occupied = await this.gameData.getHexOwner(this.gameId, q, r);
+          if ((occupied?.playerId || null) !== (prevOwnerId || null)) continue;
 
-          let attackerColor = this.state.players.get(attackerId)?.color;
+          let attackerColor = this.getGamePlayers().find(p => p.id === attackerId)?.color;
           if (!attackerColor) {
             const attackerHex = allHexes.find(h => h.playerId === attackerId);
             attackerColor = attackerHex?.color || "#5865f2";
           }
 
-                     await this.gameData.setHex(this.gameId, q, r, attackerId, attackerColor);
-           await this.gameData.saveGameEvent(this.gameId, attackerId, attackerColor, q, r, 'auto-capture');
-
-           // Update state
-           const hex = new Hex();
-           hex.q = q.toString();
-           hex.r = r.toString();
-           hex.color = attackerColor;
-           hex.playerId = attackerId;
-           hex.captureTime = Date.now();
-           this.state.hexes.set(`${q},${r}`, hex);
-
-                       // Broadcast auto-capture to all clients
-            this.broadcast("update", {
-              q: q,
-              r: r,
-              color: attackerColor,
-              crown: false,
-              upgrade: hex.upgrade || null,
-              terrain: hex.terrain || null
-            });
-
-           // Recalculate points for affected players
-           if (prevOwnerId && prevOwnerId !== attackerId) {
-             await this.recalculatePlayerPoints(prevOwnerId);
-           }
-           await this.recalculatePlayerPoints(attackerId, true); // Broadcast after auto-capture
-
-           console.log(`Auto-capture: ${attackerId} captured ${q},${r} (prevOwner=${prevOwnerId || 'none'})`);
+          await this.captureHex(attackerId, attackerColor, q, r, occupied, 'auto-capture');
+
+          // Recalculate points for affected players
+          if (prevOwnerId && prevOwnerId !== attackerId) {
+            await this.recalculatePlayerPoints(prevOwnerId);
+          }
+          await this.recalculatePlayerPoints(attackerId, true); // Broadcast after auto-capture
+
+          console.log(`Auto-capture: ${attackerId} captured ${q},${r} (prevOwner=${prevOwnerId || 'none'})`);
+
+          await this.handleCrownCapture(occupied, attackerId);
         }
+
+        if (toCapture.length && !this.state.gameOver) await this.refreshVisibility();
       } catch (err) {
         console.error("AutoExpand error:", err);
         // If we get a connection error, stop the auto-expansion
@@ -185,16 +274,22 @@ class RedisGameRoom extends Room {
           clearInterval(this.autoExpandInterval);
         }
       }
-    }, config.game.autoExpandInterval);
+    }, this.rules.autoExpandInterval);
   }
 
   async computeCost(attackerPlayerId, q, r) {
     const occupied = await this.gameData.getHexOwner(this.gameId, q, r);
     
     if (occupied && occupied.playerId === attackerPlayerId) return null;
+    if (occupied && this.areAllied(attackerPlayerId, occupied.playerId)) return null; // allies can't attack each other
 
-    const attackerHexCount = await this.gameData.getHexCountForPlayer(this.gameId, attackerPlayerId);
-    const expansionCost = config.game.hexValue + Math.floor(config.game.expGrowth * Math.log2(attackerHexCount + 2));
+    const attackerHexes = await this.gameData.getPlayerHexes(this.gameId, attackerPlayerId);
+    const attackerHexCount = attackerHexes.length;
+    let expansionCost = this.rules.hexValue + Math.floor(this.rules.expGrowth * Math.log2(attackerHexCount + 2));
+
+    // Cities make nearby expansion cheaper, terrain makes it cheaper or dearer
+    const terrain = getTerrain(occupied?.terrain);
+    expansionCost = Math.max(1, Math.floor(expansionCost * cityCostMultiplier(attackerHexes, q, r, this.rules) * terrain.costMultiplier));
     let cost = expansionCost;
 
     // Check if this hex is adjacent to a river
@@ -213,7 +308,7 @@ class RedisGameRoom extends Room {
       const defenderPoints = parseInt((await this.gameData.getPlayerPoints(this.gameId, defPlayerId))?.points || 0);
 
       let defenderStrength = (1 + defenderPoints / defenderHexCount) *
-                            (defenderHexCount * (config.game.hexValue + 0.5));
+                            (defenderHexCount * (this.rules.hexValue + 0.5));
 
       // Fort defense buff
       const neighbors = this.getNeighborCoords(q, r);
@@ -225,7 +320,9 @@ class RedisGameRoom extends Room {
         defenderStrength *= 2;
       }
 
-      let attackCost = expansionCost + config.game.occupiedBase + Math.floor(config.game.attackMult * Math.sqrt(defenderStrength));
+      defenderStrength *= terrain.defenseBonus;
+
+      let attackCost = expansionCost + this.rules.occupiedBase + Math.floor(this.rules.attackMult * Math.sqrt(defenderStrength));
       cost = Math.max(cost, attackCost);
     }
 
@@ -238,6 +335,12 @@ class RedisGameRoom extends Room {
     
     const q = Math.floor(data?.q ?? 0);
     const r = Math.floor(data?.r ?? 0);
+    if (!this.board.contains(q, r)) return client.send("hoverCost", { q, r, cost: null });
+
+    // No peeking at the defenses of hexes hidden by the fog
+    const player = this.state.players.get(client.sessionId);
+    if (!this.canSee(player, `${q},${r}`)) return client.send("hoverCost", { q, r, cost: null });
+
     const cost = await this.computeCost(playerId, q, r);
     client.send("hoverCost", { q, r, cost });
   }
@@ -250,11 +353,23 @@ class RedisGameRoom extends Room {
       return;
     }
 
+    if (options?.spectate) {
+      await this.addSpectator(client, playerId);
+      return;
+    }
+
     if (this.allowedPlayerIds.size > 0 && !this.allowedPlayerIds.has(playerId)) {
       client.leave(1003, "not allowed in this lobby");
       return;
     }
 
+    // A spectator tab opened before joining would keep seeing through the fog
+    if (this.fogOfWar && !this.state.gameOver && !this.eliminatedPlayerIds.has(playerId)) {
+      this.clients
+        .filter(c => this.spectators.get(c.sessionId)?.playerId === playerId)
+        .forEach(c => c.leave(1003, "players cannot spectate their own game under fog of war"));
+    }
+
     // Cancel cleanup timeout if someone is rejoining
     if (this.cleanupTimeout) {
       console.log(`⏸ RedisGameRoom ${this.gameId} cleanup cancelled - player ${playerId} rejoined`);
@@ -280,13 +395,15 @@ class RedisGameRoom extends Room {
     const player = existingPlayer || new Player();
     player.id = playerId;
     player.username = playerData.username;
-    player.color = playerData.color;
+    player.color = this.teamColors.get(playerId) || playerData.color;
+    player.team = this.teams.has(playerId) ? this.teams.get(playerId) : -1;
     player.points = parseInt(playerPoints.points);
     player.maxPoints = parseInt(playerPoints.maxPoints);
     player.tiles = parseInt(playerPoints.tiles);
     player.started = !!(playerPoints.startQ && playerPoints.startR);
     player.lastSeen = Date.now();
     player.disconnected = false; // Mark as connected
+    player.spectator = this.eliminatedPlayerIds.has(playerId);
 
     this.state.players.set(client.sessionId, player);
     this.state.lastUpdateTime = Date.now();
@@ -297,41 +414,128 @@ class RedisGameRoom extends Room {
     if (!existingPlayer) {
       await this.gameData.addPlayerToGame(this.gameId, playerId);
     }
+    await this.logEvent("join", { playerId, username: player.username, color: player.color, bot: false });
 
     // Send initial data
     client.send("assignedColor", { color: player.color });
-    client.send("lobbyStartTime", { ts: this.state.lobbyStartTime, startDelay: config.game.startDelay });
+    this.sendMapInfo(client);
 
     // Send hex history - this is critical for syncing
     const hexes = await this.gameData.getAllHexes(this.gameId);
-    const historyWithCrowns = hexes.map(h => ({
-      q: parseInt(h.q),
-      r: parseInt(h.r),
-      color: h.color,
-      crown: !!(h.isStart),
-      upgrade: h.upgrade || null,
-      terrain: h.terrain || null
-    }));
+    this.sendHistory(client, player, hexes);
 
-    client.send("history", historyWithCrowns);
+    // Balanced games place players right away; late joiners are placed once the window has closed
+    if (!player.started && !player.spectator && !this.state.gameOver &&
+        (this.startAssignment === "balanced" || this.isStartWindowClosed())) {
+      await this.assignStart(player);
+    }
 
     // Send points update
+    const playerHexes = hexes.filter(h => h.playerId === playerId);
     client.send("pointsUpdate", {
       playerId,
       points: player.points,
       tiles: player.tiles,
-      maxPoints: player.maxPoints
+      maxPoints: player.maxPoints,
+      income: computeIncome(playerHexes, this.rules)
     });
 
+    // Everyone's roster gains the new player; the newcomer gets the current alliances
+    this.broadcast("lobbyRoster", this.rosterList());
+    client.send("allianceUpdate", { alliances: this.alliances.toJSON(), enabled: this.alliancesEnabled });
+    client.send("spectators", this.spectatorList());
+
+    // Eliminated players reconnect as spectators
+    if (player.spectator) {
+      client.send("playerEliminated", { playerId, eliminatedBy: player.eliminatedBy });
+    }
+
+    // Players reconnecting after the end still get the final standings
+    if (this.state.gameOver && this.gameResult) {
+      client.send("gameOver", this.gameResult);
+    }
+
     // Start point tick if not already running
-    if (!this.playerTickInterval) {
-      setTimeout(() => this.startPointTick(), config.game.startDelay + 100);
+    if (!this.playerTickInterval && !this.pointTickTimeout && !this.state.gameOver) {
+      this.pointTickTimeout = setTimeout(() => this.startPointTick(), this.rules.startDelay + 100);
     }
 
     console.log(`👤 Player ${playerId} joined RedisGameRoom ${this.gameId} color=${player.color}`);
   }
 
+  // Board, terrain and start rules for a newly joined client
+  sendMapInfo(client) {
+    client.send("lobbyStartTime", { ts: this.state.lobbyStartTime, startDelay: this.rules.startDelay });
+    client.send("mapInfo", {
+      seed: this.seed,
+      mapTemplate: this.mapTemplate?.name || null,
+      starts: this.startPositions,
+      startAssignment: this.startAssignment,
+      rulePreset: this.rulePreset,
+      upgradeCosts: { bank: this.rules.upgradeBankCost, fort: this.rules.upgradeFortCost, city: this.rules.upgradeCityCost },
+      terrain: describeTerrainTypes(),
+      board: { shape: this.board.toJSON(), cells: this.board.cells().map(({ q, r }) => [q, r]) }
+    });
+  }
+
+  rosterList() {
+    return this.getGamePlayers().map(p => ({
+      playerId: p.id,
+      username: p.username,
+      color: p.color,
+      team: p.team >= 0 ? p.team : null,
+      bot: p.bot
+    }));
+  }
+
+  spectatorList() {
+    return Array.from(this.spectators.values());
+  }
+
+  // Spectators see through the fog, so nobody still playing a fogged game may spectate it
+  isFogBypass(playerId) {
+    if (!this.fogOfWar || this.state.gameOver || this.eliminatedPlayerIds.has(playerId)) return false;
+    return this.allowedPlayerIds.has(playerId) ||
+      Array.from(this.state.players.values()).some(p => p.id === playerId);
+  }
+
+  // Spectators get the whole board (fog never applies to them) and every update after it,
+  // but have no Player, so every action handler ignores them
+  async addSpectator(client, playerId) {
+    if (this.isFogBypass(playerId)) {
+      client.leave(1003, "players cannot spectate their own game under fog of war");
+      return;
+    }
+    if (this.spectators.size >= config.game.maxSpectators) {
+      client.leave(1003, "spectator limit reached");
+      return;
+    }
+
+    const playerData = await this.gameData.getPlayer(playerId);
+    this.spectators.set(client.sessionId, { playerId, username: playerData?.username || playerId });
+
+    client.send("spectating", { gameId: this.gameId });
+    this.sendMapInfo(client);
+    this.sendHistory(client, null, await this.gameData.getAllHexes(this.gameId));
+    client.send("lobbyRoster", this.rosterList());
+    client.send("allianceUpdate", { alliances: this.alliances.toJSON(), enabled: false });
+    if (this.state.gameOver && this.gameResult) {
+      client.send("gameOver", this.gameResult);
+    }
+
+    this.broadcast("spectators", this.spectatorList());
+    console.log(`👁 Spectator ${playerId} is watching RedisGameRoom ${this.gameId}`);
+  }
+
   async onLeave(client) {
+    const spectator = this.spectators.get(client.sessionId);
+    if (spectator) {
+      this.spectators.delete(client.sessionId);
+      this.broadcast("spectators", this.spectatorList());
+      console.log(`👁 Spectator ${spectator.playerId} stopped watching ${this.gameId}`);
+      return;
+    }
+
     const playerId = this.getPlayerIdBySession(client.sessionId);
     if (playerId) {
       console.log(`⏸ Player ${playerId} left (session ${client.sessionId}) but kept in game for reconnect`);
@@ -343,10 +547,11 @@ class RedisGameRoom extends Room {
     if (player) {
       player.disconnected = true;
       player.lastSeen = Date.now();
+      await this.logEvent("leave", { playerId: player.id });
     }
 
     // Count only connected players
-    const connectedPlayers = Array.from(this.state.players.values()).filter(p => !p.disconnected);
+    const connectedPlayers = Array.from(this.state.players.values()).filter(p => !p.disconnected && !p.bot);
 
     if (connectedPlayers.length === 0) {
       console.log(`⏳ RedisGameRoom ${this.gameId} is empty, starting 60-second cleanup buffer...`);
@@ -359,12 +564,17 @@ class RedisGameRoom extends Room {
       // Set 60-second timeout before cleanup
       this.cleanupTimeout = setTimeout(async () => {
         // Count connected players again after timeout
-        const stillConnectedPlayers = Array.from(this.state.players.values()).filter(p => !p.disconnected);
+        const stillConnectedPlayers = Array.from(this.state.players.values()).filter(p => !p.disconnected && !p.bot);
         
         if (stillConnectedPlayers.length === 0) { // Double-check room is still empty
           console.log(`🏁 RedisGameRoom ${this.gameId} cleanup timeout reached - room will be disposed naturally`);
           
           // Clean up intervals
+          this.stopBots();
+          if (this.pointTickTimeout) {
+            clearTimeout(this.pointTickTimeout);
+            this.pointTickTimeout = null;
+          }
           if (this.playerTickInterval) {
             clearInterval(this.playerTickInterval);
             this.playerTickInterval = null;
@@ -373,13 +583,20 @@ class RedisGameRoom extends Room {
             clearInterval(this.autoExpandInterval);
             this.autoExpandInterval = null;
           }
+          if (this.victoryCheckInterval) {
+            clearInterval(this.victoryCheckInterval);
+            this.victoryCheckInterval = null;
+          }
           
           // Remove all players from game before closing
           for (const [sessionId, player] of this.state.players.entries()) {
             await this.gameData.removePlayerFromGame(this.gameId, player.id);
           }
           
-          await this.gameData.closeGame(this.gameId);
+          // A finished game already has its result stored - don't overwrite its status
+          if (!this.state.gameOver) {
+            await this.gameData.closeGame(this.gameId);
+          }
           
           // Mark room as ready for disposal but don't force it
           // Colyseus will dispose the room naturally since no players are connected
@@ -411,12 +628,27 @@ class RedisGameRoom extends Room {
     const player = this.state.players.get(client.sessionId);
     if (!player || player.started) return;
 
-    const nowTs = Date.now();
-    if (nowTs > this.state.lobbyStartTime + config.game.startDelay) return;
+    if (this.isStartWindowClosed()) return;
 
     const q = Math.floor(data?.q ?? 0);
     const r = Math.floor(data?.r ?? 0);
 
+    if (this.startAssignment === "balanced") {
+      client.send("fillResult", { q, r, ok: false, reason: "assigned" });
+      return;
+    }
+
+    if (!this.board.contains(q, r)) {
+      client.send("fillResult", { q, r, ok: false, reason: "out_of_bounds" });
+      return;
+    }
+
+    // Templates with start positions only allow starting on one of them
+    if (this.startPositions.length && !this.startPositions.some(s => s.q === q && s.r === r)) {
+      client.send("fillResult", { q, r, ok: false, reason: "not_start" });
+      return;
+    }
+
     // Check if hex is already occupied
     const occupied = await this.gameData.getHexOwner(this.gameId, q, r);
     if (occupied && occupied.playerId) {
@@ -429,9 +661,24 @@ class RedisGameRoom extends Room {
       return;
     }
 
+    await this.placeStart(player, q, r, occupied);
+
+    // Send success response to the client
+    client.send("fillResult", { q, r, ok: true });
+  }
+
+  isStartWindowClosed() {
+    return Date.now() > this.state.lobbyStartTime + this.rules.startDelay;
+  }
+
+  // Crown a player's start hex. Terrain on the hex is kept.
+  async placeStart(player, q, r, occupied, eventType = 'start') {
+    const playerId = player.id;
+    const terrain = occupied?.terrain || null;
+
     // Set the starting hex
-    await this.gameData.setHex(this.gameId, q, r, playerId, player.color, null, null, true);
-    await this.gameData.saveGameEvent(this.gameId, playerId, player.color, q, r, 'start');
+    await this.gameData.setHex(this.gameId, q, r, playerId, player.color, null, terrain, true);
+    await this.logEvent("start", { playerId, color: player.color, q, r, assigned: eventType !== 'start' });
 
     // Set start coordinates for player
     const currentPoints = await this.gameData.getPlayerPoints(this.gameId, playerId);
@@ -444,17 +691,15 @@ class RedisGameRoom extends Room {
     hex.color = player.color;
     hex.playerId = playerId;
     hex.isCrown = true;
+    hex.terrain = terrain || '';
     hex.captureTime = Date.now();
-    this.state.hexes.set(`${q},${r}`, hex);
+    this.setStateHex(`${q},${r}`, hex);
 
     player.started = true;
     this.state.lastUpdateTime = Date.now();
 
-    // Send success response to the client
-    client.send("fillResult", { q, r, ok: true });
-
     // Broadcast hex update to all clients
-    this.broadcast("update", {
+    this.broadcastHexUpdate({
       q: parseInt(hex.q),
       r: parseInt(hex.r),
       color: hex.color,
@@ -464,6 +709,55 @@ class RedisGameRoom extends Room {
     });
 
     await this.recalculatePlayerPoints(playerId);
+    await this.refreshVisibility();
+  }
+
+  /**
+   * Place a player automatically: their reserved balanced slot if it is still
+   * free, otherwise the free hex farthest from every other start.
+   * Assignments are queued so two players never get the same hex.
+   */
+  assignStart(player) {
+    this.startAssignQueue = this.startAssignQueue.then(async () => {
+      if (player.started || player.spectator || this.state.gameOver) return;
+
+      const hexes = await this.gameData.getAllHexes(this.gameId);
+      const byKey = new Map(hexes.map(h => [`${h.q},${h.r}`, h]));
+      const isFree = ({ q, r }) => !byKey.get(`${q},${r}`)?.playerId;
+
+      let start = this.startSlots.find(isFree);
+      if (start) {
+        this.startSlots = this.startSlots.filter(s => s !== start);
+      } else {
+        const taken = hexes
+          .filter(h => h.isStart === true || h.isStart === "true")
+          .map(h => ({ q: parseInt(h.q), r: parseInt(h.r) }));
+        const candidates = startCandidates(this.board, hexes, this.rules, this.startPositions);
+        [start] = pickSpreadStarts(candidates, taken, 1, this.startRng);
+      }
+
+      if (!start) {
+        console.warn(`⚠️ No free start hex left for player ${player.id}`);
+        return;
+      }
+
+      await this.placeStart(player, start.q, start.r, byKey.get(`${start.q},${start.r}`), 'assign-start');
+
+      this.clientsOf(player.id).forEach(client => client.send("startAssigned", { q: start.q, r: start.r }));
+      console.log(`🚩 Player ${player.id} assigned start ${start.q},${start.r}`);
+    }).catch(err => console.error("Start assignment error:", err));
+
+    return this.startAssignQueue;
+  }
+
+  // Start window closed: place every connected player who has not picked a start
+  async assignMissingStarts() {
+    this.startWindowTimeout = null;
+    for (const player of this.getGamePlayers()) {
+      if (!player.started && !player.spectator && !player.disconnected) {
+        await this.assignStart(player);
+      }
+    }
   }
 
   async handleFillHex(client, data) {
@@ -476,63 +770,26 @@ class RedisGameRoom extends Room {
     const q = Math.floor(data?.q ?? 0);
     const r = Math.floor(data?.r ?? 0);
 
-    if (!(await this.gameData.isHexPassable(this.gameId, q, r))) {
-      client.send("fillResult", { q, r, ok: false, reason: "impassable" });
-      return;
-    }
-
-    const occupied = await this.gameData.getHexOwner(this.gameId, q, r);
-
-    if (occupied && occupied.playerId === playerId) {
-      client.send("openOwnedTileMenu", { q, r, upgrade: occupied.upgrade || null });
-      return;
-    }
-
-    const currentPoints = parseInt((await this.gameData.getPlayerPoints(this.gameId, playerId)).points);
-    const cost = await this.computeCost(playerId, q, r);
+    const rules = await this.loadCaptureRules();
+    const result = await this.tryCapture(playerId, player, q, r, rules);
 
-    if (cost === null || currentPoints < cost) {
-      client.send("fillResult", { q, r, ok: false, reason: "insufficient" });
+    if (!result.ok && result.reason === "already_owned") {
+      client.send("openOwnedTileMenu", { q, r, upgrade: result.occupied.upgrade || null });
       return;
     }
 
-    await this.gameData.updatePlayerPoints(this.gameId, playerId, currentPoints - cost);
-    const prevOwnerId = occupied && occupied.playerId ? occupied.playerId : null;
-
-    await this.gameData.setHex(this.gameId, q, r, playerId, player.color);
-    await this.gameData.saveGameEvent(this.gameId, playerId, player.color, q, r, 'capture');
-
-    // Update state
-    const hex = new Hex();
-    hex.q = q.toString();
-    hex.r = r.toString();
-    hex.color = player.color;
-    hex.playerId = playerId;
-    hex.upgrade = occupied?.upgrade || '';
-    hex.terrain = occupied?.terrain || '';
-    hex.captureTime = Date.now();
-    this.state.hexes.set(`${q},${r}`, hex);
-
-    console.log(`Player ${playerId} spent ${cost}, captured ${q},${r}`);
-
-    // Send success response to the client
-    client.send("fillResult", { q, r, ok: true });
-
-    // Broadcast hex update to all clients
-    this.broadcast("hexUpdate", {
-      q: parseInt(hex.q),
-      r: parseInt(hex.r),
-      color: hex.color,
-      crown: false,
-      upgrade: hex.upgrade || null,
-      terrain: hex.terrain || null
-    });
+    client.send("fillResult", { q, r, ok: result.ok, reason: result.reason });
+    if (!result.ok) return;
 
     // Recalculate points for affected players
+    const prevOwnerId = result.occupied?.playerId || null;
     if (prevOwnerId && prevOwnerId !== playerId) {
       await this.recalculatePlayerPoints(prevOwnerId);
     }
     await this.recalculatePlayerPoints(playerId, true); // Broadcast after hex capture
+
+    await this.handleCrownCapture(result.occupied, playerId);
+    await this.refreshVisibility();
   }
 
   async handleUpgradeHex(client, data) {
@@ -547,6 +804,10 @@ class RedisGameRoom extends Room {
       return client.send("upgradeResult", { ok: false, error: "invalid upgrade" });
     }
 
+    if (!this.board.contains(q, r)) {
+      return client.send("upgradeResult", { ok: false, error: "out of bounds" });
+    }
+
     const hex = await this.gameData.getHexOwner(this.gameId, q, r);
     if (!hex || hex.playerId !== playerId) {
       return client.send("upgradeResult", { ok: false, error: "not owner" });
@@ -556,9 +817,9 @@ class RedisGameRoom extends Room {
     const currentPoints = parseInt(row?.points ?? 0);
     let cost = 0;
     
-    if (type === "bank") cost = config.game.upgradeBankCost;
-    else if (type === "fort") cost = config.game.upgradeFortCost;
-    else if (type === "city") cost = config.game.upgradeCityCost;
+    if (type === "bank") cost = this.rules.upgradeBankCost;
+    else if (type === "fort") cost = this.rules.upgradeFortCost;
+    else if (type === "city") cost = this.rules.upgradeCityCost;
 
     if (currentPoints < cost) {
       return client.send("upgradeResult", { ok: false, error: "insufficient" });
@@ -566,7 +827,8 @@ class RedisGameRoom extends Room {
 
     await this.gameData.updatePlayerPoints(this.gameId, playerId, currentPoints - cost);
     await this.gameData.setHexUpgrade(this.gameId, q, r, type);
-    await this.gameData.saveGameEvent(this.gameId, playerId, hex.color, q, r, 'upgrade');
+    await this.logEvent("upgrade", { playerId, q, r, upgrade: type, cost });
+    this.matchStats.recordUpgrade(playerId);
 
     // Update state
     const stateHex = this.state.hexes.get(`${q},${r}`);
@@ -575,7 +837,7 @@ class RedisGameRoom extends Room {
     }
 
     // Broadcast upgrade to all clients
-    this.broadcast("update", {
+    this.broadcastHexUpdate({
       q: q,
       r: r,
       color: hex.color,
@@ -585,6 +847,7 @@ class RedisGameRoom extends Room {
     });
 
     await this.recalculatePlayerPoints(playerId, true); // Broadcast after upgrade
+    await this.refreshVisibility(); // forts and cities see further
     client.send("upgradeResult", { ok: true, type });
   }
 
@@ -595,59 +858,35 @@ class RedisGameRoom extends Room {
     const player = this.state.players.get(client.sessionId);
     if (!player || !player.started) return;
 
-    const hexes = data?.hexes || [];
+    const hexes = Array.isArray(data?.hexes) ? data.hexes : [];
     const results = [];
+    const prevOwnerIds = new Set();
+
+    // Validate in order - each accepted capture counts toward adjacency for the next
+    let rules = await this.loadCaptureRules();
 
     for (const { q, r } of hexes) {
       const qInt = Math.floor(q);
       const rInt = Math.floor(r);
 
-      if (!(await this.gameData.isHexPassable(this.gameId, qInt, rInt))) {
-        results.push({ q: qInt, r: rInt, ok: false, reason: "impassable" });
-        continue;
-      }
-
-      const occupied = await this.gameData.getHexOwner(this.gameId, qInt, rInt);
-      if (occupied && occupied.playerId === playerId) {
-        results.push({ q: qInt, r: rInt, ok: false, reason: "already_owned" });
-        continue;
-      }
+      const result = await this.tryCapture(playerId, player, qInt, rInt, rules);
+      results.push({ q: qInt, r: rInt, ok: result.ok, reason: result.reason });
+      if (!result.ok) continue;
 
-      const currentPoints = parseInt((await this.gameData.getPlayerPoints(this.gameId, playerId)).points);
-      const cost = await this.computeCost(playerId, qInt, rInt);
+      const prevOwnerId = result.occupied?.playerId || null;
+      if (prevOwnerId && prevOwnerId !== playerId) prevOwnerIds.add(prevOwnerId);
 
-      if (cost === null || currentPoints < cost) {
-        results.push({ q: qInt, r: rInt, ok: false, reason: "insufficient" });
-        continue;
+      // An elimination reshapes the board, so start from a fresh snapshot
+      if (await this.handleCrownCapture(result.occupied, playerId)) {
+        rules = await this.loadCaptureRules();
       }
-
-      await this.gameData.updatePlayerPoints(this.gameId, playerId, currentPoints - cost);
-      await this.gameData.setHex(this.gameId, qInt, rInt, playerId, player.color);
-      await this.gameData.saveGameEvent(this.gameId, playerId, player.color, qInt, rInt, 'capture');
-
-      // Update state
-      const hex = new Hex();
-      hex.q = qInt.toString();
-      hex.r = rInt.toString();
-      hex.color = player.color;
-      hex.playerId = playerId;
-      hex.captureTime = Date.now();
-      this.state.hexes.set(`${qInt},${rInt}`, hex);
-
-      // Broadcast hex update to all clients
-      this.broadcast("update", {
-        q: qInt,
-        r: rInt,
-        color: player.color,
-        crown: false,
-        upgrade: null,
-        terrain: null
-      });
-
-      results.push({ q: qInt, r: rInt, ok: true });
     }
 
+    for (const prevOwnerId of prevOwnerIds) {
+      await this.recalculatePlayerPoints(prevOwnerId);
+    }
     await this.recalculatePlayerPoints(playerId, true); // Broadcast after batch fill
+    await this.refreshVisibility();
     client.send("batchFillResult", { results });
   }
 
@@ -667,6 +906,11 @@ class RedisGameRoom extends Room {
         continue;
       }
 
+      if (!this.board.contains(qInt, rInt)) {
+        results.push({ q: qInt, r: rInt, ok: false, error: "out of bounds" });
+        continue;
+      }
+
       const hex = await this.gameData.getHexOwner(this.gameId, qInt, rInt);
       if (!hex || hex.playerId !== playerId) {
         results.push({ q: qInt, r: rInt, ok: false, error: "not owner" });
@@ -677,9 +921,9 @@ class RedisGameRoom extends Room {
       const currentPoints = parseInt(row?.points ?? 0);
       let cost = 0;
       
-      if (type === "bank") cost = config.game.upgradeBankCost;
-      else if (type === "fort") cost = config.game.upgradeFortCost;
-      else if (type === "city") cost = config.game.upgradeCityCost;
+      if (type === "bank") cost = this.rules.upgradeBankCost;
+      else if (type === "fort") cost = this.rules.upgradeFortCost;
+      else if (type === "city") cost = this.rules.upgradeCityCost;
 
       if (currentPoints < cost) {
         results.push({ q: qInt, r: rInt, ok: false, error: "insufficient" });
@@ -688,10 +932,11 @@ class RedisGameRoom extends Room {
 
       await this.gameData.updatePlayerPoints(this.gameId, playerId, currentPoints - cost);
       await this.gameData.setHexUpgrade(this.gameId, qInt, rInt, type);
-      await this.gameData.saveGameEvent(this.gameId, playerId, hex.color, qInt, rInt, 'upgrade');
+      await this.logEvent("upgrade", { playerId, q: qInt, r: rInt, upgrade: type, cost });
+      this.matchStats.recordUpgrade(playerId);
 
       // Broadcast upgrade to all clients
-      this.broadcast("update", {
+      this.broadcastHexUpdate({
         q: qInt,
         r: rInt,
         color: hex.color,
@@ -704,6 +949,7 @@ class RedisGameRoom extends Room {
     }
 
     await this.recalculatePlayerPoints(playerId, true); // Broadcast after batch upgrade
+    await this.refreshVisibility();
     client.send("batchUpgradeResult", { results });
   }
 
@@ -716,16 +962,15 @@ class RedisGameRoom extends Room {
     const tiles = await this.gameData.getHexCountForPlayer(this.gameId, playerId);
     
     // Recalculate max points based on current state
-    const hexes = await this.gameData.getAllHexes(this.gameId);
-    const bankCount = hexes.filter(h => h.playerId === playerId && h.upgrade === 'bank').length;
-    const tileCount = hexes.filter(h => h.playerId === playerId).length;
-    const maxPoints = config.game.startingMaxPoints + (bankCount * 50) + (tileCount * 5);
+    const playerHexes = await this.gameData.getPlayerHexes(this.gameId, playerId);
+    const maxPoints = computeMaxPoints(playerHexes, this.rules);
 
     client.send("pointsUpdate", {
       playerId,
       points: parseInt(points.points),
       tiles: tiles,
-      maxPoints: maxPoints
+      maxPoints: maxPoints,
+      income: computeIncome(playerHexes, this.rules)
     });
   }
 
@@ -739,79 +984,455 @@ class RedisGameRoom extends Room {
     const q = Math.floor(data?.q ?? 0);
     const r = Math.floor(data?.r ?? 0);
 
-    if (!(await this.gameData.isHexPassable(this.gameId, q, r))) {
-      client.send("fillResult", { q, r, ok: false, reason: "impassable" });
+    const rules = await this.loadCaptureRules();
+    const result = await this.tryCapture(playerId, player, q, r, rules);
+
+    if (!result.ok && result.reason === "already_owned") {
+      client.send("openOwnedTileMenu", { q, r, upgrade: result.occupied.upgrade || null });
       return;
     }
 
-    const occupied = await this.gameData.getHexOwner(this.gameId, q, r);
+    client.send("fillResult", { q, r, ok: result.ok, reason: result.reason });
+    if (!result.ok) return;
 
-    if (occupied && occupied.playerId === playerId) {
-      client.send("openOwnedTileMenu", { q, r, upgrade: occupied.upgrade || null });
-      return;
+    const prevOwnerId = result.occupied?.playerId || null;
+    if (prevOwnerId && prevOwnerId !== playerId) {
+      await this.recalculatePlayerPoints(prevOwnerId);
     }
+    await this.recalculatePlayerPoints(playerId, true); // Broadcast after click hex
 
-    const currentPoints = parseInt((await this.gameData.getPlayerPoints(this.gameId, playerId)).points);
-    const cost = await this.computeCost(playerId, q, r);
+    await this.handleCrownCapture(result.occupied, playerId);
+    await this.refreshVisibility();
+  }
 
-    if (cost === null || currentPoints < cost) {
-      client.send("fillResult", { q, r, ok: false, reason: "insufficient" });
-      return;
+  // Bots
+  // A bot sits in GameState like everyone else and acts through the same handlers
+  // as a human, with a stand-in client whose replies go nowhere.
+  async addBot({ playerId, username, color, difficulty }) {
+    const client = { sessionId: playerId, send: () => {} };
+    const playerPoints = await this.gameData.getPlayerPoints(this.gameId, playerId);
+
+    const player = new Player();
+    player.id = playerId;
+    player.username = username;
+    player.color = this.teamColors.get(playerId) || color;
+    player.team = this.teams.has(playerId) ? this.teams.get(playerId) : -1;
+    player.points = parseInt(playerPoints.points);
+    player.maxPoints = parseInt(playerPoints.maxPoints);
+    player.tiles = 0;
+    player.lastSeen = Date.now();
+    player.bot = true;
+
+    this.state.players.set(client.sessionId, player);
+    await this.gameData.addPlayerToGame(this.gameId, playerId);
+    await this.logEvent("join", { playerId, username, color: player.color, bot: true });
+
+    const level = BOT_DIFFICULTIES[difficulty] ? difficulty : "normal";
+    const bot = { client, player, difficulty: level, rng: new SeededRandom(`${this.seed}:${playerId}`), busy: false };
+    bot.timer = setInterval(() => this.runBotTurn(bot), BOT_DIFFICULTIES[level].thinkInterval);
+    this.bots.set(playerId, bot);
+
+    if (this.startAssignment === "balanced") this.assignStart(player);
+    console.log(`🤖 Bot ${playerId} (${level}) joined RedisGameRoom ${this.gameId}`);
+  }
+
+  stopBots() {
+    this.bots.forEach(bot => clearInterval(bot.timer));
+    this.bots.clear();
+  }
+
+  // One bot turn: pick a start, then price part of the frontier with computeCost,
+  // capture the best of it and maybe build something
+  async runBotTurn(bot) {
+    const { client, player } = bot;
+    if (bot.busy || this.state.gameOver || player.spectator) return;
+    bot.busy = true;
+
+    try {
+      if (!player.started) {
+        if (this.startAssignment === "choose" && !this.isStartWindowClosed()) await this.chooseBotStart(bot);
+        return;
+      }
+
+      const hexes = this.botView(player.id, await this.gameData.getAllHexes(this.gameId));
+      const frontier = frontierHexes(hexes, player.id, this.board, this.sameTeam);
+      const candidates = [];
+      for (const target of sampleFrontier(frontier, BOT_DIFFICULTIES[bot.difficulty].sample, bot.rng)) {
+        candidates.push({ ...target, cost: await this.computeCost(player.id, target.q, target.r) });
+      }
+
+      const points = parseInt((await this.gameData.getPlayerPoints(this.gameId, player.id)).points);
+      const moves = planCaptures({ candidates, points, difficulty: bot.difficulty, rng: bot.rng });
+      for (const move of moves) {
+        await this.guardAction((c, data) => this.handleFillHex(c, data))(client, move);
+      }
+
+      const upgrade = planUpgrade({
+        hexes: moves.length ? await this.gameData.getAllHexes(this.gameId) : hexes,
+        playerId: player.id,
+        points: player.points,
+        maxPoints: player.maxPoints,
+        rules: this.rules,
+        difficulty: bot.difficulty,
+        rng: bot.rng
+      });
+      if (upgrade) {
+        await this.guardAction((c, data) => this.handleUpgradeHex(c, data))(client, upgrade);
+      }
+    } catch (err) {
+      console.error(`Bot ${player.id} turn error:`, err);
+    } finally {
+      bot.busy = false;
     }
+  }
 
-    // Adjacency check with river exception
-    const ownedHexes = (await this.gameData.getAllHexes(this.gameId)).filter(h => h.playerId === playerId);
-    const isAdjacent = ownedHexes.length === 0 || ownedHexes.some(h => {
-      const neighbors = this.getNeighborCoords(parseInt(h.q), parseInt(h.r));
-      return neighbors.some(n => n.q === q && n.r === r);
-    });
+  // Under fog of war bots plan from what their player can see, like everyone else
+  botView(playerId, hexes) {
+    if (!this.fogOfWar) return hexes;
+    return fogHexes(hexes, visibleKeys(this.visionHexes(playerId, hexes), this.rules, this.board));
+  }
 
-    // Check if hex is adjacent to river and player has river access
-    const isAdjacentToRiver = await this.gameData.isAdjacentToRiver(this.gameId, q, r);
-    const playerHasRiverAccess = await this.gameData.playerHasRiverAccess(this.gameId, playerId);
-    const riverException = isAdjacentToRiver && playerHasRiverAccess;
+  // Bots choosing their own start take the open hex farthest from every start so far
+  async chooseBotStart(bot) {
+    const hexes = await this.gameData.getAllHexes(this.gameId);
+    const taken = hexes
+      .filter(h => h.isStart === true || h.isStart === "true")
+      .map(h => ({ q: parseInt(h.q), r: parseInt(h.r) }));
+    const candidates = startCandidates(this.board, hexes, this.rules, this.startPositions);
+    const [start] = pickSpreadStarts(candidates, taken, 1, bot.rng);
+    if (start) {
+      await this.guardAction((c, data) => this.handleChooseStart(c, data))(bot.client, start);
+    }
+  }
 
-    if (!isAdjacent && !riverException && ownedHexes.length > 0) {
-      client.send("fillResult", { q, r, ok: false, reason: "not_adjacent" });
-      return;
+  // Arrow functions so they can be handed to CaptureRules and VictoryRules as is
+  sameTeam = (a, b) => a !== b && this.teams.has(a) && this.teams.get(a) === this.teams.get(b);
+  areAllied = (a, b) => this.sameTeam(a, b) || this.alliances.areAllied(a, b);
+
+  // Diplomacy
+  async handleProposeAlliance(client, data) {
+    const playerId = this.getPlayerIdBySession(client.sessionId);
+    if (!playerId || !this.alliancesEnabled) return;
+
+    const targetId = typeof data?.playerId === "string" ? data.playerId : null;
+    const target = this.getGamePlayers().find(p => p.id === targetId);
+    if (!target || target.spectator || target.bot) {
+      return client.send("allianceResult", { ok: false, reason: "invalid", playerId: targetId });
+    }
+
+    const result = this.alliances.propose(playerId, targetId, Date.now(), this.rules.allianceProposalTimeout);
+    client.send("allianceResult", { ...result, playerId: targetId });
+    if (!result.ok) return;
+
+    if (result.formed) {
+      await this.recordAllianceChange(playerId, targetId, 'alliance-form');
+    } else {
+      await this.recordAllianceChange(playerId, targetId, 'alliance-propose');
+      this.clientsOf(targetId).forEach(c => c.send("allianceProposed", { from: playerId }));
+    }
+  }
+
+  async handleAcceptAlliance(client, data) {
+    const playerId = this.getPlayerIdBySession(client.sessionId);
+    if (!playerId || !this.alliancesEnabled) return;
+
+    const fromId = typeof data?.playerId === "string" ? data.playerId : null;
+    const result = this.alliances.accept(fromId, playerId, Date.now(), this.rules.allianceProposalTimeout);
+    client.send("allianceResult", { ...result, playerId: fromId });
+    if (result.ok) await this.recordAllianceChange(playerId, fromId, 'alliance-form');
+  }
+
+  async handleDeclineAlliance(client, data) {
+    const playerId = this.getPlayerIdBySession(client.sessionId);
+    if (!playerId) return;
+
+    const fromId = typeof data?.playerId === "string" ? data.playerId : null;
+    if (!this.alliances.decline(fromId, playerId).ok) return;
+
+    await this.recordAllianceChange(playerId, fromId, 'alliance-decline');
+    this.clientsOf(fromId).forEach(c => c.send("allianceDeclined", { by: playerId }));
+  }
+
+  async handleBreakAlliance(client, data) {
+    const playerId = this.getPlayerIdBySession(client.sessionId);
+    if (!playerId) return;
+
+    const allyId = typeof data?.playerId === "string" ? data.playerId : null;
+    const result = this.alliances.breakAlliance(playerId, allyId);
+    client.send("allianceResult", { ...result, playerId: allyId });
+    if (result.ok) await this.recordAllianceChange(playerId, allyId, 'alliance-break');
+  }
+
+  // Persist formed/broken alliances, record every change as a replay event and tell everyone
+  async recordAllianceChange(playerId, partnerId, eventType) {
+    await this.logEvent("alliance", { playerId, partnerId, action: eventType.slice('alliance-'.length) });
+
+    if (eventType === 'alliance-form' || eventType === 'alliance-break') {
+      await this.gameData.setAlliance(this.gameId, pairKey(playerId, partnerId), eventType === 'alliance-form');
+      this.broadcastAlliances();
+      await this.refreshVisibility();
+      console.log(`🤝 ${eventType}: ${playerId} / ${partnerId}`);
+    }
+  }
+
+  broadcastAlliances() {
+    this.state.lastUpdateTime = Date.now();
+    this.broadcast("allianceUpdate", { alliances: this.alliances.toJSON() });
+  }
+
+  async loadCaptureRules() {
+    return new CaptureRules(await this.gameData.getAllHexes(this.gameId), this.board, this.areAllied, this.sameTeam);
+  }
+
+  /**
+   * Validate and pay for a player capture, then apply it.
+   * Returns { ok, reason, occupied, cost }
+   */
+  async tryCapture(playerId, player, q, r, rules) {
+    const check = rules.validate(playerId, q, r);
+    if (!check.ok) return check;
+
+    const currentPoints = parseInt((await this.gameData.getPlayerPoints(this.gameId, playerId)).points);
+    const cost = await this.computeCost(playerId, q, r);
+
+    if (cost === null || currentPoints < cost) {
+      return { ok: false, reason: "insufficient", occupied: check.occupied };
     }
 
     await this.gameData.updatePlayerPoints(this.gameId, playerId, currentPoints - cost);
-    const prevOwnerId = occupied && occupied.playerId ? occupied.playerId : null;
+    await this.captureHex(playerId, player.color, q, r, check.occupied, 'capture', cost);
+    rules.recordCapture(playerId, q, r, player.color);
+
+    console.log(`Player ${playerId} spent ${cost}, captured ${q},${r}`);
+    return { ok: true, occupied: check.occupied, cost };
+  }
 
-    await this.gameData.setHex(this.gameId, q, r, playerId, player.color);
-    await this.gameData.saveGameEvent(this.gameId, playerId, player.color, q, r, 'capture');
+  // Store a capture, record it for replays and push it to every client.
+  // Upgrades and terrain on the hex survive the change of owner.
+  async captureHex(playerId, color, q, r, occupied, eventType, cost = 0) {
+    const upgrade = occupied?.upgrade || null;
+    const terrain = occupied?.terrain || null;
+
+    await this.gameData.setHex(this.gameId, q, r, playerId, color, upgrade, terrain);
+    await this.logEvent("capture", {
+      playerId, color, q, r, cost,
+      prevOwnerId: occupied?.playerId || null,
+      auto: eventType === 'auto-capture'
+    });
+    this.matchStats.recordCapture(playerId);
 
     // Update state
     const hex = new Hex();
     hex.q = q.toString();
     hex.r = r.toString();
-    hex.color = player.color;
+    hex.color = color;
     hex.playerId = playerId;
-    hex.upgrade = occupied?.upgrade || '';
-    hex.terrain = occupied?.terrain || '';
+    hex.upgrade = upgrade || '';
+    hex.terrain = terrain || '';
     hex.captureTime = Date.now();
-    this.state.hexes.set(`${q},${r}`, hex);
-
-    console.log(`Player ${playerId} spent ${cost}, captured ${q},${r}`);
-
-    // Send success response to the client
-    client.send("fillResult", { q, r, ok: true });
+    this.setStateHex(`${q},${r}`, hex);
+    this.state.lastUpdateTime = Date.now();
 
     // Broadcast hex update to all clients
-    this.broadcast("update", {
-      q: parseInt(hex.q),
-      r: parseInt(hex.r),
-      color: hex.color,
+    this.broadcastHexUpdate({
+      q,
+      r,
+      color,
       crown: false,
-      upgrade: hex.upgrade || null,
-      terrain: hex.terrain || null
+      upgrade,
+      terrain
     });
+  }
 
-    if (prevOwnerId && prevOwnerId !== playerId) {
-      await this.recalculatePlayerPoints(prevOwnerId);
+  // GameState.hexes would hand the whole board to every client, so it is left empty under fog of war
+  setStateHex(key, hex) {
+    if (this.fogOfWar) return;
+    if (hex) this.state.hexes.set(key, hex);
+    else this.state.hexes.delete(key);
+  }
+
+  // Send a hex change to every client that can see it
+  broadcastHexUpdate(update) {
+    if (!this.fogOfWar) {
+      this.broadcast("update", update);
+      return;
     }
-    await this.recalculatePlayerPoints(playerId, true); // Broadcast after click hex
+
+    const key = `${update.q},${update.r}`;
+    this.clients.forEach(client => {
+      if (this.canSee(this.state.players.get(client.sessionId), key)) {
+        client.send("update", update);
+      }
+    });
+  }
+
+  // Without fog, once the game is over and for spectators everything is visible
+  canSee(player, key) {
+    if (!this.fogOfWar || this.state.gameOver) return true;
+    if (!player || player.spectator) return true;
+    return !!this.visibleHexes.get(player.id)?.has(key);
+  }
+
+  // Full board sync for one client, filtered by what its player can see
+  sendHistory(client, player, hexes) {
+    if (this.fogOfWar && player && !player.spectator && !this.state.gameOver) {
+      this.visibleHexes.set(player.id, visibleKeys(this.visionHexes(player.id, hexes), this.rules, this.board));
+    }
+
+    const history = [];
+    hexes.forEach(h => {
+      const q = parseInt(h.q);
+      const r = parseInt(h.r);
+      const view = hexView(h, q, r, this.canSee(player, `${q},${r}`));
+      if (view.color || view.terrain) history.push(view);
+    });
+    client.send("history", history);
+
+    if (this.fogOfWar) {
+      const all = !player || player.spectator || this.state.gameOver;
+      client.send("visibility", {
+        reset: true,
+        all,
+        visible: all ? [] : Array.from(this.visibleHexes.get(player.id) || [])
+      });
+    }
+  }
+
+  /**
+   * Recompute what every player can see and send each client the hexes that
+   * came into view (in full) and the ones that went back into the fog
+   */
+  async refreshVisibility() {
+    if (!this.fogOfWar || this.state.gameOver) return;
+
+    const hexes = await this.gameData.getAllHexes(this.gameId);
+    const byKey = new Map(hexes.map(h => [`${h.q},${h.r}`, h]));
+    const view = (key, visible) => {
+      const [q, r] = key.split(",").map(Number);
+      return hexView(byKey.get(key), q, r, visible);
+    };
+
+    for (const player of this.getGamePlayers()) {
+      if (player.spectator) continue;
+
+      const previous = this.visibleHexes.get(player.id) || new Set();
+      const current = visibleKeys(this.visionHexes(player.id, hexes), this.rules, this.board);
+      this.visibleHexes.set(player.id, current);
+
+      const reveal = [...current].filter(key => !previous.has(key)).map(key => view(key, true));
+      const hide = [...previous].filter(key => !current.has(key)).map(key => view(key, false));
+      if (!reveal.length && !hide.length) continue;
+
+      this.clientsOf(player.id).forEach(client => client.send("visibility", { reveal, hide }));
+    }
+  }
+
+  // Hexes a player sees from: their own and their teammates', plus their allies' when vision is shared
+  visionHexes(playerId, hexes) {
+    const shared = this.rules.allianceSharedVision;
+    return hexes.filter(h => h.playerId === playerId || this.sameTeam(playerId, h.playerId) ||
+      (shared && this.alliances.areAllied(playerId, h.playerId)));
+  }
+
+  // Every connected client of a player (a player can have more than one tab open)
+  clientsOf(playerId) {
+    return this.clients.filter(c => this.state.players.get(c.sessionId)?.id === playerId);
+  }
+
+  // Taking someone else's start hex eliminates them. Returns true if it did.
+  async handleCrownCapture(occupied, attackerId) {
+    if (!occupied || !occupied.playerId || occupied.playerId === attackerId) return false;
+    if (!(occupied.isStart === true || occupied.isStart === "true")) return false;
+
+    return await this.eliminatePlayer(occupied.playerId, attackerId, parseInt(occupied.q), parseInt(occupied.r));
+  }
+
+  async eliminatePlayer(playerId, eliminatedBy, crownQ, crownR) {
+    if (this.eliminatedPlayerIds.has(playerId)) return false;
+    this.eliminatedPlayerIds.add(playerId);
+
+    await this.gameData.setPlayerEliminated(this.gameId, playerId, eliminatedBy);
+
+    // Hand over or release whatever is left of their territory
+    const rule = this.rules.eliminationHexRule;
+    const captor = this.getGamePlayers().find(p => p.id === eliminatedBy);
+    let affected = [];
+
+    if (rule === "transfer" && captor) {
+      affected = await this.gameData.transferPlayerHexes(this.gameId, playerId, eliminatedBy, captor.color);
+    } else {
+      affected = await this.gameData.neutralizePlayerHexes(this.gameId, playerId);
+    }
+
+    for (const h of affected) {
+      const key = `${h.q},${h.r}`;
+      if (h.playerId) {
+        const hex = this.state.hexes.get(key) || new Hex();
+        hex.q = h.q.toString();
+        hex.r = h.r.toString();
+        hex.color = h.color;
+        hex.playerId = h.playerId;
+        hex.upgrade = h.upgrade || '';
+        hex.terrain = h.terrain || '';
+        hex.isCrown = false;
+        hex.captureTime = h.captureTime;
+        this.setStateHex(key, hex);
+      } else {
+        this.setStateHex(key, null);
+      }
+
+      this.broadcastHexUpdate({
+        q: parseInt(h.q),
+        r: parseInt(h.r),
+        color: h.color || null,
+        crown: false,
+        upgrade: h.upgrade || null,
+        terrain: h.terrain || null
+      });
+    }
+
+    // Eliminated players stay in the room as spectators with no income
+    await this.gameData.updatePlayerPoints(this.gameId, playerId, 0);
+    for (const player of this.state.players.values()) {
+      if (player.id !== playerId) continue;
+      player.spectator = true;
+      player.eliminatedBy = eliminatedBy || "";
+      player.points = 0;
+      player.tiles = 0;
+    }
+    this.state.lastUpdateTime = Date.now();
+
+    await this.logEvent("eliminate", {
+      playerId,
+      by: eliminatedBy || null,
+      color: captor?.color || null,
+      q: crownQ,
+      r: crownR,
+      hexRule: rule === "transfer" && captor ? "transfer" : "neutral",
+      hexCount: affected.length
+    });
+
+    this.broadcast("playerEliminated", { playerId, eliminatedBy, hexRule: rule, hexCount: affected.length });
+
+    // Alliances end with the player
+    const formerAllies = this.alliances.removePlayer(playerId);
+    for (const allyId of formerAllies) {
+      await this.gameData.setAlliance(this.gameId, pairKey(playerId, allyId), false);
+    }
+    if (formerAllies.length) this.broadcastAlliances();
+
+    // Spectators see the whole board
+    if (this.fogOfWar) {
+      const hexes = await this.gameData.getAllHexes(this.gameId);
+      this.clientsOf(playerId).forEach(client => {
+        this.sendHistory(client, this.state.players.get(client.sessionId), hexes);
+      });
+    }
+
+    if (eliminatedBy) await this.recalculatePlayerPoints(eliminatedBy, true);
+
+    console.log(`💀 Player ${playerId} eliminated by ${eliminatedBy || 'unknown'} (${affected.length} hexes ${rule === "transfer" && captor ? "transferred" : "neutralized"})`);
+    return true;
   }
 
   async recalculatePlayerPoints(playerId, shouldBroadcast = false) {
@@ -822,11 +1443,9 @@ class RedisGameRoom extends Room {
       const points = await this.gameData.getPlayerPoints(this.gameId, playerId);
       const tiles = await this.gameData.getHexCountForPlayer(this.gameId, playerId);
 
-      // Calculate maxPoints based on banks and tiles
-      const hexes = await this.gameData.getAllHexes(this.gameId);
-      const bankCount = hexes.filter(h => h.playerId === playerId && h.upgrade === 'bank').length;
-      const tileCount = hexes.filter(h => h.playerId === playerId).length;
-      const maxPoints = config.game.startingMaxPoints + (bankCount * 50) + (tileCount * 5);
+      // Calculate maxPoints based on banks, tiles and cities
+      const playerHexes = await this.gameData.getPlayerHexes(this.gameId, playerId);
+      const maxPoints = computeMaxPoints(playerHexes, this.rules);
 
       player.points = parseInt(points.points);
       player.maxPoints = maxPoints;
@@ -840,7 +1459,8 @@ class RedisGameRoom extends Room {
           playerId,
           points: player.points,
           tiles: player.tiles,
-          maxPoints: player.maxPoints
+          maxPoints: player.maxPoints,
+          income: computeIncome(playerHexes, this.rules)
         });
       }
     } catch (e) {
@@ -849,8 +1469,16 @@ class RedisGameRoom extends Room {
   }
 
   startPointTick() {
+    this.pointTickTimeout = null;
+    if (this.state.gameOver || this.playerTickInterval) return;
     this.playerTickInterval = setInterval(async () => {
       try {
+        if (this.state.gameOver) {
+          clearInterval(this.playerTickInterval);
+          this.playerTickInterval = null;
+          return;
+        }
+
         // Check if Redis is still available
         if (!this.gameData || !this.gameData.isRedisAvailable()) {
           console.warn("Redis not available, stopping point tick");
@@ -858,13 +1486,19 @@ class RedisGameRoom extends Room {
           return;
         }
 
+        const hexes = await this.gameData.getAllHexes(this.gameId);
+        const now = Date.now();
+        this.matchStats.recordBoard(hexes);
+
         for (const [sessionId, player] of this.state.players.entries()) {
-          // Only process connected players
-          if (player.disconnected) continue;
+          // Only process connected, non-eliminated players
+          if (player.disconnected || player.spectator) continue;
           
+          const playerHexes = hexes.filter(h => h.playerId === player.id);
+          const income = computeIncome(playerHexes, this.rules, now);
+
           const currentPoints = parseInt((await this.gameData.getPlayerPoints(this.gameId, player.id)).points);
-          const newPoints = currentPoints + config.game.baseIncome;
-          await this.gameData.updatePlayerPoints(this.gameId, player.id, newPoints);
+          const newPoints = await this.gameData.updatePlayerPoints(this.gameId, player.id, currentPoints + income.net);
           
           player.points = newPoints;
           
@@ -883,19 +1517,169 @@ class RedisGameRoom extends Room {
     }, 1000);
   }
 
+  // Unique list of players in this game (state is keyed by session)
+  getGamePlayers() {
+    const players = new Map();
+    for (const player of this.state.players.values()) {
+      players.set(player.id, player);
+    }
+    return Array.from(players.values());
+  }
+
+  startVictoryCheck() {
+    if (this.victoryCheckInterval) clearInterval(this.victoryCheckInterval);
+
+    this.victoryCheckInterval = setInterval(async () => {
+      try {
+        if (this.state.gameOver) return;
+
+        // Nobody can win before the start window has closed
+        const elapsed = Date.now() - (this.state.lobbyStartTime + this.rules.startDelay);
+        if (elapsed < 0) return;
+
+        const hexes = await this.gameData.getAllHexes(this.gameId);
+        const result = checkVictory({
+          hexes,
+          players: this.getGamePlayers(),
+          rules: this.rules,
+          elapsed,
+          boardSize: this.playableTiles,
+          areAllied: this.rules.allianceSharedVictory ? this.areAllied : undefined
+        });
+
+        if (result) {
+          await this.endGame(result.reason, result.winnerIds);
+        }
+      } catch (err) {
+        console.error("Victory check error:", err);
+      }
+    }, this.rules.victoryCheckInterval);
+  }
+
+  async endGame(reason, winnerIds) {
+    if (this.state.gameOver) return;
+
+    // Freeze the board before anything else can change it
+    this.state.gameOver = true;
+    this.state.endReason = reason;
+    this.state.lastUpdateTime = Date.now();
+
+    if (this.autoExpandInterval) {
+      clearInterval(this.autoExpandInterval);
+      this.autoExpandInterval = null;
+    }
+    if (this.pointTickTimeout) {
+      clearTimeout(this.pointTickTimeout);
+      this.pointTickTimeout = null;
+    }
+    if (this.playerTickInterval) {
+      clearInterval(this.playerTickInterval);
+      this.playerTickInterval = null;
+    }
+    if (this.victoryCheckInterval) {
+      clearInterval(this.victoryCheckInterval);
+      this.victoryCheckInterval = null;
+    }
+    this.stopBots();
+
+    // Send everyone back to the lobby once they've had a look at the standings;
+    // scheduled first so a Redis failure below can't leave the room open
+    this.gameOverTimeout = setTimeout(() => {
+      this.gameOverTimeout = null;
+      this.disconnect();
+    }, this.rules.gameOverReturnDelay);
+
+    // Each step after this one is on its own: a failure is logged and the rest still run
+    const step = async (label, work, fallback = null) => {
+      try {
+        return await work();
+      } catch (e) {
+        console.error(`Game over ${label} failed for ${this.gameId}:`, e);
+        return fallback;
+      }
+    };
+
+    const hexes = await step("board", () => this.gameData.getAllHexes(this.gameId), []);
+    const startedAt = this.state.lobbyStartTime + this.rules.startDelay;
+    const endedAt = Date.now();
+
+    const standings = buildStandings(hexes, this.getGamePlayers());
+
+    // Every finished game between at least two humans moves their ratings
+    const ratingChanges = await step("ratings", async () => {
+      const ratings = await this.gameData.getRatings(standings.map(s => s.playerId));
+      const changes = rateGame(standings, winnerIds, ratings, this.rules, this.sameTeam);
+      await this.gameData.saveRatings(changes, winnerIds);
+      return changes;
+    }, {});
+
+    const result = {
+      gameId: this.gameId,
+      reason,
+      winners: winnerIds,
+      standings,
+      teamMode: this.teamMode,
+      rulePreset: this.rulePreset,
+      ranked: this.ranked,
+      ratingChanges,
+      startedAt,
+      endedAt,
+      duration: Math.max(0, endedAt - startedAt),
+      returnDelay: this.rules.gameOverReturnDelay
+    };
+
+    this.gameResult = result;
+    this.broadcast("gameOver", result);
+    console.log(`🏆 RedisGameRoom ${this.gameId} over (${reason}) winners=${winnerIds.join(",") || "none"}`);
+
+    await step("result", () => this.gameData.finishGame(this.gameId, result));
+    await step("replay log", () => this.logEvent("game-over", { reason, winners: winnerIds, standings }));
+
+    // Each human's summary goes into their match history
+    const summaries = standings
+      .filter(s => !isBotId(s.playerId))
+      .map(s => summarizeMatch(result, s.playerId, this.matchStats));
+    await step("match summaries", () => this.gameData.saveMatchSummaries(this.gameId, summaries));
+    await step("leaderboards", () =>
+      this.gameData.updateLeaderboards(leaderboardUpdates(summaries, ratingChanges), seasonAt(endedAt, config.game)));
+
+    // Lift the fog so everyone can see the final board
+    if (this.fogOfWar) {
+      await step("fog lift", async () => {
+        const hexes = await this.gameData.getAllHexes(this.gameId);
+        this.clients.forEach(client => this.sendHistory(client, this.state.players.get(client.sessionId), hexes));
+      });
+    }
+  }
+
   onDispose() {
     // Clear cleanup timeout if it exists
     if (this.cleanupTimeout) {
       clearTimeout(this.cleanupTimeout);
       this.cleanupTimeout = null;
     }
+    if (this.gameOverTimeout) {
+      clearTimeout(this.gameOverTimeout);
+      this.gameOverTimeout = null;
+    }
+    if (this.startWindowTimeout) {
+      clearTimeout(this.startWindowTimeout);
+      this.startWindowTimeout = null;
+    }
 
     if (this.autoExpandInterval) {
       clearInterval(this.autoExpandInterval);
     }
+    if (this.pointTickTimeout) {
+      clearTimeout(this.pointTickTimeout);
+    }
     if (this.playerTickInterval) {
       clearInterval(this.playerTickInterval);
     }
+    if (this.victoryCheckInterval) {
+      clearInterval(this.victoryCheckInterval);
+    }
+    this.stopBots();
     try {
       if (this.gameData) {
         // Use setTimeout to defer the disconnect and avoid blocking
@@ -3,10 +3,15 @@ const { Room } = require("colyseus");
 const { matchMaker } = require("colyseus");
 const { GameState, Player } = require("../schemas/GameState");
 const GameData = require("../redis/GameData");
+const { TEAM_MODES, isTeamMode, playersNeeded, assignTeams, teamColors } = require("../game/Teams");
+const { isBotId, createBotProfile } = require("../game/BotPlanner");
+const { START_MODES } = require("../game/StartPlacement");
+const { isRulePreset } = require("../game/RulePresets");
+const { ratingBand, findRankedMatch } = require("../game/Matchmaking");
 const config = require("../config");
 
 class RedisLobbyRoom extends Room {
-  onCreate(options) {
+  async onCreate(options) {
     this.gameData = new GameData();
     this.verifyPlayer = options.verifyPlayer;
     
@@ -16,21 +21,69 @@ class RedisLobbyRoom extends Room {
     this.state.lobbyStartTime = Date.now();
     this.state.countdown = 0;
     this.state.gameStarted = false;
+    this.mapSeed = ""; // optional seed for the next game's map
+    this.mapTemplate = ""; // optional saved map for the next game (overrides the seed)
+    this.teamMode = TEAM_MODES[config.game.teamMode] ? config.game.teamMode : "ffa";
+    this.teamPicks = new Map(); // playerId -> team the player asked for
+    this.botDifficulties = new Map(); // bot playerId -> difficulty
+    this.botCount = 0;
+    this.readySince = 0; // when the current ready players started waiting
+    this.rules = {}; // per-game room options picked in the lobby (fogOfWar, alliances, startAssignment)
+    this.rulePreset = config.game.rulePreset; // named rule set for the next game (game/RulePresets.js)
+    this.maxPlayers = config.game.lobbyMaxPlayers;
+
+    // Private lobbies are hidden from matchmaking and joined by invite code.
+    // Their host (the first player in) configures and starts games by hand.
+    this.isPrivate = !!options.private;
+    this.hostId = null;
+    this.inviteCode = null;
+    this.kickedIds = new Set();
+
+    // Ranked queue: matched by rating (game/Matchmaking.js) instead of joining the next casual game
+    this.rankedQueue = new Map(); // playerId -> { playerId, sessionId, rating, queuedAt }
 
     // Create game record in Redis
     this.gameData.createLobby(this.roomId);
+    if (this.isPrivate) {
+      this.setPrivate(true);
+      this.inviteCode = await this.gameData.createInviteCode(this.roomId);
+    }
 
     this.onMessage("joinGame", (client) => {
       const player = this.state.players.get(client.sessionId);
       if (!player) return;
       
       player.started = true;
+      if (this.rankedQueue.delete(player.id)) client.send("rankedStatus", { queued: false });
       this.state.lastUpdateTime = Date.now();
       this.maybeStartCountdown();
       this.broadcastLobbyUpdate();
       console.log(`🎮 Player ${player.id} clicked Join Game`);
     });
 
+    this.onMessage("joinRanked", async (client) => {
+      const player = this.state.players.get(client.sessionId);
+      if (!player || player.bot || this.isPrivate || this.rankedQueue.has(player.id)) return;
+
+      const { rating } = await this.gameData.getRating(player.id);
+      // A second click may have queued the player while the rating loaded
+      if (this.rankedQueue.has(player.id) || this.state.players.get(client.sessionId) !== player) return;
+      player.started = false;
+      this.rankedQueue.set(player.id, { playerId: player.id, sessionId: client.sessionId, rating, queuedAt: Date.now() });
+      this.state.lastUpdateTime = Date.now();
+      this.broadcastLobbyUpdate();
+      console.log(`🏅 Player ${player.id} (${rating}) joined the ranked queue`);
+    });
+
+    this.onMessage("leaveRanked", (client) => {
+      const player = this.state.players.get(client.sessionId);
+      if (!player || !this.rankedQueue.delete(player.id)) return;
+
+      client.send("rankedStatus", { queued: false });
+      this.state.lastUpdateTime = Date.now();
+      this.broadcastLobbyUpdate();
+    });
+
     this.onMessage("setColor", async (client, color) => {
       const player = this.state.players.get(client.sessionId);
       if (!player) return;
@@ -40,6 +93,128 @@ class RedisLobbyRoom extends Room {
       this.state.lastUpdateTime = Date.now();
     });
 
+    this.onMessage("setSeed", (client, seed) => {
+      const player = this.configurator(client);
+      if (!player) return;
+
+      this.mapSeed = typeof seed === "string" ? seed.trim().slice(0, 32) : "";
+      this.state.lastUpdateTime = Date.now();
+      this.broadcastLobbyUpdate();
+      console.log(`🌱 Player ${player.id} set map seed to "${this.mapSeed}"`);
+    });
+
+    this.onMessage("setMapTemplate", async (client, name) => {
+      const player = this.configurator(client);
+      if (!player) return;
+
+      const clean = typeof name === "string" ? name.trim().toLowerCase() : "";
+      if (clean && !(await this.gameData.getMapTemplate(clean))) {
+        client.send("mapError", { error: `map "${clean}" not found` });
+        return;
+      }
+
+      this.mapTemplate = clean;
+      this.state.lastUpdateTime = Date.now();
+      this.broadcastLobbyUpdate();
+      console.log(`🗺️ Player ${player.id} picked map "${this.mapTemplate || "random"}"`);
+    });
+
+    this.onMessage("setTeamMode", (client, mode) => {
+      const player = this.configurator(client);
+      if (!player || !(mode in TEAM_MODES)) return;
+
+      this.teamMode = mode;
+      this.teamPicks.clear();
+      this.state.lastUpdateTime = Date.now();
+      this.maybeStartCountdown();
+      this.broadcastLobbyUpdate();
+      console.log(`👥 Player ${player.id} set team mode to ${mode}`);
+    });
+
+    this.onMessage("pickTeam", (client, team) => {
+      const player = this.state.players.get(client.sessionId);
+      if (!player || !isTeamMode(this.teamMode)) return;
+
+      if (Number.isInteger(team) && team >= 0 && team < TEAM_MODES[this.teamMode].teams) {
+        this.teamPicks.set(player.id, team);
+      } else {
+        this.teamPicks.delete(player.id);
+      }
+      this.state.lastUpdateTime = Date.now();
+      this.broadcastLobbyUpdate();
+    });
+
+    this.onMessage("addBot", (client, difficulty) => {
+      const player = this.configurator(client);
+      if (!player) return;
+      this.addBot(typeof difficulty === "string" ? difficulty : config.game.botFillDifficulty);
+    });
+
+    this.onMessage("removeBot", (client, botId) => {
+      const player = this.configurator(client);
+      if (!player || !isBotId(botId) || !this.state.players.has(botId)) return;
+
+      this.state.players.delete(botId);
+      this.botDifficulties.delete(botId);
+      this.teamPicks.delete(botId);
+      this.state.lastUpdateTime = Date.now();
+      this.broadcastLobbyUpdate();
+      console.log(`🤖 Player ${player.id} removed bot ${botId}`);
+    });
+
+    this.onMessage("setRules", (client, rules) => {
+      const player = this.configurator(client);
+      if (!player) return;
+
+      const next = {};
+      if (typeof rules?.fogOfWar === "boolean") next.fogOfWar = rules.fogOfWar;
+      if (typeof rules?.alliances === "boolean") next.alliances = rules.alliances;
+      if (START_MODES.includes(rules?.startAssignment)) next.startAssignment = rules.startAssignment;
+      this.rules = next;
+      this.state.lastUpdateTime = Date.now();
+      this.broadcastLobbyUpdate();
+      console.log(`📜 Player ${player.id} set rules ${JSON.stringify(next)}`);
+    });
+
+    this.onMessage("setRulePreset", (client, name) => {
+      const player = this.configurator(client);
+      if (!player || !isRulePreset(name)) return;
+
+      this.rulePreset = name;
+      this.state.lastUpdateTime = Date.now();
+      this.broadcastLobbyUpdate();
+      console.log(`📜 Player ${player.id} picked the ${name} rule preset`);
+    });
+
+    // Host controls (private lobbies only)
+    this.onMessage("setMaxPlayers", (client, count) => {
+      const player = this.hostOf(client);
+      if (!player || !Number.isInteger(count)) return;
+
+      this.maxPlayers = Math.max(2, Math.min(config.game.lobbyMaxPlayers, count));
+      this.state.lastUpdateTime = Date.now();
+      this.broadcastLobbyUpdate();
+    });
+
+    this.onMessage("kick", (client, targetId) => {
+      const player = this.hostOf(client);
+      if (!player || typeof targetId !== "string" || targetId === player.id) return;
+      this.kickPlayer(targetId);
+    });
+
+    this.onMessage("startNow", (client) => {
+      const player = this.hostOf(client);
+      if (!player) return;
+
+      const ready = Array.from(this.state.players.values()).filter(p => !p.disconnected && p.started);
+      if (ready.length < this.minReady() || !ready.some(p => !p.bot)) {
+        client.send("startError", { error: `need ${this.minReady()} ready players` });
+        return;
+      }
+      console.log(`▶️ Host ${player.id} started the game`);
+      this.startGame();
+    });
+
     this.onMessage("createReplay", async (client, data) => {
       try {
         const gameId = data?.gameId;
@@ -47,6 +222,10 @@ class RedisLobbyRoom extends Room {
           client.send("replayError", { error: "gameId required" });
           return;
         }
+        if (!(await this.gameData.isGameOver(gameId))) {
+          client.send("replayError", { error: "that game is still being played" });
+          return;
+        }
         const room = await matchMaker.createRoom("redisReplay", { gameId });
         client.send("replayCreated", { roomId: room.roomId });
         console.log("📦 RedisReplayRoom created for", gameId, "->", room.roomId);
@@ -58,6 +237,8 @@ class RedisLobbyRoom extends Room {
 
     // Countdown timer
     this.clock.setInterval(() => {
+      this.maybeFillWithBots();
+      this.matchRanked();
       if (this.state.countdown > 0) {
         this.state.countdown -= 1;
         this.state.lastUpdateTime = Date.now();
@@ -86,6 +267,20 @@ class RedisLobbyRoom extends Room {
       }
     }
 
+    if (this.isPrivate) {
+      if (this.kickedIds.has(playerId)) {
+        client.leave(4001, "kicked by host");
+        return;
+      }
+      const present = Array.from(this.state.players.values()).filter(p => !p.disconnected);
+      const returning = Array.from(this.state.players.values()).some(p => p.id === playerId);
+      if (!returning && present.length >= this.maxPlayers) {
+        client.leave(1003, "lobby full");
+        return;
+      }
+      if (!this.hostId) this.hostId = playerId;
+    }
+
     // Cancel cleanup timeout if someone is rejoining
     if (this.cleanupTimeout) {
       console.log(`⏸ RedisLobbyRoom ${this.roomId} cleanup cancelled - player ${playerId} rejoined`);
@@ -135,10 +330,11 @@ class RedisLobbyRoom extends Room {
 
     // Send initial data
     client.send("assignedColor", { color: player.color });
+    client.send("rating", await this.gameData.getRating(playerId));
     client.send("countdown", this.state.countdown);
 
-    // Send last 10 games for this player (placeholder for now)
-    client.send("lastGames", []);
+    // This player's last 10 finished games from their match history
+    client.send("lastGames", await this.gameData.getLastGames(playerId, 10));
 
     // Broadcast lobby update to all clients
     this.broadcastLobbyUpdate();
@@ -155,9 +351,13 @@ class RedisLobbyRoom extends Room {
     player.lastSeen = Date.now();
 
     console.log(`❌ Player ${player.id} disconnected (session ${client.sessionId})`);
+    this.rankedQueue.delete(player.id);
 
     // Count only connected players
-    const connectedPlayers = Array.from(this.state.players.values()).filter(p => !p.disconnected);
+    const connectedPlayers = Array.from(this.state.players.values()).filter(p => !p.disconnected && !p.bot);
+
+    // A private lobby passes the host role on when its host leaves
+    if (this.isPrivate && player.id === this.hostId) this.ensureHost(true);
 
     // Broadcast lobby update to remaining clients
     this.broadcastLobbyUpdate();
@@ -173,14 +373,14 @@ class RedisLobbyRoom extends Room {
       // Set 60-second timeout before cleanup
       this.cleanupTimeout = setTimeout(async () => {
         // Count connected players again after timeout
-        const stillConnectedPlayers = Array.from(this.state.players.values()).filter(p => !p.disconnected);
+        const stillConnectedPlayers = Array.from(this.state.players.values()).filter(p => !p.disconnected && !p.bot);
         
         if (stillConnectedPlayers.length === 0) { // Double-check room is still empty
           console.log(`📦 RedisLobbyRoom ${this.roomId} closed after 60s buffer - manually disposing room`);
           
           // Remove all players from lobby before closing
           for (const [sessionId, player] of this.state.players.entries()) {
-            await this.gameData.removePlayerFromLobby(this.roomId, player.id);
+            if (!player.bot) await this.gameData.removePlayerFromLobby(this.roomId, player.id);
           }
           
           await this.gameData.closeLobby(this.roomId);
@@ -195,22 +395,115 @@ class RedisLobbyRoom extends Room {
     }
   }
 
+  // Who may change the next game's settings: anyone in the public lobby, only the host in a private one
+  configurator(client) {
+    const player = this.state.players.get(client.sessionId);
+    if (!player || (this.isPrivate && player.id !== this.hostId)) return null;
+    return player;
+  }
+
+  hostOf(client) {
+    const player = this.state.players.get(client.sessionId);
+    return this.isPrivate && player && player.id === this.hostId ? player : null;
+  }
+
+  // Hand the host role to the longest-waiting connected human when the host is gone
+  ensureHost(force = false) {
+    const players = Array.from(this.state.players.values()).filter(p => !p.bot && !p.disconnected);
+    if (!force && players.some(p => p.id === this.hostId)) return;
+
+    const next = players.find(p => p.id !== this.hostId) || null;
+    this.hostId = next ? next.id : null;
+    if (next) console.log(`👑 ${next.id} is now host of private lobby ${this.inviteCode}`);
+  }
+
+  kickPlayer(targetId) {
+    for (const [sessionId, player] of this.state.players.entries()) {
+      if (player.id !== targetId) continue;
+
+      this.state.players.delete(sessionId);
+      this.teamPicks.delete(targetId);
+      this.botDifficulties.delete(targetId);
+      this.rankedQueue.delete(targetId);
+      if (!player.bot) {
+        this.kickedIds.add(targetId);
+        this.gameData.removePlayerFromLobby(this.roomId, targetId);
+        const client = this.clients.find(c => c.sessionId === sessionId);
+        if (client) client.leave(4001, "kicked by host");
+      }
+      console.log(`👢 ${targetId} was kicked from private lobby ${this.inviteCode}`);
+    }
+    this.state.lastUpdateTime = Date.now();
+    this.broadcastLobbyUpdate();
+  }
+
+  // Team games wait for full teams
+  minReady() {
+    return isTeamMode(this.teamMode) ? playersNeeded(this.teamMode) : 2;
+  }
+
   maybeStartCountdown() {
-    const MIN_READY = 2;
+    if (this.isPrivate) return; // the host starts private games
+    const MIN_READY = this.minReady();
     let ready = 0;
+    let humans = 0;
     
     for (const [sessionId, player] of this.state.players.entries()) {
       if (player.disconnected) continue; // Skip disconnected players
       if (player.started) ready++;
+      if (player.started && !player.bot) humans++;
     }
     
-    if (ready >= MIN_READY && this.state.countdown === 0) {
+    // Bots never start a game on their own
+    if (ready >= MIN_READY && humans > 0 && this.state.countdown === 0) {
       this.state.countdown = 5;
       this.state.lastUpdateTime = Date.now();
       this.broadcastLobbyUpdate();
     }
   }
 
+  // Bots join ready and sit alongside the humans until the game starts
+  addBot(difficulty) {
+    const players = Array.from(this.state.players.values());
+    if (players.filter(p => p.bot).length >= config.game.maxBots) return;
+    if (this.isPrivate && players.filter(p => !p.disconnected).length >= this.maxPlayers) return;
+
+    const profile = createBotProfile(difficulty, this.botCount++, config.game.playerColors, players.map(p => p.color));
+    const player = new Player();
+    player.id = profile.playerId;
+    player.username = profile.username;
+    player.color = profile.color;
+    player.points = config.game.startingPoints;
+    player.maxPoints = config.game.startingMaxPoints;
+    player.started = true;
+    player.lastSeen = Date.now();
+    player.bot = true;
+
+    this.state.players.set(profile.playerId, player);
+    this.botDifficulties.set(profile.playerId, profile.difficulty);
+    this.state.lastUpdateTime = Date.now();
+    this.maybeStartCountdown();
+    this.broadcastLobbyUpdate();
+    console.log(`🤖 Bot ${profile.playerId} (${profile.difficulty}) added to lobby`);
+  }
+
+  // Humans left waiting botFillDelay without enough company get bots to play against
+  maybeFillWithBots() {
+    const ready = Array.from(this.state.players.values()).filter(p => !p.disconnected && p.started);
+    if (this.isPrivate || !config.game.botFillDelay || this.state.countdown > 0 || !ready.some(p => !p.bot)) {
+      this.readySince = 0;
+      return;
+    }
+
+    if (!this.readySince) this.readySince = Date.now();
+    if (Date.now() - this.readySince < config.game.botFillDelay) return;
+
+    this.readySince = 0;
+    for (let i = ready.length; i < this.minReady(); i++) {
+      this.addBot(config.game.botFillDifficulty);
+    }
+  }
+
   broadcastLobbyUpdate() {
     const total = this.state.players.size;
     let waiting = 0;
@@ -232,10 +525,88 @@ class RedisLobbyRoom extends Room {
         id: p.id,
         username: p.username,
         color: p.color,
-        started: p.started
+        started: p.started,
+        team: this.teamPicks.has(p.id) ? this.teamPicks.get(p.id) : null,
+        bot: p.bot,
+        ranked: this.rankedQueue.has(p.id)
       }));
     
-    this.broadcast("lobbyUpdate", { total, waiting, ready, players });
+    this.broadcast("lobbyUpdate", {
+      total,
+      waiting,
+      ready,
+      players,
+      seed: this.mapSeed,
+      mapTemplate: this.mapTemplate,
+      teamMode: this.teamMode,
+      rules: this.rules,
+      rulePreset: this.rulePreset,
+      private: this.isPrivate,
+      inviteCode: this.inviteCode,
+      hostId: this.hostId,
+      maxPlayers: this.maxPlayers,
+      rankedQueue: this.rankedQueue.size
+    });
+  }
+
+  // Start every ranked game the queue can fill, then tell the players still
+  // searching how wide their rating band has grown
+  matchRanked() {
+    // Anyone who dropped out of the lobby leaves the queue before matching
+    this.rankedQueue.forEach((entry, playerId) => {
+      const player = this.state.players.get(entry.sessionId);
+      if (!player || player.disconnected) this.rankedQueue.delete(playerId);
+    });
+    if (!this.rankedQueue.size) return;
+
+    let match;
+    while ((match = findRankedMatch(Array.from(this.rankedQueue.values()), Date.now(), config.game))) {
+      match.forEach(entry => this.rankedQueue.delete(entry.playerId));
+      this.startRankedGame(match);
+    }
+
+    const now = Date.now();
+    this.rankedQueue.forEach(entry => {
+      const client = this.clients.find(c => c.sessionId === entry.sessionId);
+      if (client) client.send("rankedStatus", {
+        queued: true,
+        rating: entry.rating,
+        band: ratingBand(now - entry.queuedAt, config.game),
+        waited: now - entry.queuedAt,
+        queueSize: this.rankedQueue.size
+      });
+    });
+  }
+
+  async startRankedGame(entries) {
+    const players = entries
+      .map(entry => ({ entry, player: this.state.players.get(entry.sessionId) }))
+      .filter(({ player }) => player && !player.disconnected)
+      .map(({ entry, player }) => ({
+        sessionId: entry.sessionId,
+        playerId: player.id,
+        username: player.username,
+        color: player.color
+      }));
+    // Too few left to play: the rest go back in the queue with their waiting time
+    if (players.length < config.game.rankedMinPlayers) {
+      entries
+        .filter(entry => players.some(p => p.sessionId === entry.sessionId))
+        .forEach(entry => this.rankedQueue.set(entry.playerId, entry));
+      this.broadcastLobbyUpdate();
+      return;
+    }
+
+    const room = await this.launchGame(players, {
+      teamMode: "ffa",
+      teams: {},
+      rulePreset: config.game.rankedRulePreset,
+      ranked: true,
+      alliances: false // a shared win between allies must not move ratings
+    });
+    if (room) {
+      console.log(`🏅 Ranked game ${room.roomId}: ${entries.map(e => `${e.playerId} (${e.rating})`).join(", ")}`);
+    }
   }
 
   async startGame() {
@@ -247,16 +618,57 @@ class RedisLobbyRoom extends Room {
           sessionId,
           playerId: player.id,
           username: player.username,
-          color: player.color
+          color: player.color,
+          bot: player.bot,
+          difficulty: this.botDifficulties.get(player.id)
         });
       }
     }
     
-    if (!readyPlayers.length) return;
+    if (!readyPlayers.some(p => !p.bot)) return;
+    readyPlayers.splice(this.maxPlayers);
+
+    // Team games take the first full set of ready players; the rest wait for the next game
+    let teams = {};
+    if (isTeamMode(this.teamMode)) {
+      const needed = playersNeeded(this.teamMode);
+      if (readyPlayers.length < needed) {
+        console.log(`⏸ Not enough ready players for ${this.teamMode} (${readyPlayers.length}/${needed})`);
+        return;
+      }
+      readyPlayers.splice(needed);
+
+      teams = assignTeams(readyPlayers.map(p => p.playerId), this.teamMode, Object.fromEntries(this.teamPicks));
+      const colors = teamColors(teams, config.game.teamPalettes);
+      readyPlayers.forEach(p => {
+        p.team = teams[p.playerId];
+        p.color = colors[p.playerId];
+      });
+    }
 
+    const room = await this.launchGame(readyPlayers, {
+      seed: this.mapSeed || undefined,
+      mapTemplate: this.mapTemplate || undefined,
+      teamMode: this.teamMode,
+      teams,
+      rulePreset: this.rulePreset,
+      ...this.rules
+    });
+    if (!room) return;
+
+    this.mapSeed = "";
+    this.state.countdown = 0;
+  }
+
+  // Create the game room for these lobby players and send them to it
+  async launchGame(readyPlayers, settings) {
     try {
       const room = await matchMaker.createRoom("redisGame", {
-        allowedPlayerIds: readyPlayers.map(p => p.playerId),
+        allowedPlayerIds: readyPlayers.filter(p => !p.bot).map(p => p.playerId),
+        startPlayers: readyPlayers.map(({ playerId, username, color, team, bot, difficulty }) => (
+          bot ? { playerId, username, color, team, bot, difficulty } : { playerId, username, color, team }
+        )),
+        ...settings
       });
 
       // Update game status
@@ -270,14 +682,22 @@ class RedisLobbyRoom extends Room {
       // Remove ready players from lobby
       for (const rp of readyPlayers) {
         this.state.players.delete(rp.sessionId);
+        this.teamPicks.delete(rp.playerId);
+        if (rp.bot) {
+          this.botDifficulties.delete(rp.playerId);
+          continue;
+        }
         await this.gameData.removePlayerFromLobby(this.roomId, rp.playerId);
       }
 
+      if (this.isPrivate) this.ensureHost();
       this.state.lastUpdateTime = Date.now();
-      this.state.countdown = 0;
+      this.broadcastLobbyUpdate();
       console.log("🚀 Started game:", room.roomId);
+      return room;
     } catch (e) {
       console.error("Failed to create game room:", e);
+      return null;
     }
   }
 
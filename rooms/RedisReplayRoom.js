@@ -1,85 +1,179 @@
 // rooms/RedisReplayRoom.js
 const { Room } = require("colyseus");
 const GameData = require("../redis/GameData");
+const { BoardShape } = require("../game/BoardShape");
+const {
+  REPLAY_SPEEDS,
+  ReplayBoard,
+  buildSnapshots,
+  nearestSnapshot,
+  seekBoard,
+  eventIndexAt,
+  replayHistory
+} = require("../game/ReplayLog");
+const { analyticsRules, analyzeReplay } = require("../game/ReplayAnalytics");
+const config = require("../config");
 
+// Every viewer in the room watches the same playback: play, pause, seek and
+// speed changes from any of them apply to all
 class RedisReplayRoom extends Room {
   onCreate(options) {
     this.gameData = new GameData();
-    this.gameId = options.gameId;
+    this.replay = options.replay || null; // an imported replay file (game/ReplayFile.js) instead of Redis
+    this.gameId = this.replay ? this.replay.gameId : options.gameId;
+    this.board = new ReplayBoard(); // the game as far as playback has got
     this.playing = false;
-    this.playbackTimers = [];
+    this.speed = 1;
+    this.time = 0; // ms into the game
+    this.lastTick = 0;
+    this.tickInterval = null;
 
-    this.loadGameEvents();
+    this.onMessage("play", () => this.play());
+    this.onMessage("pause", () => this.pause());
+    this.onMessage("seek", (client, data) => this.seek(Number(data?.time)));
+    this.onMessage("setSpeed", (client, data) => this.setSpeed(Number(data?.speed)));
+
+    this.loaded = this.loadGameEvents();
     console.log(`📼 RedisReplayRoom created for gameId=${this.gameId}`);
   }
 
+  // Viewers get the same history as GET /api/history (see game/ReplayLog.js)
   async loadGameEvents() {
     try {
-      this.events = await this.gameData.getGameEvents(this.gameId) || [];
-
-      // Normalize to relative times
-      if (this.events.length > 0) {
-        const firstTs = this.events[0].timestamp || 0;
-        this.events = this.events.map(ev => ({
-          ...ev,
-          rel: (ev.timestamp || 0) - firstTs
-        }));
+      if (this.replay) {
+        this.events = this.replay.events;
+        this.history = { ...replayHistory(this.gameId, this.events, BoardShape.from(this.replay.board)), imported: true };
+        this.snapshots = this.replay.snapshots;
+        this.rules = this.replay.rules;
+      } else {
+        // A game still being played would show its whole board through the fog
+        if (!(await this.gameData.isGameOver(this.gameId))) throw new Error(`game ${this.gameId} is not over`);
+        this.events = await this.gameData.getReplayLog(this.gameId) || [];
+        this.history = replayHistory(this.gameId, this.events, await this.gameData.getBoardShape(this.gameId));
+        this.snapshots = await this.gameData.getReplaySnapshots(this.gameId);
+        this.rules = await this.gameData.getGameRules(this.gameId);
       }
+      this.rules = analyticsRules(this.rules, config.game);
+
+      // Games recorded before snapshots existed get them built here
+      if (this.snapshots.length === 0) this.snapshots = buildSnapshots(this.events, config.game);
 
-      console.log(`📼 Loaded ${this.events.length} events for game ${this.gameId}`);
+      this.duration = this.events.length ? this.events[this.events.length - 1].t - this.events[0].t : 0;
+      this.analytics = analyzeReplay(this.events, this.rules);
+      console.log(`📼 Loaded ${this.events.length} events and ${this.snapshots.length} snapshots for game ${this.gameId}`);
     } catch (e) {
       console.error("Failed to load game events:", e);
       this.events = [];
+      this.snapshots = [];
+      this.history = null;
+      this.analytics = null;
+      this.duration = 0;
     }
   }
 
-  onJoin(client) {
-    client.send("replayInfo", {
-      gameId: this.gameId,
-      totalEvents: this.events.length
-    });
+  async onJoin(client) {
+    await this.loaded;
+    if (!this.history) {
+      client.send("replayEnd", {});
+      return;
+    }
+    client.send("replayInfo", this.history);
+    client.send("replayAnalytics", this.analytics);
 
-    if (!this.playing && this.events.length > 0) {
-      this.startPlayback();
-    } else if (this.events.length === 0) {
+    // Late joiners catch up to the events already played
+    if (this.board.applied > 0) {
+      client.send("replayPosition", this.positionMessage());
+    }
+
+    if (this.events.length === 0) {
       client.send("replayEnd", {});
+    } else if (!this.playing && this.board.applied === 0) {
+      this.play();
+    } else {
+      client.send("replayStatus", this.statusMessage());
     }
   }
 
-  startPlayback() {
+  statusMessage() {
+    return { playing: this.playing, speed: this.speed, time: this.time, duration: this.duration, index: this.board.applied };
+  }
+
+  // Where playback is, with the snapshot a viewer should rebuild it from
+  positionMessage() {
+    const index = this.board.applied;
+    return { index, time: this.time, snapshot: nearestSnapshot(this.snapshots, index) };
+  }
+
+  play() {
+    if (this.playing || this.events.length === 0) return;
+    if (this.board.applied >= this.events.length) this.seek(0); // start over from the end
+
     this.playing = true;
-    this.events.forEach((ev, idx) => {
-      const delay = Math.max(0, ev.rel);
-      const timer = this.clock.setTimeout(() => {
-        this.broadcast("replayEvent", {
-          playerId: ev.playerId,
-          color: ev.color,
-          q: parseInt(ev.q),
-          r: parseInt(ev.r),
-          eventType: ev.eventType
-        });
-        if (idx === this.events.length - 1) {
-          this.broadcast("replayEnd", {});
-        }
-      }, delay);
-      this.playbackTimers.push(timer);
-    });
+    this.lastTick = Date.now();
+    this.tickInterval = this.clock.setInterval(() => this.tick(), config.game.replayTickInterval);
+    this.broadcast("replayStatus", this.statusMessage());
+  }
+
+  pause() {
+    this.stopTicking();
+    this.broadcast("replayStatus", this.statusMessage());
+  }
+
+  stopTicking() {
+    this.playing = false;
+    if (this.tickInterval) {
+      this.tickInterval.clear();
+      this.tickInterval = null;
+    }
+  }
+
+  seek(time) {
+    if (!Number.isFinite(time)) return;
+    this.time = Math.max(0, Math.min(this.duration, time));
+    this.board = seekBoard(this.events, this.snapshots, eventIndexAt(this.events, this.time));
+    this.broadcast("replayPosition", this.positionMessage());
+    this.broadcast("replayStatus", this.statusMessage());
+  }
+
+  setSpeed(speed) {
+    if (!REPLAY_SPEEDS.includes(speed)) return;
+    this.speed = speed;
+    this.broadcast("replayStatus", this.statusMessage());
+  }
+
+  // Move the clock on and send every event it passed
+  tick() {
+    const now = Date.now();
+    this.time = Math.min(this.duration, this.time + (now - this.lastTick) * this.speed);
+    this.lastTick = now;
+
+    const target = eventIndexAt(this.events, this.time);
+    while (this.board.applied < target) {
+      const index = this.board.applied;
+      const event = this.events[index];
+      this.board.apply(event);
+      this.broadcast("replayEvent", { index, event });
+    }
+
+    if (this.board.applied >= this.events.length) {
+      this.stopTicking();
+      this.broadcast("replayStatus", this.statusMessage());
+      this.broadcast("replayEnd", {});
+    }
   }
 
   onLeave() {
     if (this.clients.length === 0) {
-      this.playbackTimers.forEach(t => t.clear && t.clear());
-      this.playbackTimers = [];
-      this.playing = false;
+      this.stopTicking();
+      this.board = new ReplayBoard();
+      this.time = 0;
       // Let the room dispose naturally instead of calling disconnect immediately
       console.log(`📼 RedisReplayRoom ${this.gameId} empty - will be disposed naturally`);
     }
   }
 
   onDispose() {
-    this.playbackTimers.forEach(t => t.clear && t.clear());
-    this.playbackTimers = [];
-    this.playing = false;
+    this.stopTicking();
     try {
       if (this.gameData) {
         // Use setTimeout to defer the disconnect and avoid blocking
@@ -41,6 +41,10 @@ class Player extends Schema {
     this.started = false;
     this.lastSeen = 0;
     this.disconnected = false;
+    this.spectator = false;
+    this.eliminatedBy = "";
+    this.team = -1; // team number in team games, -1 in free-for-all
+    this.bot = false;
   }
 }
 
@@ -56,7 +60,11 @@ type(Player, {
   startR: "string",
   started: "boolean",
   lastSeen: "number",
-  disconnected: "boolean"
+  disconnected: "boolean",
+  spectator: "boolean",
+  eliminatedBy: "string",
+  team: "number",
+  bot: "boolean"
 });
 
 class GameState extends Schema {
@@ -70,6 +78,8 @@ class GameState extends Schema {
     this.gameStarted = false;
     this.lastUpdateTime = 0;
     this.readyForDisposal = false;
+    this.gameOver = false;
+    this.endReason = "";
   }
 }
 
@@ -82,7 +92,9 @@ type(GameState, {
   gameId: "string",
   gameStarted: "boolean",
   lastUpdateTime: "number",
-  readyForDisposal: "boolean"
+  readyForDisposal: "boolean",
+  gameOver: "boolean",
+  endReason: "string"
 });
 
 module.exports = { GameState, Player, Hex };